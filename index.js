@@ -1,4 +1,5 @@
 const ReservationUsage = require('./lib/reservation_usage')
+const Cli = require('./lib/cli')
 
 const reservationUsage = new ReservationUsage()
 
@@ -9,17 +10,8 @@ exports.handler = (event, context, callback) => {
     .catch(callback)
 }
 
-if (process.env.AWS_EXECUTION_ENV == null) {
-  const event = {
-    requestContext: {},
-    queryStringParameters: {region: process.argv[2]},
-    headers: {Accept: 'text/plain'},
-  }
-  exports.handler(event, null, (error, result) => {
-    if (error) {
-      throw error
-    } else {
-      console.log(result.body)
-    }
+if (require.main === module) {
+  new Cli().run(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode
   })
 }
@@ -0,0 +1,54 @@
+const fs = require('fs')
+
+const METRICS = ['running', 'spot', 'emr', 'reserved', 'reservable', 'surplus', 'expiring']
+const RULE_PATTERN = /^(?:(.+):)?(\w+)\s*>\s*(\d+(?:\.\d+)?)$/
+
+module.exports = class AlertRules {
+  constructor(rules) {
+    this._rules = rules.map((rule) => {
+      if (!METRICS.includes(rule.metric) || typeof rule.threshold != 'number') {
+        throw new Error(`Unsupported alert rule: ${JSON.stringify(rule)}`)
+      }
+      return {family: rule.family || null, metric: rule.metric, threshold: rule.threshold}
+    })
+  }
+
+  static parse(str) {
+    if (str == null || str.trim() == '') {
+      return new AlertRules([])
+    }
+    return new AlertRules(str.split(',').map(s => s.trim()).filter(s => s.length > 0).map((entry) => {
+      const matches = entry.match(RULE_PATTERN)
+      if (matches && METRICS.includes(matches[2])) {
+        return {family: matches[1] || null, metric: matches[2], threshold: parseFloat(matches[3])}
+      } else {
+        throw new Error(`Unsupported alert rule: "${entry}"`)
+      }
+    }))
+  }
+
+  static load(file) {
+    let rules = null
+    try {
+      rules = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not load alert rules file "${file}": ${error.message}`)
+    }
+    return new AlertRules(rules)
+  }
+
+  evaluate(summary, labels = {}) {
+    return summary.reduce((alerts, row) => {
+      const rules = this._rules.filter(rule => rule.family == null || rule.family == row.family)
+      return rules.filter(rule => row[rule.metric] > rule.threshold).reduce((alerts, rule) => {
+        const alert = Object.assign({}, labels, {family: row.family})
+        if (row.platform) {
+          alert.platform = row.platform
+        }
+        Object.assign(alert, {metric: rule.metric, threshold: rule.threshold, value: row[rule.metric]})
+        alert.key = JSON.stringify([labels.service, labels.region, alert.family, alert.platform, alert.metric, alert.threshold])
+        return alerts.concat([alert])
+      }, alerts)
+    }, [])
+  }
+}
@@ -0,0 +1,70 @@
+const crypto = require('crypto')
+const querystring = require('querystring')
+const {header, systemClock} = require('./helpers')
+
+const AUTHENTICATION_ERROR = new Error('Authentication error')
+const SIGNATURE_VERSION = 'v0'
+const MAX_REQUEST_AGE = 300
+
+class SlackAuthentication {
+  constructor(verificationToken, signingSecret = null, clock = null) {
+    this._verificationToken = verificationToken
+    this._signingSecret = signingSecret
+    this._clock = clock || systemClock
+  }
+
+  authenticate(event) {
+    if (this._hasValidSignature(event) || this._hasValidToken(event)) {
+      return Promise.resolve(event)
+    } else {
+      return Promise.reject(AUTHENTICATION_ERROR)
+    }
+  }
+
+  _hasValidToken(event) {
+    if (this._signingSecret && this._verificationToken == null) {
+      return false
+    }
+    return this._token(event) === this._verificationToken
+  }
+
+  _token(event) {
+    const parameters = querystring.parse(event.body)
+    if (parameters.payload) {
+      try {
+        return JSON.parse(parameters.payload).token
+      } catch (error) {
+        return null
+      }
+    } else {
+      return parameters.token
+    }
+  }
+
+  _hasValidSignature(event) {
+    const signature = header(event, 'X-Slack-Signature')
+    const timestamp = header(event, 'X-Slack-Request-Timestamp')
+    if (!this._signingSecret || !signature || !/^\d+$/.test(timestamp || '')) {
+      return false
+    }
+    if (Math.abs(this._clock.now / 1000 - parseInt(timestamp)) > MAX_REQUEST_AGE) {
+      return false
+    }
+    const hmac = crypto.createHmac('sha256', this._signingSecret).update(`${SIGNATURE_VERSION}:${timestamp}:${event.body || ''}`)
+    const expected = Buffer.from(`${SIGNATURE_VERSION}=${hmac.digest('hex')}`)
+    const actual = Buffer.from(signature)
+    return actual.length == expected.length && crypto.timingSafeEqual(actual, expected)
+  }
+}
+
+class NoAuthentication {
+  authenticate(event) {
+    return Promise.resolve(event)
+  }
+}
+
+module.exports = {
+  AUTHENTICATION_ERROR,
+  SlackAuthentication,
+  NoAuthentication,
+}
@@ -0,0 +1,148 @@
+const AWS = require('aws-sdk')
+const {systemClock} = require('./helpers')
+
+const MAX_CONCURRENT_REQUESTS = 4
+const MAX_RETRIES = 5
+const RETRY_BASE_DELAY = 100
+const THROTTLING_ERROR_CODES = ['Throttling', 'ThrottlingException', 'RequestLimitExceeded', 'TooManyRequestsException']
+
+const ROLE_SESSION_NAME = 'reservation-usage'
+const CREDENTIALS_EXPIRY_MARGIN = 300000
+
+module.exports = class AwsService {
+  constructor(clientFactory, clientCache, resultCache, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    this._clientFactory = clientFactory
+    this._clientCache = clientCache
+    this._resultCache = resultCache
+    this._clock = clock || systemClock
+    this._delay = delay || ((ms) => new Promise(resolve => setTimeout(resolve, ms)))
+    this._requestQueue = []
+    this._activeRequests = 0
+    this._accounts = accounts && accounts.length > 0 ? accounts : [null]
+    this._stsClientFactory = stsClientFactory || AWS.STS
+    this._pageToken = 'NextToken'
+    this._clientOptions = {}
+  }
+
+  _client(region, account = null) {
+    if (account && account.roleArn) {
+      return this._assumeRole(account).then((credentials) => {
+        const cacheKey = `client/${account.roleArn}/${region}`
+        let cachedClient = this._clientCache[cacheKey]
+        if (!cachedClient || cachedClient.credentials !== credentials) {
+          const client = new this._clientFactory(Object.assign({region, credentials}, this._clientOptions))
+          cachedClient = this._clientCache[cacheKey] = {client, credentials}
+        }
+        return cachedClient.client
+      })
+    } else {
+      let client = this._clientCache[region]
+      if (!client) {
+        client = this._clientCache[region] = new this._clientFactory(Object.assign({region}, this._clientOptions))
+      }
+      return Promise.resolve(client)
+    }
+  }
+
+  _assumeRole(account) {
+    const cacheKey = `credentials/${account.roleArn}`
+    let credentialsContainer = this._clientCache[cacheKey]
+    if (credentialsContainer == null || credentialsContainer.expiresAt - this._clock.now < CREDENTIALS_EXPIRY_MARGIN) {
+      credentialsContainer = {expiresAt: Infinity}
+      credentialsContainer.credentials = new this._stsClientFactory()
+        .assumeRole({RoleArn: account.roleArn, RoleSessionName: ROLE_SESSION_NAME})
+        .promise()
+        .then((response) => {
+          credentialsContainer.expiresAt = new Date(response.Credentials.Expiration).getTime()
+          return {
+            accessKeyId: response.Credentials.AccessKeyId,
+            secretAccessKey: response.Credentials.SecretAccessKey,
+            sessionToken: response.Credentials.SessionToken,
+          }
+        })
+        .catch((error) => {
+          if (this._clientCache[cacheKey] === credentialsContainer) {
+            delete this._clientCache[cacheKey]
+          }
+          throw error
+        })
+      this._clientCache[cacheKey] = credentialsContainer
+    }
+    return credentialsContainer.credentials
+  }
+
+  _loadFromAllAccounts(region, operation, params, resultKey, create) {
+    return this._forAllAccounts((account) => {
+      return this._loadAllPages(region, operation, params, resultKey, account)
+        .then((results) => results.reduce((all, result) => all.concat(create(result, account)), []))
+    })
+  }
+
+  _forAllAccounts(load) {
+    return Promise.all(this._accounts.map(account => load(account)))
+      .then((results) => results.reduce((all, accountResults) => all.concat(accountResults), []))
+  }
+
+  _loadAllPages(region, operation, params, resultKey, account = null) {
+    const loadPage = (nextToken, results) => {
+      const pageParams = Object.assign({}, params)
+      if (nextToken) {
+        pageParams[this._pageToken] = nextToken
+      }
+      return this._request(region, operation, pageParams, account).then((response) => {
+        const allResults = results.concat(response[resultKey])
+        if (response[this._pageToken]) {
+          return loadPage(response[this._pageToken], allResults)
+        } else {
+          return allResults
+        }
+      })
+    }
+    return loadPage(null, [])
+  }
+
+  _request(region, operation, params, account = null, attempt = 0) {
+    return this._limitConcurrency(() => this._client(region, account).then(client => client[operation](params).promise()))
+      .catch((error) => {
+        if (this._isThrottlingError(error) && attempt < MAX_RETRIES) {
+          return this._delay(RETRY_BASE_DELAY * Math.pow(2, attempt))
+            .then(() => this._request(region, operation, params, account, attempt + 1))
+        } else {
+          throw error
+        }
+      })
+  }
+
+  _isThrottlingError(error) {
+    return THROTTLING_ERROR_CODES.includes(error.code)
+  }
+
+  _limitConcurrency(action) {
+    return new Promise((resolve, reject) => {
+      this._requestQueue.push(() => action().then(resolve, reject))
+      this._processRequestQueue()
+    })
+  }
+
+  _processRequestQueue() {
+    while (this._activeRequests < MAX_CONCURRENT_REQUESTS && this._requestQueue.length > 0) {
+      const next = this._requestQueue.shift()
+      this._activeRequests++
+      next().then(() => {
+        this._activeRequests--
+        this._processRequestQueue()
+      })
+    }
+  }
+
+  _cacheResult(cacheScope, cacheKey, cacheDuration, action) {
+    const scopeCache = this._resultCache[cacheScope] = this._resultCache[cacheScope] || {}
+    let resultContainer = scopeCache[cacheKey]
+    if (resultContainer == null || this._clock.now - resultContainer.createdAt >= cacheDuration) {
+      const result = action()
+      resultContainer = {result, createdAt: this._clock.now}
+      scopeCache[cacheKey] = resultContainer
+    }
+    return resultContainer.result
+  }
+}
@@ -0,0 +1,252 @@
+const AWS = require('aws-sdk')
+const ReservationUsage = require('./reservation_usage')
+const Simulation = require('./simulation')
+const {RecordingEC2, SnapshotEC2} = require('./ec2_snapshot')
+const {OUTPUT_FORMATS, CommandLineFormatter} = require('./formatters')
+const {ALL_SERVICES, GROUPINGS, REPORTS, SERVICES, isPercentage, parseAccounts} = require('./helpers')
+
+const EXIT_SUCCESS = 0
+const EXIT_ERROR = 1
+const EXIT_USAGE = 2
+const EXIT_THRESHOLD = 3
+
+const FAIL_ON_COLUMNS = ['surplus', 'reservable', 'expiring']
+const FLAGS = ['costs', 'help']
+const ONLINE_SETTINGS = ['SAVINGS_PLANS', 'HISTORY_DIRECTORY', 'HISTORY_BUCKET']
+const OPTIONS = {
+  'region': 'region',
+  'report': 'report',
+  'format': null,
+  'service': 'service',
+  'group-by': 'groupBy',
+  'tag': 'tag',
+  'period': 'period',
+  'baseline': 'baseline',
+  'family': 'family',
+  'days': 'days',
+  'headroom': 'headroom',
+  'offering-class': 'offeringClass',
+  'profile': null,
+  'fail-on': null,
+  'snapshot': null,
+  'save-snapshot': null,
+  'changes': null,
+}
+
+const USAGE = `Usage: node index.js [region] [report] [options]
+
+Reports on the usage of reserved instances.
+
+Reports:
+${Object.keys(REPORTS).map(report => `  ${report.padEnd(17)}${REPORTS[report]}`).join('\n')}
+
+Options:
+  --region=REGIONS         a region, a comma-separated list of regions, or all
+                           (default: AWS_DEFAULT_REGION)
+  --report=REPORT          the report, see above (default: summary)
+  --format=FORMAT          ${OUTPUT_FORMATS.join(', ')} (default: table)
+  --service=SERVICE        ${SERVICES.concat(ALL_SERVICES).join(', ')} (default: ec2)
+  --group-by=GROUPS        break the summary down by ${GROUPINGS.join(', ')}
+  --costs                  include costs in the summary
+  --tag=KEY                the tag for the tags report (default: team)
+  --family=FAMILY          only report on one family
+  --days=DAYS              the number of days for expiring reservations and trends
+  --headroom=PERCENT       the headroom for recommendations
+  --offering-class=CLASS   standard or convertible recommendations
+  --baseline=BASELINE      current or minimum, the usage to base recommendations on
+  --period=DAYS            the number of days of history for trends and the minimum baseline
+  --changes=FILE           a JSON file with reservations and instances to add, remove, or
+                           resize, implies the simulation report
+  --profile=PROFILE        the AWS profile to use
+  --save-snapshot=FILE     save the EC2 responses the report is based on to a file
+  --snapshot=FILE          run the report on a saved snapshot instead of calling AWS
+  --fail-on=COLUMNS        exit with status ${EXIT_THRESHOLD} when any family in the summary has
+                           ${FAIL_ON_COLUMNS.join(', ')} units
+  --help                   show this message
+
+Exit status: ${EXIT_SUCCESS} on success, ${EXIT_ERROR} on errors, ${EXIT_USAGE} on invalid arguments, and ${EXIT_THRESHOLD} when --fail-on matches.
+`
+
+class UsageError extends Error {}
+
+module.exports = class Cli {
+  constructor(createReservationUsage = null, stdout = null, stderr = null, env = null, aws = null) {
+    this._createReservationUsage = createReservationUsage || ((ec2, env) => new ReservationUsage(env, ec2))
+    this._stdout = stdout || process.stdout
+    this._stderr = stderr || process.stderr
+    this._env = env || process.env
+    this._aws = aws || AWS
+  }
+
+  run(args) {
+    let options = null
+    try {
+      options = this._parseArguments(args)
+    } catch (error) {
+      if (error instanceof UsageError) {
+        this._stderr.write(`${error.message}\nRun with --help for usage.\n`)
+        return Promise.resolve(EXIT_USAGE)
+      } else {
+        throw error
+      }
+    }
+    if (options.help) {
+      this._stdout.write(USAGE)
+      return Promise.resolve(EXIT_SUCCESS)
+    }
+    if (options.profile) {
+      this._aws.config.credentials = new this._aws.SharedIniFileCredentials({profile: options.profile})
+    }
+    let recordingEc2 = null
+    return Promise.resolve()
+      .then(() => {
+        if (options.changes) {
+          options.parameters.changes = Simulation.loadChanges(options.changes)
+        }
+        let ec2 = null
+        if (options.snapshot) {
+          ec2 = SnapshotEC2.load(options.snapshot)
+        } else if (options.saveSnapshot) {
+          ec2 = recordingEc2 = new RecordingEC2(null, null, null, null, parseAccounts(this._env.ACCOUNTS))
+        }
+        return this._createReservationUsage(ec2, options.snapshot ? this._offlineEnv() : this._env).generateReport(options.parameters)
+      })
+      .then((report) => recordingEc2 ? recordingEc2.save(options.saveSnapshot).then(() => report) : report)
+      .then((report) => {
+        this._stdout.write(new CommandLineFormatter(options.format).formatResponse(report))
+        return this._failOn(report, options.failOn) ? EXIT_THRESHOLD : EXIT_SUCCESS
+      })
+      .catch((error) => {
+        this._stderr.write(`Error: ${error.message}\n`)
+        return EXIT_ERROR
+      })
+  }
+
+  _offlineEnv() {
+    const env = Object.assign({}, this._env)
+    ONLINE_SETTINGS.forEach(name => delete env[name])
+    return env
+  }
+
+  _parseArguments(args) {
+    const options = {help: false, format: 'table', profile: null, failOn: [], snapshot: null, saveSnapshot: null, changes: null, parameters: {}}
+    const positional = []
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i]
+      if (arg == '-h') {
+        options.help = true
+      } else if (arg.startsWith('--')) {
+        const separatorIndex = arg.indexOf('=')
+        const name = separatorIndex == -1 ? arg.substring(2) : arg.substring(2, separatorIndex)
+        if (FLAGS.includes(name)) {
+          if (separatorIndex != -1) {
+            throw new UsageError(`The option --${name} does not take a value`)
+          }
+          options[name] = true
+        } else if (OPTIONS.hasOwnProperty(name)) {
+          const value = separatorIndex == -1 ? args[++i] : arg.substring(separatorIndex + 1)
+          if (value == null || value.startsWith('--') || value == '') {
+            throw new UsageError(`The option --${name} needs a value`)
+          }
+          this._setOption(options, name, value)
+        } else {
+          throw new UsageError(`Unknown option --${name}`)
+        }
+      } else {
+        positional.push(arg)
+      }
+    }
+    positional.forEach((arg) => {
+      if (REPORTS.hasOwnProperty(arg) && options.parameters.report == null) {
+        options.parameters.report = arg
+      } else if (options.parameters.region == null) {
+        options.parameters.region = arg
+      } else {
+        throw new UsageError(`Unexpected argument "${arg}"`)
+      }
+    })
+    if (options.costs) {
+      options.parameters.costs = true
+    }
+    if (options.help) {
+      return options
+    }
+    if (options.changes) {
+      if ((options.parameters.report || 'simulation') != 'simulation') {
+        throw new UsageError('The option --changes can only be used with the simulation report')
+      }
+      options.parameters.report = 'simulation'
+    } else if (options.parameters.report == 'simulation') {
+      throw new UsageError('The simulation report needs a file with changes, use --changes')
+    }
+    if (options.snapshot && options.saveSnapshot) {
+      throw new UsageError('The options --snapshot and --save-snapshot can not be used together')
+    }
+    if ((options.snapshot || options.saveSnapshot) && (options.parameters.service || 'ec2') != 'ec2') {
+      throw new UsageError('Snapshots only contain EC2 instances and reservations, they can not be used with --service')
+    }
+    if (options.parameters.region == null && !this._env.AWS_DEFAULT_REGION) {
+      throw new UsageError('No region given, use --region or set AWS_DEFAULT_REGION')
+    }
+    if (options.failOn.length > 0 && (options.parameters.report || 'summary') != 'summary') {
+      throw new UsageError('The option --fail-on can only be used with the summary')
+    }
+    return options
+  }
+
+  _setOption(options, name, value) {
+    const list = value.split(',').map(s => s.trim()).filter(s => s.length > 0)
+    if (name == 'format') {
+      this._validate(name, [value], OUTPUT_FORMATS)
+      options.format = value
+    } else if (name == 'profile') {
+      options.profile = value
+    } else if (name == 'snapshot') {
+      options.snapshot = value
+    } else if (name == 'save-snapshot') {
+      options.saveSnapshot = value
+    } else if (name == 'changes') {
+      options.changes = value
+    } else if (name == 'fail-on') {
+      this._validate(name, list, FAIL_ON_COLUMNS)
+      options.failOn = list
+    } else {
+      if (name == 'report') {
+        this._validate(name, [value], Object.keys(REPORTS))
+      } else if (name == 'service') {
+        this._validate(name, [value], SERVICES.concat(ALL_SERVICES))
+      } else if (name == 'group-by') {
+        this._validate(name, list, GROUPINGS)
+      } else if (['days', 'headroom', 'period'].includes(name) && isNaN(parseFloat(value))) {
+        throw new UsageError(`The option --${name} needs a number, not "${value}"`)
+      } else if (name == 'headroom' && !isPercentage(value)) {
+        throw new UsageError(`The option --headroom needs a percentage between 0 and 100, not "${value}"`)
+      }
+      options.parameters[OPTIONS[name]] = value
+    }
+  }
+
+  _validate(name, values, allowed) {
+    const invalid = values.find(value => !allowed.includes(value))
+    if (invalid != null) {
+      throw new UsageError(`Unsupported value "${invalid}" for --${name}, use one of ${allowed.join(', ')}`)
+    }
+  }
+
+  _failOn(report, columns) {
+    if (columns.length == 0) {
+      return false
+    }
+    return this._summaryRows(report.data).some(row => columns.some(column => row[column] > 0))
+  }
+
+  _summaryRows(summary) {
+    if (summary.services) {
+      return summary.services.reduce((rows, s) => rows.concat(this._summaryRows(s.summary)), [])
+    } else if (Array.isArray(summary)) {
+      return summary
+    } else {
+      return summary.total
+    }
+  }
+}
@@ -1,99 +1,129 @@
 const AWS = require('aws-sdk')
-const {relativeSize} = require('./helpers')
+const AwsService = require('./aws_service')
+const {DEFAULT_PLATFORM, DEFAULT_TENANCY, reservationEnd} = require('./helpers')
+const {normalizationFactor} = require('./instance_sizes')
 
 const ACTIVE_RESERVATIONS_FILTER = [{Name: 'state', Values: ['active']}]
 const RUNNING_INSTANCES_FILTER = [{Name: 'instance-state-name', Values: ['running']}]
 
 const INSTANCES_CACHE_DURATION = 300000
 const RESERVATIONS_CACHE_DURATION = 3600000
+const REGIONS_CACHE_DURATION = 86400000
 
 const RESULT_CACHE = {}
 const EC2_CLIENTS = {}
 
-module.exports = class EC2 {
-  constructor(ec2ClientFactory = null, ec2ClientCache = null, resultCache = null, clock = null) {
-    this._ec2ClientFactory = ec2ClientFactory || AWS.EC2
-    this._ec2ClientCache = ec2ClientCache || EC2_CLIENTS
-    this._resultCache = resultCache || RESULT_CACHE
-    this._clock = clock || Date
-    this._resultCache.reservations = this._resultCache.reservations || {}
-    this._resultCache.instances = this._resultCache.instances || {}
-  }
-
-  _ec2Client(region) {
-    let client = this._ec2ClientCache[region]
-    if (!client) {
-      client = this._ec2ClientCache[region] = new this._ec2ClientFactory({region})
-    }
-    return client
+module.exports = class EC2 extends AwsService {
+  constructor(ec2ClientFactory = null, ec2ClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(ec2ClientFactory || AWS.EC2, ec2ClientCache || EC2_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
   }
 
   loadReservations(region) {
     return this._cacheResult('reservations', region, RESERVATIONS_CACHE_DURATION, () => {
-      return this._ec2Client(region)
-        .describeReservedInstances({Filters: ACTIVE_RESERVATIONS_FILTER})
-        .promise()
-        .then((response) => response.ReservedInstances.map(r => this._createReservation(r)))
+      return this._loadFromAllAccounts(region, 'describeReservedInstances', {Filters: ACTIVE_RESERVATIONS_FILTER}, 'ReservedInstances', (reservation, account) => {
+        return this._createReservation(reservation, account)
+      })
     })
   }
 
   loadInstances(region) {
     return this._cacheResult('instances', region, INSTANCES_CACHE_DURATION, () => {
-      return this._ec2Client(region)
-        .describeInstances({Filters: RUNNING_INSTANCES_FILTER})
-        .promise()
-        .then((response) => response.Reservations.reduce((all, reservation) => all.concat(reservation.Instances.map(i => this._createInstance(i))), []))
+      return this._loadFromAllAccounts(region, 'describeInstances', {Filters: RUNNING_INSTANCES_FILTER}, 'Reservations', (reservation, account) => {
+        return reservation.Instances.map(i => this._createInstance(i, account))
+      })
     })
   }
 
-  _cacheResult(cacheScope, cacheKey, cacheDuration, action) {
-    let resultContainer = this._resultCache[cacheScope][cacheKey]
-    if (resultContainer == null || this._clock.now - resultContainer.createdAt >= cacheDuration) {
-      const result = action()
-      resultContainer = {result, createdAt: this._clock.now}
-      this._resultCache[cacheScope][cacheKey] = resultContainer
-    }
-    return resultContainer.result
+  loadRegions(region) {
+    return this._cacheResult('regions', region, REGIONS_CACHE_DURATION, () => {
+      return this._request(region, 'describeRegions', {})
+        .then((response) => response.Regions.map(r => r.RegionName).sort())
+    })
   }
 
-  _createReservation(reservation) {
+  _createReservation(reservation, account = null) {
     const id = reservation.ReservedInstancesId
     const [family, size] = reservation.InstanceType.split('.')
     const offeringClass = reservation.OfferingClass
     const scope = reservation.Scope
     const az = scope == 'Region' ? '*' : reservation.AvailabilityZone
     const count = reservation.InstanceCount
+    const platform = this._normalizePlatform(reservation.ProductDescription)
+    const tenancy = reservation.InstanceTenancy || DEFAULT_TENANCY
+    const end = this._reservationEnd(reservation)
+    const factor = normalizationFactor(family, size)
     return {
       id,
       family,
       size,
       offeringClass,
       az,
+      platform,
+      tenancy,
       count,
-      units: count * relativeSize(size),
+      end,
+      account: account && account.name,
+      units: factor == null ? null : count * factor,
     }
   }
 
-  _createInstance(instance) {
+  _createInstance(instance, account = null) {
     const [family, size] = instance.InstanceType.split('.')
     const az = instance.Placement.AvailabilityZone
+    const platform = this._instancePlatform(instance)
+    const tenancy = instance.Placement.Tenancy || DEFAULT_TENANCY
     const spot = this._isSpot(instance)
-    const emr = this._isEmr(instance)
+    const tags = this._tags(instance)
+    const emr = this._isEmr(tags)
     return {
+      id: instance.InstanceId,
       family,
       size,
       az,
+      platform,
+      tenancy,
       emr,
       spot,
-      units: relativeSize(size),
+      tags,
+      account: account && account.name,
+      units: normalizationFactor(family, size),
+    }
+  }
+
+  _reservationEnd(reservation) {
+    if (reservation.End) {
+      return new Date(reservation.End)
+    } else {
+      return reservationEnd(reservation.Start, reservation.Duration)
     }
   }
 
+  _instancePlatform(instance) {
+    if (instance.PlatformDetails) {
+      return this._normalizePlatform(instance.PlatformDetails)
+    } else if (instance.Platform == 'windows') {
+      return 'Windows'
+    } else {
+      return DEFAULT_PLATFORM
+    }
+  }
+
+  _normalizePlatform(platform) {
+    return (platform || DEFAULT_PLATFORM).replace(/\s*\(Amazon VPC\)$/, '')
+  }
+
   _isSpot(instance) {
     return instance.InstanceLifecycle == 'spot'
   }
 
-  _isEmr(instance) {
-    return instance.Tags.some(tag => tag.Key === 'aws:elasticmapreduce:job-flow-id')
+  _tags(instance) {
+    return (instance.Tags || []).reduce((tags, tag) => {
+      tags[tag.Key] = tag.Value
+      return tags
+    }, {})
+  }
+
+  _isEmr(tags) {
+    return 'aws:elasticmapreduce:job-flow-id' in tags
   }
 }
@@ -0,0 +1,75 @@
+const fs = require('fs')
+const EC2 = require('./ec2')
+
+const SNAPSHOT_VERSION = 1
+const RECORDED_OPERATIONS = ['describeInstances', 'describeReservedInstances', 'describeRegions']
+
+class RecordingEC2 extends EC2 {
+  constructor(ec2ClientFactory = null, ec2ClientCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(ec2ClientFactory, ec2ClientCache, {}, clock, delay, accounts, stsClientFactory)
+    this._responses = []
+  }
+
+  snapshot() {
+    return {
+      version: SNAPSHOT_VERSION,
+      createdAt: new Date(this._clock.now).toISOString(),
+      responses: this._responses,
+    }
+  }
+
+  save(file) {
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, JSON.stringify(this.snapshot(), null, 2), (error) => error ? reject(error) : resolve())
+    })
+  }
+
+  _request(region, operation, params, account = null, attempt = 0) {
+    return super._request(region, operation, params, account, attempt).then((response) => {
+      if (attempt == 0 && RECORDED_OPERATIONS.includes(operation)) {
+        this._responses.push({region, account: account && account.name, operation, params, response})
+      }
+      return response
+    })
+  }
+}
+
+class SnapshotEC2 extends EC2 {
+  constructor(snapshot) {
+    const accountNames = snapshot.responses.map(r => r.account).filter((name, index, names) => name != null && names.indexOf(name) == index)
+    super(null, {}, {}, null, null, accountNames.map(name => ({name})))
+    this._snapshot = snapshot
+  }
+
+  static load(file) {
+    let snapshot = null
+    try {
+      snapshot = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not load snapshot file "${file}": ${error.message}`)
+    }
+    if (snapshot.version != SNAPSHOT_VERSION || !Array.isArray(snapshot.responses)) {
+      throw new Error(`Unsupported snapshot file "${file}"`)
+    }
+    return new SnapshotEC2(snapshot)
+  }
+
+  _request(region, operation, params, account = null) {
+    const accountName = account && account.name
+    const paramsJson = JSON.stringify(params)
+    const recorded = this._snapshot.responses.find((r) => {
+      return (r.region == region || operation == 'describeRegions') && r.account == accountName && r.operation == operation && JSON.stringify(r.params) == paramsJson
+    })
+    if (recorded) {
+      return Promise.resolve(recorded.response)
+    } else {
+      const accountSuffix = accountName ? ` and account ${accountName}` : ''
+      return Promise.reject(new Error(`The snapshot has no ${operation} response for ${region}${accountSuffix}`))
+    }
+  }
+}
+
+module.exports = {
+  RecordingEC2,
+  SnapshotEC2,
+}
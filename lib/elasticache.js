@@ -0,0 +1,79 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+const {DEFAULT_TENANCY, splitInstanceClass, reservationEnd} = require('./helpers')
+const {normalizationFactor} = require('./instance_sizes')
+
+const NODES_CACHE_DURATION = 300000
+const RESERVATIONS_CACHE_DURATION = 3600000
+
+const INACTIVE_CLUSTER_STATUSES = ['deleting', 'deleted', 'create-failed']
+
+const RESULT_CACHE = {}
+const ELASTICACHE_CLIENTS = {}
+
+module.exports = class ElastiCache extends AwsService {
+  constructor(elastiCacheClientFactory = null, elastiCacheClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(elastiCacheClientFactory || AWS.ElastiCache, elastiCacheClientCache || ELASTICACHE_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
+    this._pageToken = 'Marker'
+  }
+
+  loadReservations(region) {
+    return this._cacheResult('reservations', region, RESERVATIONS_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeReservedCacheNodes', {}, 'ReservedCacheNodes', (reservation, account) => {
+        return reservation.State == 'active' ? [this._createReservation(reservation, account)] : []
+      })
+    })
+  }
+
+  loadInstances(region) {
+    return this._cacheResult('instances', region, NODES_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeCacheClusters', {}, 'CacheClusters', (cluster, account) => {
+        return INACTIVE_CLUSTER_STATUSES.includes(cluster.CacheClusterStatus) ? [] : this._createNodes(cluster, account)
+      })
+    })
+  }
+
+  _createReservation(reservation, account = null) {
+    const [family, size] = splitInstanceClass(reservation.CacheNodeType)
+    const count = reservation.CacheNodeCount
+    return {
+      id: reservation.ReservedCacheNodeId,
+      family,
+      size,
+      offeringClass: 'standard',
+      az: '*',
+      platform: reservation.ProductDescription,
+      tenancy: DEFAULT_TENANCY,
+      sizeFlexible: true,
+      count,
+      end: reservationEnd(reservation.StartTime, reservation.Duration),
+      account: account && account.name,
+      units: this._units(family, size, count),
+    }
+  }
+
+  _createNodes(cluster, account = null) {
+    const [family, size] = splitInstanceClass(cluster.CacheNodeType)
+    const nodes = []
+    for (let i = 0; i < cluster.NumCacheNodes; i++) {
+      nodes.push({
+        id: cluster.CacheClusterId,
+        family,
+        size,
+        az: cluster.PreferredAvailabilityZone,
+        platform: cluster.Engine,
+        tenancy: DEFAULT_TENANCY,
+        emr: false,
+        spot: false,
+        account: account && account.name,
+        units: this._units(family, size),
+      })
+    }
+    return nodes
+  }
+
+  _units(family, size, count = 1) {
+    const factor = normalizationFactor(family, size)
+    return factor == null ? null : count * factor
+  }
+}
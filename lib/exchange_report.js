@@ -0,0 +1,158 @@
+const {DEFAULT_PLATFORM, DEFAULT_TENANCY} = require('./helpers')
+const {sizeWithNormalizationFactor, splitIntoSizes} = require('./instance_sizes')
+
+module.exports = class ExchangeReport {
+  constructor(unusedReservations, reservableInstances) {
+    this._unusedReservations = unusedReservations
+    this._reservableInstances = reservableInstances
+  }
+
+  generate() {
+    const pool = this._sortBySizeDescending(this._reservableInstances)
+    const proposals = []
+    this._reservationsOfClass('standard').forEach((reservation) => {
+      const proposal = this._proposeModification(reservation, pool)
+      if (proposal) {
+        proposals.push(proposal)
+      }
+    })
+    this._reservationsOfClass('convertible').forEach((reservation) => {
+      const proposal = this._proposeExchange(reservation, pool)
+      if (proposal) {
+        proposals.push(proposal)
+      }
+    })
+    return proposals
+  }
+
+  _reservationsOfClass(offeringClass) {
+    return this._unusedReservations
+      .filter(r => r.offeringClass == offeringClass)
+      .sort((a, b) => (b.remainingUnits - a.remainingUnits) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0)))
+  }
+
+  _proposeModification(reservation, pool) {
+    if (reservation.az == '*') {
+      return null
+    }
+    const sameFamily = pool.filter(i => this._isSameFamily(reservation, i))
+    let modification = null
+    let instances = null
+    if (reservation.isSizeFlexible()) {
+      const sameAz = sameFamily.filter(i => i.az == reservation.az && this._isWhole(i))
+      modification = 'size'
+      instances = this._takeInstances(pool, sameAz, reservation.remainingUnits, false)
+      if (instances.length == 0) {
+        modification = 'scope'
+        instances = this._takeInstances(pool, sameFamily, reservation.remainingUnits, false)
+      }
+      if (instances.length == 0 && sameFamily.length > 0) {
+        instances = [this._takePart(pool, sameFamily[sameFamily.length - 1], reservation.remainingUnits)]
+      }
+    } else {
+      modification = 'az'
+      instances = this._takeInstances(pool, sameFamily.filter(i => i.size == reservation.size && this._isWhole(i)), reservation.remainingUnits, false)
+    }
+    if (instances.length == 0) {
+      return null
+    }
+    const az = modification == 'scope' ? '*' : null
+    return this._createProposal('modify', modification, reservation, instances, az)
+  }
+
+  _proposeExchange(reservation, pool) {
+    const instances = this._takeInstances(pool, pool, reservation.remainingUnits, true)
+    if (instances.length == 0) {
+      return null
+    }
+    return this._createProposal('exchange', null, reservation, instances, '*')
+  }
+
+  _createProposal(action, modification, reservation, instances, az) {
+    return {
+      action,
+      modification,
+      reservationIds: [reservation.id],
+      from: {
+        type: `${reservation.family}.${reservation.size}`,
+        az: reservation.az,
+        offeringClass: reservation.offeringClass,
+        count: reservation.count,
+        units: reservation.units,
+      },
+      surplus: reservation.remainingUnits,
+      partial: reservation.remainingUnits < reservation.units,
+      to: this._summarizeTargets(instances, az),
+    }
+  }
+
+  _takeInstances(pool, candidates, units, exceed) {
+    let remainingUnits = units
+    const taken = []
+    candidates.forEach((instance) => {
+      if (instance.units <= remainingUnits) {
+        taken.push(instance)
+        remainingUnits -= instance.units
+      }
+    })
+    if (exceed && remainingUnits > 0) {
+      const topUp = candidates.filter(i => !taken.includes(i)).pop()
+      if (topUp) {
+        taken.push(topUp)
+      }
+    }
+    taken.forEach(instance => pool.splice(pool.indexOf(instance), 1))
+    return taken
+  }
+
+  _takePart(pool, instance, units) {
+    const instanceUnits = instance.instanceUnits || instance.units
+    pool.splice(pool.indexOf(instance), 1, Object.assign({}, instance, {units: instance.units - units, instanceUnits}))
+    return Object.assign({}, instance, {units, instanceUnits})
+  }
+
+  _summarizeTargets(instances, az) {
+    const targets = {}
+    instances.forEach((instance) => {
+      this._targetSizes(instance).forEach(({size, units}) => {
+        const type = `${instance.family}.${size}`
+        const targetAz = az || instance.az
+        const key = `${type} ${targetAz}`
+        targets[key] = targets[key] || {type, az: targetAz, platform: this._platform(instance), tenancy: this._tenancy(instance), count: 0, units: 0}
+        targets[key].count++
+        targets[key].units += units
+      })
+    })
+    return Object.keys(targets).map(key => targets[key])
+  }
+
+  _targetSizes(instance) {
+    if (this._isWhole(instance)) {
+      return [{size: instance.size, units: instance.units}]
+    } else {
+      return splitIntoSizes(instance.units, instance.instanceUnits).map(units => ({size: sizeWithNormalizationFactor(units), units}))
+    }
+  }
+
+  _isWhole(instance) {
+    return instance.instanceUnits == null
+  }
+
+  _isSameFamily(reservation, instance) {
+    return reservation.family == instance.family
+      && reservation.platform == this._platform(instance)
+      && reservation.tenancy == this._tenancy(instance)
+  }
+
+  _sortBySizeDescending(instances) {
+    return instances.slice().sort((a, b) => (b.units - a.units) || (a.size < b.size ? -1 : (a.size > b.size ? 1 : 0)))
+  }
+
+  _platform(instance) {
+    return instance.platform || DEFAULT_PLATFORM
+  }
+
+  _tenancy(instance) {
+    return instance.tenancy || DEFAULT_TENANCY
+  }
+}
@@ -0,0 +1,31 @@
+const {DEFAULT_EXPIRY_WINDOW, daysRemaining} = require('./helpers')
+
+module.exports = class ExpiryReport {
+  constructor(reservations, options = {}) {
+    this._reservations = reservations
+    this._now = options.now == null ? Date.now() : options.now
+    this._expiryWindow = options.expiryWindow || DEFAULT_EXPIRY_WINDOW
+  }
+
+  generate() {
+    return this._reservations
+      .filter(r => r.end != null)
+      .map(r => this._createRow(r))
+      .sort((a, b) => (a.daysRemaining - b.daysRemaining) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0)))
+  }
+
+  _createRow(reservation) {
+    const remaining = daysRemaining(reservation.end, this._now)
+    return {
+      id: reservation.id,
+      type: `${reservation.family}.${reservation.size}`,
+      az: reservation.az,
+      offeringClass: reservation.offeringClass,
+      count: reservation.count,
+      units: reservation.units,
+      end: reservation.end,
+      daysRemaining: remaining,
+      expiring: remaining < this._expiryWindow,
+    }
+  }
+}
@@ -0,0 +1,889 @@
+const {AUTHENTICATION_ERROR} = require('./authentication')
+const {UsageError} = require('./slack_command')
+const {ALL_SERVICES, SERVICE_NAMES, header} = require('./helpers')
+
+const SUMMARY_COLUMNS = ['running', 'spot', 'emr', 'reserved', 'reservable', 'surplus', 'expiring']
+const COLUMN_HEADERS = {savingsPlan: 'savings plan'}
+const LABEL_COLUMNS = ['family', 'type', 'az', 'platform', 'account']
+const MAX_BLOCKS = 50
+const OUTPUT_FORMATS = ['table', 'json', 'csv', 'markdown']
+const MEDIA_TYPES = [
+  {type: 'application/json', format: 'json', contentType: 'application/json'},
+  {type: 'text/plain', format: 'table', contentType: 'text/plain; charset=UTF-8'},
+  {type: 'text/csv', format: 'csv', contentType: 'text/csv; charset=UTF-8'},
+  {type: 'text/markdown', format: 'markdown', contentType: 'text/markdown; charset=UTF-8'},
+]
+const BLOCK_COLUMNS = [
+  {property: 'running', header: 'Running'},
+  {property: 'reserved', header: 'Reserved'},
+  {property: 'reservable', header: 'Reservable'},
+  {property: 'surplus', header: 'Surplus'},
+  {property: 'savingsPlan', header: 'Savings plan'},
+  {property: 'onDemandMonthly', header: 'On-demand/mo'},
+  {property: 'wastedMonthly', header: 'Wasted/mo'},
+  {property: 'savingsMonthly', header: 'Savings/mo'},
+]
+const UNPRICED = 'unpriced'
+const UNKNOWN_UNITS = 'unknown'
+const COST_COLUMNS = [
+  {property: 'onDemandMonthly', header: 'on-demand/mo'},
+  {property: 'wastedMonthly', header: 'wasted/mo'},
+  {property: 'savingsMonthly', header: 'savings/mo'},
+]
+const REPORT_NOTES = ['unclassified', 'failures']
+
+const reportJson = (report) => {
+  const notes = REPORT_NOTES.filter(note => report[note] && report[note].length > 0)
+  return notes.length == 0 ? report.data : notes.reduce((json, note) => Object.assign(json, {[note]: report[note]}), {data: report.data})
+}
+
+class JsonFormatter {
+  isAcceptable() {
+    return true
+  }
+
+  formatResponse(report) {
+    return reportJson(report)
+  }
+
+  formatErrorResponse(error) {
+    throw error
+  }
+}
+
+class ApiGatewayFormatter {
+  constructor(event) {
+    this._event = event
+  }
+
+  isAcceptable() {
+    return this._negotiateMediaType() != null
+  }
+
+  formatResponse(report) {
+    const mediaType = this._negotiateMediaType()
+    if (mediaType == null) {
+      return this.formatNotAcceptableResponse()
+    }
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': mediaType.contentType,
+      },
+      body: this._renderReport(report, mediaType.format),
+    }
+  }
+
+  formatNotAcceptableResponse() {
+    return {
+      statusCode: 406,
+      headers: {
+        'Content-Type': 'text/plain',
+      },
+      body: `Not acceptable, use one of ${MEDIA_TYPES.map(m => m.type).join(', ')}`,
+    }
+  }
+
+  formatErrorResponse(error) {
+    if (error === AUTHENTICATION_ERROR) {
+      return {
+        statusCode: 401,
+        headers: {
+          'Content-Type': 'text/plain',
+        },
+        body: 'Authentication error',
+      }
+    } else if (error instanceof UsageError) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'text/plain',
+        },
+        body: error.message,
+      }
+    } else {
+      throw error
+    }
+  }
+
+  _negotiateMediaType() {
+    const query = this._event.queryStringParameters || {}
+    if (query.format != null) {
+      return MEDIA_TYPES.find(m => m.format == query.format || m.type == query.format) || null
+    }
+    const accept = header(this._event, 'Accept')
+    if (accept == null || accept.trim() == '') {
+      return MEDIA_TYPES[0]
+    }
+    const ranges = this._parseAccept(accept)
+    const candidates = MEDIA_TYPES.map((mediaType, index) => {
+      const range = ranges.filter(r => this._matchesMediaRange(r, mediaType.type)).sort((a, b) => b.specificity - a.specificity)[0]
+      return range && Object.assign({}, range, {mediaType, index})
+    })
+    const acceptable = candidates.filter(c => c && c.quality > 0).sort((a, b) => {
+      return (b.quality - a.quality) || (b.specificity - a.specificity) || (a.position - b.position) || (a.index - b.index)
+    })
+    return acceptable.length > 0 ? acceptable[0].mediaType : null
+  }
+
+  _parseAccept(accept) {
+    return accept.split(',').map((str, position) => {
+      const [type, ...parameters] = str.split(';').map(s => s.trim())
+      const qualityParameter = parameters.find(p => /^q=/i.test(p))
+      const quality = qualityParameter ? parseFloat(qualityParameter.substring(2)) : 1
+      const specificity = type == '*/*' ? 0 : (type.endsWith('/*') ? 1 : 2)
+      return {type: type.toLowerCase(), quality: isNaN(quality) ? 0 : quality, specificity, position}
+    }).filter(range => range.type.includes('/'))
+  }
+
+  _matchesMediaRange(range, type) {
+    if (range.specificity == 0) {
+      return true
+    } else if (range.specificity == 1) {
+      return type.startsWith(range.type.substring(0, range.type.length - 1))
+    } else {
+      return range.type == type
+    }
+  }
+
+  _renderReport(report, format) {
+    if (format == 'csv') {
+      return this._csvReport(report)
+    } else if (format == 'markdown') {
+      return this._markdownReport(report)
+    } else if (format == 'table') {
+      return this._plainTextReport(report)
+    } else {
+      return JSON.stringify(reportJson(report))
+    }
+  }
+
+  _plainTextReport(report) {
+    const sections = [this._plainTextData(report)]
+    this._noteTables(report).forEach(table => sections.push(this._plainTextColumns(table.rows, table.columns)))
+    return sections.join('\n')
+  }
+
+  _noteTables(report) {
+    const tables = []
+    if (report.unclassified && report.unclassified.length > 0) {
+      tables.push(this._unclassifiedTable(report.unclassified))
+    }
+    if (report.failures && report.failures.length > 0) {
+      tables.push(this._failureTable(report.failures))
+    }
+    return tables
+  }
+
+  _plainTextData(report) {
+    if (report.type == 'expiring') {
+      return this._plainTextExpiryReport(report.data)
+    } else if (report.type == 'recommendations') {
+      return this._plainTextRecommendationReport(report.data)
+    } else if (report.type == 'exchanges') {
+      return this._plainTextExchangeReport(report.data)
+    } else if (report.type == 'tags') {
+      return this._plainTextTagReport(report.data, report.tagKey)
+    } else if (report.type == 'reservations') {
+      return this._plainTextReservationReport(report.data)
+    } else if (report.type == 'trends') {
+      return this._plainTextTrendReport(report.data)
+    } else if (report.type == 'simulation') {
+      return this._plainTextSimulationReport(report.data)
+    } else {
+      return this._plainTextSummary(report.data)
+    }
+  }
+
+  _csvReport(report) {
+    const formatLine = (values) => values.map(value => this._csvValue(value)).join(',') + '\r\n'
+    return [this._reportTable(report)].concat(this._noteTables(report)).map((table) => {
+      const headers = table.columns.map(c => c.fullHeader || c.header)
+      return formatLine(headers) + table.rows.map(row => formatLine(table.columns.map(c => c.value(row)))).join('')
+    }).join('\r\n')
+  }
+
+  _csvValue(value) {
+    const str = String(value)
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+  }
+
+  _markdownReport(report) {
+    const formatLine = (values) => `| ${values.map(value => String(value).replace(/\|/g, '\\|')).join(' | ')} |\n`
+    return [this._reportTable(report)].concat(this._noteTables(report)).map((table) => {
+      const headers = table.columns.map(c => c.fullHeader || c.header)
+      const alignments = table.columns.map(c => c.right ? '---:' : '---')
+      return formatLine(headers) + formatLine(alignments) + table.rows.map(row => formatLine(table.columns.map(c => c.value(row)))).join('')
+    }).join('\n')
+  }
+
+  _reportTable(report) {
+    if (report.type == 'expiring') {
+      return this._expiryTable(report.data)
+    } else if (report.type == 'recommendations') {
+      return this._recommendationTable(report.data)
+    } else if (report.type == 'exchanges') {
+      return this._exchangeTable(report.data)
+    } else if (report.type == 'tags') {
+      return this._tagTable(report.data, report.tagKey)
+    } else if (report.type == 'reservations') {
+      return this._reservationTable(report.data)
+    } else if (report.type == 'trends') {
+      return this._trendTable(report.data)
+    } else if (report.type == 'simulation') {
+      return this._simulationTable(report.data)
+    } else {
+      return this._summaryTable(report.data)
+    }
+  }
+
+  _summaryTable(summary) {
+    return this._summaryRowsTable(this._flattenSummary(summary, {}))
+  }
+
+  _summaryRowsTable(rows) {
+    let labels = LABEL_COLUMNS.filter(c => rows.some(row => c in row))
+    if (labels.includes('type')) {
+      labels = labels.filter(c => c != 'family')
+    }
+    const properties = SUMMARY_COLUMNS.slice()
+    if (rows.some(row => 'savingsPlan' in row)) {
+      properties.splice(properties.indexOf('reserved') + 1, 0, 'savingsPlan')
+    }
+    const columns = labels.map(label => ({header: label, value: r => this._rowLabel(r, [label])}))
+      .concat(properties.map(p => ({header: COLUMN_HEADERS[p] || p, value: r => r[p], right: true})))
+      .concat(COST_COLUMNS.filter(c => rows.some(row => c.property in row)).map(c => ({header: c.header, value: r => this._formatCost(r[c.property]), right: true})))
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _flattenSummary(summary, labels) {
+    const withLabels = (rows, labels) => rows.map(row => Object.assign({}, labels, row))
+    if (summary.services) {
+      return summary.services.reduce((rows, s) => rows.concat(this._flattenSummary(s.summary, Object.assign({}, labels, {service: s.service}))), [])
+    } else if (this._isGroupedSummary(summary)) {
+      const regionRows = summary.regions.reduce((rows, s) => rows.concat(withLabels(s.summary, Object.assign({}, labels, {region: s.region}))), [])
+      return regionRows.concat(withLabels(summary.total, Object.assign({}, labels, {region: 'total'})))
+    } else {
+      return withLabels(summary, labels)
+    }
+  }
+
+  _plainTextSummary(summary) {
+    if (summary.services) {
+      return summary.services.map(s => `${this._formatService(s.service)}\n${this._plainTextSummary(s.summary)}`).join('\n')
+    } else if (this._isGroupedSummary(summary)) {
+      const sections = summary.regions.map(s => `${s.region}\n${this._plainTextTable(s.summary)}`)
+      sections.push(`total\n${this._plainTextTable(summary.total)}`)
+      return sections.join('\n')
+    } else {
+      return this._plainTextTable(summary)
+    }
+  }
+
+  _isGroupedSummary(summary) {
+    return !Array.isArray(summary)
+  }
+
+  _plainTextTable(summary) {
+    let labels = LABEL_COLUMNS.filter(c => summary.some(row => c in row))
+    if (labels.includes('type')) {
+      labels = labels.filter(c => c != 'family')
+    }
+    const columns = SUMMARY_COLUMNS.slice()
+    if (summary.some(row => 'savingsPlan' in row)) {
+      columns.splice(columns.indexOf('reserved') + 1, 0, 'savingsPlan')
+    }
+    const costs = COST_COLUMNS.filter(c => summary.some(row => c.property in row))
+    const labelWidth = Math.max(2, ...summary.map(row => this._rowLabel(row, labels).length))
+    let str = this._rightPad('', ' ', labelWidth)
+    columns.forEach(p => str += ' ' + this._leftPad(COLUMN_HEADERS[p] || p, ' ', 10))
+    costs.forEach(c => str += ' ' + this._leftPad(c.header, ' ', 12))
+    str += '\n'
+    for (let row of summary) {
+      str += this._rightPad(this._rowLabel(row, labels), ' ', labelWidth)
+      columns.forEach(p => str += ' ' + this._leftPad(row[p].toString(), ' ', 10))
+      costs.forEach(c => str += ' ' + this._leftPad(this._formatCost(row[c.property]), ' ', 12))
+      str += '\n'
+    }
+    return str
+  }
+
+  _plainTextExpiryReport(rows) {
+    const table = this._expiryTable(rows)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _expiryTable(rows) {
+    const columns = [
+      {header: 'id', value: r => r.id},
+      {header: 'type', value: r => r.type},
+      {header: 'scope', value: r => this._formatScope(r.az)},
+      {header: 'count', value: r => r.count, right: true},
+      {header: 'units', value: r => this._formatUnits(r.units), right: true},
+      {header: 'end', value: r => this._formatDate(r.end)},
+      {header: 'days left', value: r => r.daysRemaining, right: true},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _plainTextRecommendationReport(rows) {
+    const table = this._recommendationTable(rows)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _recommendationTable(rows) {
+    const columns = [
+      {header: 'type', value: r => r.type},
+      {header: 'platform', value: r => r.platform},
+      {header: 'tenancy', value: r => r.tenancy},
+      {header: 'scope', value: r => r.scope},
+      {header: 'offering class', value: r => r.offeringClass},
+      {header: 'count', value: r => r.count, right: true},
+      {header: 'units', value: r => r.units, right: true},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _plainTextExchangeReport(proposals) {
+    const table = this._exchangeTable(proposals)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _exchangeTable(proposals) {
+    const rows = proposals.reduce((rows, proposal) => {
+      return rows.concat(proposal.to.map((target, index) => ({proposal, target, first: index == 0})))
+    }, [])
+    const firstOnly = (value) => (r) => r.first ? value(r) : ''
+    const columns = [
+      {header: 'action', value: firstOnly(r => r.proposal.modification ? `${r.proposal.action} ${r.proposal.modification}` : r.proposal.action)},
+      {header: 'reservation', value: firstOnly(r => r.proposal.reservationIds.join(', '))},
+      {header: 'from', value: firstOnly(r => `${r.proposal.from.type} ${this._formatScope(r.proposal.from.az)}`)},
+      {header: 'surplus', value: firstOnly(r => r.proposal.surplus), right: true},
+      {header: 'to', value: r => `${r.target.type} ${this._formatScope(r.target.az)}`},
+      {header: 'count', value: r => r.target.count, right: true},
+      {header: 'units', value: r => r.target.units, right: true},
+    ]
+    if (proposals.some(p => 'region' in p)) {
+      columns.unshift({header: 'region', value: firstOnly(r => r.proposal.region)})
+    }
+    if (proposals.some(p => 'service' in p)) {
+      columns.unshift({header: 'service', value: firstOnly(r => this._formatService(r.proposal.service))})
+    }
+    return {rows, columns}
+  }
+
+  _plainTextTagReport(rows, tagKey) {
+    const table = this._tagTable(rows, tagKey)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _tagTable(rows, tagKey) {
+    const columns = [
+      {header: tagKey, value: r => r.tagValue == null ? '(untagged)' : r.tagValue},
+      {header: 'running', value: r => r.running, right: true},
+      {header: 'covered', value: r => r.covered, right: true},
+      {header: 'reservable', value: r => r.reservable, right: true},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _plainTextReservationReport(rows) {
+    const table = this._reservationTable(rows)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _reservationTable(rows) {
+    const columns = [
+      {header: 'id', value: r => r.id},
+      {header: 'type', value: r => r.type},
+      {header: 'scope', value: r => this._formatScope(r.az)},
+      {header: 'offering class', value: r => r.offeringClass},
+      {header: 'units', value: r => this._formatUnits(r.units), right: true},
+      {header: 'consumed', value: r => this._formatUnits(r.consumedUnits), right: true},
+      {header: 'remaining', value: r => this._formatUnits(r.remainingUnits), right: true},
+      {header: 'instances', value: r => this._formatInstanceIds(r.instances)},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _unclassifiedTable(rows) {
+    const columns = [
+      {header: 'unclassified', value: r => r.type},
+      {header: 'instances', value: r => r.instances, right: true},
+      {header: 'reservations', value: r => r.reservations, right: true},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _failureTable(rows) {
+    const columns = [
+      {header: 'failed service', value: r => this._formatService(r.service)},
+      {header: 'error', value: r => r.error},
+    ]
+    return {rows, columns}
+  }
+
+  _plainTextSimulationReport(simulation) {
+    const table = this._changeTable(simulation.changes)
+    return [
+      `before\n${this._plainTextSummary(simulation.before)}`,
+      `after\n${this._plainTextSummary(simulation.after)}`,
+      `change\n${table.rows.length > 0 ? this._plainTextColumns(table.rows, table.columns) : 'no change\n'}`,
+    ].join('\n')
+  }
+
+  _changeTable(rows) {
+    const table = this._summaryRowsTable(rows)
+    const columns = table.columns.map((c) => {
+      return c.right ? Object.assign({}, c, {value: r => this._formatChange(c.value(r))}) : c
+    })
+    return {rows, columns}
+  }
+
+  _formatChange(value) {
+    return parseFloat(value) > 0 ? `+${value}` : String(value)
+  }
+
+  _simulationTable(simulation) {
+    const changeLabels = this._isGroupedSummary(simulation.before) ? {stage: 'change', region: 'total'} : {stage: 'change'}
+    const rows = this._flattenSummary(simulation.before, {stage: 'before'})
+      .concat(this._flattenSummary(simulation.after, {stage: 'after'}))
+      .concat(simulation.changes.map(row => Object.assign({}, changeLabels, row)))
+    const table = this._summaryRowsTable(rows)
+    table.columns.unshift({header: 'stage', value: r => r.stage})
+    return table
+  }
+
+  _plainTextTrendReport(rows) {
+    const table = this._trendTable(rows)
+    return this._plainTextColumns(table.rows, table.columns)
+  }
+
+  _trendTable(rows) {
+    const columns = [
+      {header: 'family', value: r => r.family},
+      {header: 'platform', value: r => r.platform},
+      {header: 'snapshots', value: r => r.snapshots, right: true},
+      {header: 'running min', value: r => r.runningMin, right: true},
+      {header: 'avg', fullHeader: 'running avg', value: r => r.runningAvg, right: true},
+      {header: 'max', fullHeader: 'running max', value: r => r.runningMax, right: true},
+      {header: 'reservable min', value: r => r.reservableMin, right: true},
+      {header: 'avg', fullHeader: 'reservable avg', value: r => r.reservableAvg, right: true},
+      {header: 'max', fullHeader: 'reservable max', value: r => r.reservableMax, right: true},
+    ]
+    if (rows.some(r => 'region' in r)) {
+      columns.unshift({header: 'region', value: r => r.region})
+    }
+    if (rows.some(r => 'service' in r)) {
+      columns.unshift({header: 'service', value: r => this._formatService(r.service)})
+    }
+    return {rows, columns}
+  }
+
+  _formatInstanceIds(instances) {
+    const counts = {}
+    instances.forEach(i => counts[i.id] = (counts[i.id] || 0) + 1)
+    return Object.keys(counts).map(id => counts[id] > 1 ? `${id} (${counts[id]})` : id).join(', ')
+  }
+
+  _plainTextColumns(rows, columns) {
+    const cells = rows.map(row => columns.map(c => String(c.value(row))))
+    const widths = columns.map((c, i) => Math.max(c.header.length, ...cells.map(rowCells => rowCells[i].length)))
+    const formatLine = (values) => {
+      const line = values.map((value, i) => columns[i].right ? this._leftPad(value, ' ', widths[i]) : this._rightPad(value, ' ', widths[i]))
+      return line.join('  ').replace(/\s+$/, '') + '\n'
+    }
+    return formatLine(columns.map(c => c.header)) + cells.map(formatLine).join('')
+  }
+
+  _formatService(service) {
+    return SERVICE_NAMES[service] || service
+  }
+
+  _formatScope(az) {
+    return az == '*' ? 'Region' : az
+  }
+
+  _formatDate(date) {
+    return new Date(date).toISOString().substring(0, 10)
+  }
+
+  _formatCost(cost) {
+    return cost == null ? UNPRICED : cost.toFixed(2)
+  }
+
+  _formatUnits(units) {
+    return units == null ? UNKNOWN_UNITS : units
+  }
+
+  _rowLabel(row, labels) {
+    return labels.map((label) => {
+      if (row[label] == null) {
+        return '-'
+      } else if (label == 'az') {
+        return this._formatScope(row[label])
+      } else {
+        return row[label]
+      }
+    }).join(' ')
+  }
+
+  _leftPad(str, pad, n) {
+    return this._padding(str, pad, n) + str
+  }
+
+  _rightPad(str, pad, n) {
+    return str + this._padding(str, pad, n)
+  }
+
+  _padding(str, pad, n) {
+    let padding = ''
+    for (let i = 0; i < Math.max(0, n - str.length); i++) {
+      padding += pad
+    }
+    return padding
+  }
+}
+
+class CommandLineFormatter extends ApiGatewayFormatter {
+  constructor(format) {
+    super(null)
+    this._format = format
+  }
+
+  formatResponse(report) {
+    if (this._format == 'json') {
+      return JSON.stringify(reportJson(report), null, 2) + '\n'
+    } else {
+      return this._renderReport(report, this._format)
+    }
+  }
+
+  formatErrorResponse(error) {
+    throw error
+  }
+}
+
+class SlackFormatter extends ApiGatewayFormatter {
+  isAcceptable() {
+    return true
+  }
+
+  formatResponse(report) {
+    return this._messageResponse(this.formatMessage(report))
+  }
+
+  _messageResponse(message) {
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(message),
+    }
+  }
+
+  formatErrorResponse(error) {
+    if (error instanceof UsageError) {
+      return this._messageResponse({
+        response_type: 'ephemeral',
+        text: `${error.message}\n\n${error.usage}`,
+        mrkdwn: true,
+      })
+    } else {
+      return super.formatErrorResponse(error)
+    }
+  }
+
+  formatMessage(report) {
+    if (report.type == 'help') {
+      return {response_type: 'ephemeral', text: report.data, mrkdwn: true}
+    }
+    const lines = [this._formatBody(report)]
+    if (report.failures && report.failures.length > 0) {
+      lines.push(this._formatFailureWarning(report.failures))
+    }
+    const message = {
+      response_type: 'in_channel',
+      text: lines.join('\n'),
+      mrkdwn: true,
+    }
+    const blocks = report.type == 'summary' ? this._summaryBlocks(report) : null
+    if (blocks) {
+      message.blocks = blocks
+    }
+    return message
+  }
+
+  _summaryBlocks(report) {
+    const rows = Array.isArray(report.data) ? report.data : this._summaryRows(report.data)
+    if (rows == null) {
+      return null
+    }
+    const blocks = [this._textBlock(`The number of small-equivalents currently running and reserved in ${this._formatRegions(report)}`)]
+    rows.forEach((row) => {
+      blocks.push({
+        type: 'section',
+        text: {type: 'mrkdwn', text: `${this._indicator(row)} *${this._blockLabel(row)}*`},
+        fields: BLOCK_COLUMNS.filter(c => c.property in row).map(c => ({type: 'mrkdwn', text: `*${c.header}*\n${this._formatBlockValue(row[c.property])}`})),
+      })
+      if (report.family == null) {
+        blocks.push(this._drillDownBlock(report, row))
+      }
+    })
+    if (report.expiring && report.expiring.length > 0) {
+      blocks.push(this._textBlock(this._formatExpiryWarning(report.expiring, report.expiryWindow)))
+    }
+    if (report.unclassified && report.unclassified.length > 0) {
+      blocks.push(this._textBlock(this._formatUnclassifiedWarning(report.unclassified)))
+    }
+    if (report.failures && report.failures.length > 0) {
+      blocks.push(this._textBlock(this._formatFailureWarning(report.failures)))
+    }
+    return blocks.length <= MAX_BLOCKS ? blocks : null
+  }
+
+  _summaryRows(data) {
+    if (data.regions && data.regions.length == 1) {
+      return data.regions[0].summary
+    } else {
+      return data.total
+    }
+  }
+
+  _textBlock(text) {
+    return {type: 'section', text: {type: 'mrkdwn', text}}
+  }
+
+  _indicator(row) {
+    if (row.surplus > 0) {
+      return ':red_circle:'
+    } else if (row.reservable > 0) {
+      return ':large_yellow_circle:'
+    } else {
+      return ':large_green_circle:'
+    }
+  }
+
+  _blockLabel(row) {
+    return LABEL_COLUMNS.filter(label => label in row).map(label => this._rowLabel(row, [label])).join(' · ')
+  }
+
+  _formatBlockValue(value) {
+    if (value == null) {
+      return UNPRICED
+    } else {
+      return typeof value == 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value)
+    }
+  }
+
+  _drillDownBlock(report, row) {
+    const parameters = {family: row.family, region: report.regions.join(','), service: report.service}
+    return {
+      type: 'actions',
+      elements: [
+        this._button('Zones', 'drill_down_zones', Object.assign({report: 'summary', groupBy: 'az'}, parameters)),
+        this._button('Reservations', 'drill_down_reservations', Object.assign({report: 'reservations'}, parameters)),
+      ],
+    }
+  }
+
+  _button(text, actionId, value) {
+    return {
+      type: 'button',
+      text: {type: 'plain_text', text},
+      action_id: actionId,
+      value: JSON.stringify(value),
+    }
+  }
+
+  _formatBody(report) {
+    if (report.type == 'expiring') {
+      return this._formatExpiryReport(report)
+    } else if (report.type == 'recommendations') {
+      return this._formatRecommendationReport(report)
+    } else if (report.type == 'exchanges') {
+      return this._formatExchangeReport(report)
+    } else if (report.type == 'tags') {
+      return this._formatTagReport(report)
+    } else if (report.type == 'reservations') {
+      return this._formatReservationReport(report)
+    } else if (report.type == 'trends') {
+      return this._formatTrendReport(report)
+    } else {
+      return this._formatSummary(report)
+    }
+  }
+
+  _formatSummary(report) {
+    const summary = report.data
+    const lines = [
+      `The number of small-equivalents currently running and reserved in ${this._formatRegions(report)}`,
+      '```',
+      this._plainTextSummary(summary),
+      '```',
+    ]
+    if (report.expiring && report.expiring.length > 0) {
+      lines.push(this._formatExpiryWarning(report.expiring, report.expiryWindow))
+    }
+    if (report.unclassified && report.unclassified.length > 0) {
+      lines.push(this._formatUnclassifiedWarning(report.unclassified))
+    }
+    return lines.join('\n')
+  }
+
+  _formatRegions(report) {
+    const regions = report.regions.join(', ')
+    const family = report.family ? ` (${report.family} only)` : ''
+    if (report.service == ALL_SERVICES) {
+      return `${regions} for all services${family}`
+    } else if (report.service != null && report.service != 'ec2') {
+      return `${regions} for ${this._formatService(report.service)}${family}`
+    } else {
+      return `${regions}${family}`
+    }
+  }
+
+  _formatExpiryWarning(expiring, expiryWindow) {
+    const noun = expiring.length == 1 ? 'reservation expires' : 'reservations expire'
+    const lines = [`:warning: *${expiring.length} ${noun} within ${expiryWindow} days:*`]
+    expiring.forEach((r) => {
+      const region = r.region ? ` in ${r.region}` : ''
+      lines.push(`• \`${r.id}\`: ${r.count} × ${r.type} (${this._formatScope(r.az)}${region}) expires on ${this._formatDate(r.end)}, *${r.daysRemaining} days* left`)
+    })
+    return lines.join('\n')
+  }
+
+  _formatUnclassifiedWarning(unclassified) {
+    const description = unclassified.length == 1 ? 'type is not included because its size is unknown' : 'types are not included because their sizes are unknown'
+    const lines = [`:grey_question: *${unclassified.length} instance ${description}:*`]
+    unclassified.forEach((row) => {
+      const region = row.region ? ` in ${row.region}` : ''
+      lines.push(`• \`${row.type}\`${region}: ${row.instances} running, ${row.reservations} reserved`)
+    })
+    return lines.join('\n')
+  }
+
+  _formatFailureWarning(failures) {
+    const lines = [`:x: *${failures.length == 1 ? 'One service' : `${failures.length} services`} could not be included:*`]
+    failures.forEach(f => lines.push(`• ${this._formatService(f.service)}: ${f.error}`))
+    return lines.join('\n')
+  }
+
+  _formatExpiryReport(report) {
+    return [
+      `Reservations in ${this._formatRegions(report)} and the number of days until they expire`,
+      '```',
+      this._plainTextExpiryReport(report.data),
+      '```',
+    ].join('\n')
+  }
+
+  _formatRecommendationReport(report) {
+    const baseline = report.baseline == 'minimum' ? `, based on the lowest number of reservable units in the last ${report.period} days` : ''
+    if (report.data.length == 0 && report.reservableUnits > 0) {
+      return `There are ${report.reservableUnits} reservable units in ${this._formatRegions(report)}, but nothing to reserve after leaving ${report.headroom}% headroom${baseline}`
+    } else if (report.data.length == 0) {
+      return `There are no reservable instances in ${this._formatRegions(report)}, so there is nothing to reserve`
+    }
+    return [
+      `Reservations to buy to cover the reservable instances in ${this._formatRegions(report)}, leaving ${report.headroom}% headroom${baseline}`,
+      '```',
+      this._plainTextRecommendationReport(report.data),
+      '```',
+    ].join('\n')
+  }
+
+  _formatExchangeReport(report) {
+    if (report.data.length == 0) {
+      return `There are no surplus reservations in ${this._formatRegions(report)} that can be exchanged or modified to cover reservable instances`
+    }
+    const lines = [
+      `Exchanges and modifications that would put the surplus reservations in ${this._formatRegions(report)} to use`,
+      '```',
+      this._plainTextExchangeReport(report.data),
+      '```',
+    ]
+    if (report.data.some(p => p.partial)) {
+      lines.push('Reservations that are partially used must be split before the unused part can be exchanged or modified.')
+    }
+    return lines.join('\n')
+  }
+
+  _formatTrendReport(report) {
+    if (report.data.length == 0) {
+      return `There are no snapshots of ${this._formatRegions(report)} from the last ${report.period} days`
+    }
+    return [
+      `The lowest, average, and highest number of running and reservable units in ${this._formatRegions(report)} over the last ${report.period} days`,
+      '```',
+      this._plainTextTrendReport(report.data),
+      '```',
+    ].join('\n')
+  }
+
+  _formatReservationReport(report) {
+    if (report.data.length == 0) {
+      return `There are no reservations in ${this._formatRegions(report)}`
+    }
+    return [
+      `Reservations in ${this._formatRegions(report)}, how many of their units are used, and by which instances`,
+      '```',
+      this._plainTextReservationReport(report.data),
+      '```',
+    ].join('\n')
+  }
+
+  _formatTagReport(report) {
+    return [
+      `The number of small-equivalents currently running in ${this._formatRegions(report)} by the \`${report.tagKey}\` tag, and how many of them are covered`,
+      '```',
+      this._plainTextTagReport(report.data, report.tagKey),
+      '```',
+    ].join('\n')
+  }
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  JsonFormatter,
+  ApiGatewayFormatter,
+  CommandLineFormatter,
+  SlackFormatter,
+}
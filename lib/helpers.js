@@ -1,18 +1,123 @@
-exports.relativeSize = (size) => {
-  let sizes = ['nano', 'micro', 'small', 'medium', 'large', 'xlarge']
-  let n = sizes.indexOf(size)
-  if (n == 0) {
-    return 0.25
-  } else if (n == 1) {
-    return 0.5
-  } else if (n >= 2) {
-    return Math.pow(2, n - 2)
-  } else {
-    let matches = size != null && size.match(/^(\d+)xlarge/)
+const https = require('https')
+const AWS = require('aws-sdk')
+const {normalizationFactor} = require('./instance_sizes')
+
+exports.relativeSize = (size, family = null) => {
+  const factor = normalizationFactor(family, size)
+  if (factor == null) {
+    throw new Error(`Unsupported size: "${size}"`)
+  }
+  return factor
+}
+
+exports.splitInstanceClass = (instanceClass) => {
+  const separatorIndex = instanceClass.lastIndexOf('.')
+  return [instanceClass.substring(0, separatorIndex), instanceClass.substring(separatorIndex + 1)]
+}
+
+exports.parseAccounts = (str) => {
+  if (str == null || str.trim() == '') {
+    return []
+  }
+  const accounts = str.split(',').map(s => s.trim()).filter(s => s.length > 0).map((entry) => {
+    let name = null
+    let identifier = entry
+    const separatorIndex = entry.indexOf('=')
+    if (separatorIndex > 0 && !entry.startsWith('arn:')) {
+      name = entry.substring(0, separatorIndex)
+      identifier = entry.substring(separatorIndex + 1)
+    }
+    const matches = identifier.match(/^arn:aws[\w-]*:iam::(\d{12}):role\/.+$/)
     if (matches) {
-      return 8 * parseInt(matches[1])
+      return {id: matches[1], name: name || matches[1], roleArn: identifier}
+    } else if (/^\d{12}$/.test(identifier)) {
+      return {id: identifier, name: name || identifier, roleArn: null}
     } else {
-      throw new Error(`Unsupported size: "${size}"`)
+      throw new Error(`Unsupported account: "${entry}"`)
     }
+  })
+  const withoutRole = accounts.filter(a => a.roleArn == null)
+  if (withoutRole.length > 1) {
+    throw new Error(`Only one account can use the default credentials, give role ARNs for the others: ${withoutRole.map(a => a.name).join(', ')}`)
+  }
+  return accounts
+}
+
+exports.REPORTS = {
+  summary: 'running and reserved units per family (default)',
+  expiring: 'reservations and the number of days until they expire',
+  recommendations: 'reservations to buy to cover the reservable instances',
+  exchanges: 'exchanges and modifications that put surplus reservations to use',
+  tags: 'running and covered units by the value of a tag',
+  reservations: 'how many units of each reservation are used, and by which instances',
+  trends: 'the lowest, average, and highest usage over a period',
+  simulation: 'the summary before and after the changes in a file, see --changes',
+}
+
+exports.SERVICES = ['ec2', 'rds', 'elasticache', 'redshift', 'opensearch']
+
+exports.SERVICE_NAMES = {ec2: 'EC2', rds: 'RDS', elasticache: 'ElastiCache', redshift: 'Redshift', opensearch: 'OpenSearch'}
+
+exports.ALL_SERVICES = 'all'
+
+exports.GROUPINGS = ['account', 'az', 'type']
+
+exports.DEFAULT_PLATFORM = 'Linux/UNIX'
+
+exports.DEFAULT_TENANCY = 'default'
+
+exports.DEFAULT_EXPIRY_WINDOW = 30
+
+exports.DEFAULT_HEADROOM = 10
+
+exports.isPercentage = (value) => {
+  const n = parseFloat(value)
+  return n >= 0 && n <= 100
+}
+
+exports.DEFAULT_TAG_KEY = 'team'
+
+exports.DEFAULT_TREND_PERIOD = 30
+
+exports.daysRemaining = (end, now) => {
+  return Math.floor((new Date(end).getTime() - now) / 86400000)
+}
+
+exports.reservationEnd = (start, duration) => {
+  if (start && duration) {
+    return new Date(new Date(start).getTime() + duration * 1000)
+  } else {
+    return null
   }
 }
+
+exports.header = (event, name) => {
+  const headers = event.headers || {}
+  const key = Object.keys(headers).find(k => k.toLowerCase() == name.toLowerCase())
+  return key && headers[key]
+}
+
+exports.systemClock = {
+  get now() {
+    return Date.now()
+  },
+}
+
+exports.postJson = (url, body) => {
+  return new Promise((resolve, reject) => {
+    const request = https.request(url, {method: 'POST', headers: {'Content-Type': 'application/json'}}, (response) => {
+      response.resume()
+      if (response.statusCode >= 200 && response.statusCode < 300) {
+        resolve()
+      } else {
+        reject(new Error(`POST request failed with status code ${response.statusCode}`))
+      }
+    })
+    request.on('error', reject)
+    request.end(JSON.stringify(body))
+  })
+}
+
+exports.invokeAsync = (functionName, payload) => {
+  return new AWS.Lambda().invoke({FunctionName: functionName, InvocationType: 'Event', Payload: JSON.stringify(payload)}).promise()
+}
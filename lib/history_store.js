@@ -0,0 +1,145 @@
+const path = require('path')
+const {mkdir, readdir, readFile, writeFile} = require('fs').promises
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+
+const S3_CLIENTS = {}
+
+const ALERTS_NAME = 'alerts.json'
+
+const snapshotName = (createdAt) => new Date(createdAt).toISOString().replace(/[-:.]/g, '')
+
+const ignoreMissing = (code, value) => (error) => {
+  if (error.code == code) {
+    return value
+  } else {
+    throw error
+  }
+}
+
+class DirectoryHistoryStore {
+  constructor(directory) {
+    this._directory = directory
+  }
+
+  save(snapshot) {
+    const directory = path.join(this._directory, snapshot.service, snapshot.region)
+    const file = path.join(directory, `${snapshotName(snapshot.createdAt)}.json`)
+    return mkdir(directory, {recursive: true}).then(() => writeFile(file, JSON.stringify(snapshot)))
+  }
+
+  load(service, region, since) {
+    const directory = path.join(this._directory, service, region)
+    const first = snapshotName(since)
+    return readdir(directory)
+      .catch(ignoreMissing('ENOENT', []))
+      .then((names) => {
+        const files = names.filter(name => name.endsWith('.json') && name >= first).sort()
+        return Promise.all(files.map(name => readFile(path.join(directory, name), 'utf8').then(JSON.parse)))
+      })
+  }
+
+  saveAlerts(service, alerts) {
+    const directory = path.join(this._directory, service)
+    return mkdir(directory, {recursive: true}).then(() => writeFile(path.join(directory, ALERTS_NAME), JSON.stringify(alerts)))
+  }
+
+  loadAlerts(service) {
+    return readFile(path.join(this._directory, service, ALERTS_NAME), 'utf8')
+      .then(JSON.parse)
+      .catch(ignoreMissing('ENOENT', []))
+  }
+}
+
+class S3HistoryStore extends AwsService {
+  constructor(bucket, prefix = null, region = null, endpoint = null, s3ClientFactory = null, s3ClientCache = null, delay = null) {
+    super(s3ClientFactory || AWS.S3, s3ClientCache || S3_CLIENTS, {}, null, delay)
+    this._bucket = bucket
+    this._prefix = prefix || ''
+    this._region = region
+    if (endpoint) {
+      this._clientOptions = {endpoint, s3ForcePathStyle: true}
+    }
+  }
+
+  save(snapshot) {
+    return this._request(this._region, 'putObject', {
+      Bucket: this._bucket,
+      Key: `${this._prefix}${snapshot.service}/${snapshot.region}/${snapshotName(snapshot.createdAt)}.json`,
+      Body: JSON.stringify(snapshot),
+      ContentType: 'application/json',
+    })
+  }
+
+  load(service, region, since) {
+    const prefix = `${this._prefix}${service}/${region}/`
+    return this._listKeys(prefix, `${prefix}${snapshotName(since)}`).then((keys) => {
+      return Promise.all(keys.map((key) => {
+        return this._request(this._region, 'getObject', {Bucket: this._bucket, Key: key})
+          .then((response) => JSON.parse(response.Body.toString('utf8')))
+      }))
+    })
+  }
+
+  saveAlerts(service, alerts) {
+    return this._request(this._region, 'putObject', {
+      Bucket: this._bucket,
+      Key: `${this._prefix}${service}/${ALERTS_NAME}`,
+      Body: JSON.stringify(alerts),
+      ContentType: 'application/json',
+    })
+  }
+
+  loadAlerts(service) {
+    return this._request(this._region, 'getObject', {Bucket: this._bucket, Key: `${this._prefix}${service}/${ALERTS_NAME}`})
+      .then((response) => JSON.parse(response.Body.toString('utf8')))
+      .catch(ignoreMissing('NoSuchKey', []))
+  }
+
+  _listKeys(prefix, startAfter) {
+    const loadPage = (continuationToken, keys) => {
+      const params = {Bucket: this._bucket, Prefix: prefix, StartAfter: startAfter}
+      if (continuationToken) {
+        params.ContinuationToken = continuationToken
+      }
+      return this._request(this._region, 'listObjectsV2', params).then((response) => {
+        const allKeys = keys.concat(response.Contents.map(object => object.Key).filter(key => key.endsWith('.json')))
+        if (response.IsTruncated) {
+          return loadPage(response.NextContinuationToken, allKeys)
+        } else {
+          return allKeys
+        }
+      })
+    }
+    return loadPage(null, [])
+  }
+}
+
+class NoHistoryStore {
+  constructor() {
+    this._alerts = {}
+  }
+
+  save() {
+    return Promise.resolve()
+  }
+
+  load() {
+    return Promise.resolve([])
+  }
+
+  saveAlerts(service, alerts) {
+    this._alerts[service] = alerts
+    return Promise.resolve()
+  }
+
+  loadAlerts(service) {
+    return Promise.resolve(this._alerts[service] || [])
+  }
+}
+
+module.exports = {
+  DirectoryHistoryStore,
+  S3HistoryStore,
+  NoHistoryStore,
+}
@@ -0,0 +1,102 @@
+const SIZES = {
+  nano: 0.25,
+  micro: 0.5,
+  small: 1,
+  medium: 2,
+  large: 4,
+  xlarge: 8,
+}
+
+const MULTIPLE_SIZE_PATTERN = /^(\d+(?:\.\d+)?)xlarge$/
+const METAL_SIZE_PATTERN = /^metal-(\d+(?:\.\d+)?)xl$/
+const METAL = 'metal'
+
+const METAL_EQUIVALENTS = {
+  'a1': '4xlarge',
+  'c5': '24xlarge',
+  'c5d': '24xlarge',
+  'c5n': '18xlarge',
+  'c6a': '48xlarge',
+  'c6g': '16xlarge',
+  'c6gd': '16xlarge',
+  'c6i': '32xlarge',
+  'c6id': '32xlarge',
+  'c6in': '32xlarge',
+  'c7a': '48xlarge',
+  'c7g': '16xlarge',
+  'c7gd': '16xlarge',
+  'c7gn': '16xlarge',
+  'g4dn': '24xlarge',
+  'g5g': '16xlarge',
+  'i3': '16xlarge',
+  'i3en': '24xlarge',
+  'i4i': '32xlarge',
+  'm5': '24xlarge',
+  'm5d': '24xlarge',
+  'm5dn': '24xlarge',
+  'm5n': '24xlarge',
+  'm5zn': '12xlarge',
+  'm6a': '48xlarge',
+  'm6g': '16xlarge',
+  'm6gd': '16xlarge',
+  'm6i': '32xlarge',
+  'm6id': '32xlarge',
+  'm6idn': '32xlarge',
+  'm6in': '32xlarge',
+  'm7a': '48xlarge',
+  'm7g': '16xlarge',
+  'm7gd': '16xlarge',
+  'r5': '24xlarge',
+  'r5b': '24xlarge',
+  'r5d': '24xlarge',
+  'r5dn': '24xlarge',
+  'r5n': '24xlarge',
+  'r6a': '48xlarge',
+  'r6g': '16xlarge',
+  'r6gd': '16xlarge',
+  'r6i': '32xlarge',
+  'r6id': '32xlarge',
+  'r6idn': '32xlarge',
+  'r6in': '32xlarge',
+  'r7a': '48xlarge',
+  'r7g': '16xlarge',
+  'r7gd': '16xlarge',
+  'x2gd': '16xlarge',
+  'x2idn': '32xlarge',
+  'x2iedn': '32xlarge',
+  'x2iezn': '12xlarge',
+  'z1d': '12xlarge',
+}
+
+exports.normalizationFactor = (family, size) => {
+  if (SIZES.hasOwnProperty(size)) {
+    return SIZES[size]
+  }
+  const matches = typeof size == 'string' && (size.match(MULTIPLE_SIZE_PATTERN) || size.match(METAL_SIZE_PATTERN))
+  if (matches) {
+    return SIZES.xlarge * parseFloat(matches[1])
+  } else if (size == METAL && METAL_EQUIVALENTS.hasOwnProperty(family)) {
+    return exports.normalizationFactor(family, METAL_EQUIVALENTS[family])
+  } else {
+    return null
+  }
+}
+
+exports.sizeWithNormalizationFactor = (factor) => {
+  const size = Object.keys(SIZES).find(s => SIZES[s] == factor)
+  return size || `${factor / SIZES.xlarge}xlarge`
+}
+
+exports.splitIntoSizes = (units, largest, smallest = SIZES.nano) => {
+  const factors = []
+  let factor = Math.pow(2, Math.floor(Math.log2(largest)))
+  while (factor >= smallest) {
+    if (factor <= units) {
+      factors.push(factor)
+      units -= factor
+    } else {
+      factor /= 2
+    }
+  }
+  return factors
+}
@@ -0,0 +1,57 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+const {SERVICE_NAMES, postJson} = require('./helpers')
+
+const ALERT_SUBJECT = 'Reservation usage alert'
+const SNS_CLIENTS = {}
+
+const alertMessage = (alert) => {
+  const platform = alert.platform ? ` (${alert.platform})` : ''
+  return `${SERVICE_NAMES[alert.service] || alert.service} ${alert.family}${platform} in ${alert.region} has ${alert.value} ${alert.metric} units, more than ${alert.threshold}`
+}
+
+class SlackWebhookNotifier {
+  constructor(webhookUrl, post = null) {
+    this._webhookUrl = webhookUrl
+    this._post = post || postJson
+  }
+
+  notify(alerts) {
+    if (alerts.length == 0) {
+      return Promise.resolve()
+    }
+    const lines = alerts.map(alert => `• ${alertMessage(alert)}`)
+    return this._post(this._webhookUrl, {text: [`${ALERT_SUBJECT}:`].concat(lines).join('\n')})
+  }
+}
+
+class SnsNotifier extends AwsService {
+  constructor(topicArn, snsClientFactory = null, snsClientCache = null, delay = null) {
+    super(snsClientFactory || AWS.SNS, snsClientCache || SNS_CLIENTS, {}, null, delay)
+    this._topicArn = topicArn
+    this._region = topicArn.split(':')[3]
+  }
+
+  notify(alerts) {
+    if (alerts.length == 0) {
+      return Promise.resolve()
+    }
+    return this._request(this._region, 'publish', {
+      TopicArn: this._topicArn,
+      Subject: ALERT_SUBJECT,
+      Message: alerts.map(alertMessage).join('\n'),
+    })
+  }
+}
+
+class NoNotifier {
+  notify() {
+    return Promise.resolve()
+  }
+}
+
+module.exports = {
+  SlackWebhookNotifier,
+  SnsNotifier,
+  NoNotifier,
+}
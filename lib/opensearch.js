@@ -0,0 +1,106 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+const {DEFAULT_TENANCY, splitInstanceClass, reservationEnd} = require('./helpers')
+const {normalizationFactor} = require('./instance_sizes')
+
+const NODES_CACHE_DURATION = 300000
+const RESERVATIONS_CACHE_DURATION = 3600000
+
+const MAX_DOMAINS_PER_REQUEST = 5
+const INSTANCE_TYPE_SUFFIX = /\.(search|elasticsearch)$/
+
+const RESULT_CACHE = {}
+const OPENSEARCH_CLIENTS = {}
+
+module.exports = class OpenSearch extends AwsService {
+  constructor(openSearchClientFactory = null, openSearchClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(openSearchClientFactory || AWS.OpenSearch, openSearchClientCache || OPENSEARCH_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
+  }
+
+  loadReservations(region) {
+    return this._cacheResult('reservations', region, RESERVATIONS_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeReservedInstances', {}, 'ReservedInstances', (reservation, account) => {
+        return reservation.State == 'active' ? [this._createReservation(reservation, account)] : []
+      })
+    })
+  }
+
+  loadInstances(region) {
+    return this._cacheResult('instances', region, NODES_CACHE_DURATION, () => {
+      return this._forAllAccounts((account) => {
+        return this._loadDomains(region, account).then((domains) => {
+          return domains
+            .filter(domain => !domain.Deleted)
+            .reduce((nodes, domain) => nodes.concat(this._createNodes(domain, account)), [])
+        })
+      })
+    })
+  }
+
+  _loadDomains(region, account) {
+    return this._request(region, 'listDomainNames', {}, account).then((response) => {
+      const domainNames = response.DomainNames.map(d => d.DomainName)
+      const batches = []
+      for (let i = 0; i < domainNames.length; i += MAX_DOMAINS_PER_REQUEST) {
+        batches.push(domainNames.slice(i, i + MAX_DOMAINS_PER_REQUEST))
+      }
+      return Promise.all(batches.map(batch => this._request(region, 'describeDomains', {DomainNames: batch}, account)))
+    }).then((responses) => responses.reduce((domains, response) => domains.concat(response.DomainStatusList), []))
+  }
+
+  _createReservation(reservation, account = null) {
+    const [family, size] = this._splitInstanceType(reservation.InstanceType)
+    const count = reservation.InstanceCount
+    return {
+      id: reservation.ReservedInstanceId,
+      family,
+      size,
+      offeringClass: 'standard',
+      az: '*',
+      tenancy: DEFAULT_TENANCY,
+      sizeFlexible: false,
+      count,
+      end: reservationEnd(reservation.StartTime, reservation.Duration),
+      account: account && account.name,
+      units: this._units(family, size, count),
+    }
+  }
+
+  _createNodes(domain, account = null) {
+    const config = domain.ClusterConfig
+    const nodes = this._createNodesOfType(domain.DomainName, config.InstanceType, config.InstanceCount, account)
+    if (config.DedicatedMasterEnabled) {
+      return nodes.concat(this._createNodesOfType(domain.DomainName, config.DedicatedMasterType, config.DedicatedMasterCount, account))
+    } else {
+      return nodes
+    }
+  }
+
+  _createNodesOfType(id, instanceType, count, account) {
+    const [family, size] = this._splitInstanceType(instanceType)
+    const nodes = []
+    for (let i = 0; i < count; i++) {
+      nodes.push({
+        id,
+        family,
+        size,
+        az: null,
+        tenancy: DEFAULT_TENANCY,
+        emr: false,
+        spot: false,
+        account: account && account.name,
+        units: this._units(family, size),
+      })
+    }
+    return nodes
+  }
+
+  _splitInstanceType(instanceType) {
+    return splitInstanceClass(instanceType.replace(INSTANCE_TYPE_SUFFIX, ''))
+  }
+
+  _units(family, size, count = 1) {
+    const factor = normalizationFactor(family, size)
+    return factor == null ? null : count * factor
+  }
+}
@@ -0,0 +1,50 @@
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_PRICE_FILE = path.join(__dirname, 'prices.json')
+const HOURS_PER_MONTH = 730
+
+module.exports = class PriceTable {
+  constructor(prices) {
+    this._prices = prices || {}
+  }
+
+  static load(priceFile = null) {
+    const file = priceFile || DEFAULT_PRICE_FILE
+    let prices = null
+    try {
+      prices = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not load price file "${file}": ${error.message}`)
+    }
+    return new PriceTable(prices)
+  }
+
+  static monthly(hourlyPrice) {
+    return hourlyPrice * HOURS_PER_MONTH
+  }
+
+  static round(price) {
+    return Math.round(price * 10000) / 10000
+  }
+
+  onDemandPrice(region, type, platform) {
+    return this._price(region, type, platform, 'onDemand')
+  }
+
+  reservedPrice(region, type, platform) {
+    return this._price(region, type, platform, 'reserved')
+  }
+
+  savingsPlanPrice(region, type, platform) {
+    const price = this._price(region, type, platform, 'savingsPlan')
+    return price == null ? this.onDemandPrice(region, type, platform) : price
+  }
+
+  _price(region, type, platform, kind) {
+    const regionPrices = this._prices[region] || {}
+    const typePrices = regionPrices[type] || {}
+    const prices = typePrices[platform] || {}
+    return typeof prices[kind] == 'number' ? prices[kind] : null
+  }
+}
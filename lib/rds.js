@@ -0,0 +1,107 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+const {DEFAULT_TENANCY, splitInstanceClass, reservationEnd} = require('./helpers')
+const {normalizationFactor} = require('./instance_sizes')
+
+const INSTANCES_CACHE_DURATION = 300000
+const RESERVATIONS_CACHE_DURATION = 3600000
+
+const INACTIVE_INSTANCE_STATUSES = ['stopped', 'stopping', 'deleting']
+const UNRESERVABLE_INSTANCE_CLASSES = ['db.serverless']
+const ENGINE_ALIASES = {'postgresql': 'postgres'}
+const LICENSED_ENGINES = /^(oracle|sqlserver)-/
+const SIZE_FLEXIBLE_ENGINES = ['mysql', 'mariadb', 'postgres', 'aurora', 'aurora-mysql', 'aurora-postgresql']
+const SIZE_FLEXIBLE_LICENSED_ENGINES = /^oracle-.+\(byol\)$/
+
+const RESULT_CACHE = {}
+const RDS_CLIENTS = {}
+
+module.exports = class RDS extends AwsService {
+  constructor(rdsClientFactory = null, rdsClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(rdsClientFactory || AWS.RDS, rdsClientCache || RDS_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
+    this._pageToken = 'Marker'
+  }
+
+  loadReservations(region) {
+    return this._cacheResult('reservations', region, RESERVATIONS_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeReservedDBInstances', {}, 'ReservedDBInstances', (reservation, account) => {
+        return reservation.State == 'active' ? [this._createReservation(reservation, account)] : []
+      })
+    })
+  }
+
+  loadInstances(region) {
+    return this._cacheResult('instances', region, INSTANCES_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeDBInstances', {}, 'DBInstances', (instance, account) => {
+        return this._isReservable(instance) ? [this._createInstance(instance, account)] : []
+      })
+    })
+  }
+
+  _createReservation(reservation, account = null) {
+    const [family, size] = splitInstanceClass(reservation.DBInstanceClass)
+    const platform = this._normalizeEngine(reservation.ProductDescription)
+    const count = reservation.DBInstanceCount
+    const multiAz = reservation.MultiAZ === true
+    return {
+      id: reservation.ReservedDBInstanceId,
+      family,
+      size,
+      offeringClass: 'standard',
+      az: '*',
+      platform,
+      tenancy: DEFAULT_TENANCY,
+      multiAz,
+      sizeFlexible: this._isSizeFlexible(platform),
+      count,
+      end: reservationEnd(reservation.StartTime, reservation.Duration),
+      account: account && account.name,
+      units: this._units(family, size, multiAz, count),
+    }
+  }
+
+  _createInstance(instance, account = null) {
+    const [family, size] = splitInstanceClass(instance.DBInstanceClass)
+    const multiAz = instance.MultiAZ === true
+    return {
+      id: instance.DBInstanceIdentifier,
+      family,
+      size,
+      az: instance.AvailabilityZone,
+      platform: this._instanceEngine(instance),
+      tenancy: DEFAULT_TENANCY,
+      multiAz,
+      emr: false,
+      spot: false,
+      account: account && account.name,
+      units: this._units(family, size, multiAz),
+    }
+  }
+
+  _isReservable(instance) {
+    return !INACTIVE_INSTANCE_STATUSES.includes(instance.DBInstanceStatus)
+      && !UNRESERVABLE_INSTANCE_CLASSES.includes(instance.DBInstanceClass)
+  }
+
+  _units(family, size, multiAz, count = 1) {
+    const factor = normalizationFactor(family, size)
+    return factor == null ? null : count * factor * (multiAz ? 2 : 1)
+  }
+
+  _instanceEngine(instance) {
+    const engine = this._normalizeEngine(instance.Engine)
+    if (LICENSED_ENGINES.test(engine)) {
+      return `${engine}(${instance.LicenseModel == 'license-included' ? 'li' : 'byol'})`
+    } else {
+      return engine
+    }
+  }
+
+  _isSizeFlexible(engine) {
+    return SIZE_FLEXIBLE_ENGINES.includes(engine) || SIZE_FLEXIBLE_LICENSED_ENGINES.test(engine)
+  }
+
+  _normalizeEngine(engine) {
+    return ENGINE_ALIASES[engine] || engine
+  }
+}
@@ -0,0 +1,102 @@
+const {DEFAULT_HEADROOM, DEFAULT_PLATFORM, DEFAULT_TENANCY} = require('./helpers')
+const {sizeWithNormalizationFactor, splitIntoSizes} = require('./instance_sizes')
+
+const DEFAULT_OFFERING_CLASS = 'standard'
+const SMALLEST_FILL_UNITS = 4
+
+module.exports = class RecommendationReport {
+  constructor(reservableInstances, options = {}) {
+    this._reservableInstances = reservableInstances
+    this._headroom = options.headroom == null ? DEFAULT_HEADROOM : options.headroom
+    this._offeringClass = options.offeringClass || DEFAULT_OFFERING_CLASS
+    this._baselines = options.baselines || null
+  }
+
+  generate() {
+    const groups = this._groupInstances()
+    const limits = this._baselineLimits()
+    return Object.keys(groups).sort().reduce((recommendations, key) => {
+      return recommendations.concat(this._recommendForGroup(groups[key], limits))
+    }, [])
+  }
+
+  _baselineLimits() {
+    if (this._baselines == null) {
+      return null
+    }
+    const limits = {}
+    this._baselines.forEach((baseline) => {
+      limits[JSON.stringify([baseline.family, baseline.platform])] = baseline.reservableMin
+    })
+    return limits
+  }
+
+  _groupInstances() {
+    const groups = {}
+    this._reservableInstances.forEach((instance) => {
+      const key = JSON.stringify([instance.family, this._platform(instance), this._tenancy(instance)])
+      groups[key] = groups[key] || []
+      groups[key].push(instance)
+    })
+    return groups
+  }
+
+  _recommendForGroup(instances, limits) {
+    let totalUnits = instances.reduce((sum, i) => sum + i.units, 0)
+    if (limits) {
+      const key = JSON.stringify([instances[0].family, this._platform(instances[0])])
+      totalUnits = Math.min(totalUnits, limits[key] || 0)
+      limits[key] = (limits[key] || 0) - totalUnits
+    }
+    let remainingUnits = totalUnits * (100 - this._headroom) / 100
+    const counts = {}
+    const add = (size, units) => {
+      counts[size] = counts[size] || {size, units, count: 0}
+      counts[size].count++
+      remainingUnits -= units
+    }
+    this._sortBySizeDescending(instances).forEach((instance) => {
+      if (instance.instanceUnits == null && instance.units <= remainingUnits) {
+        add(instance.size, instance.units)
+      }
+    })
+    if (this._isSizeFlexible(instances[0])) {
+      this._fillSizes(instances, remainingUnits).forEach(units => add(sizeWithNormalizationFactor(units), units))
+    }
+    const template = instances[0]
+    return Object.keys(counts).map(size => counts[size]).sort((a, b) => b.units - a.units).map(({size, units, count}) => {
+      return {
+        type: `${template.family}.${size}`,
+        family: template.family,
+        size,
+        platform: this._platform(template),
+        tenancy: this._tenancy(template),
+        scope: 'Region',
+        offeringClass: this._offeringClass,
+        count,
+        units: count * units,
+      }
+    })
+  }
+
+  _fillSizes(instances, budget) {
+    const instanceUnits = instances.map(i => i.instanceUnits || i.units)
+    return splitIntoSizes(budget, Math.max(...instanceUnits), Math.min(SMALLEST_FILL_UNITS, ...instanceUnits))
+  }
+
+  _isSizeFlexible(instance) {
+    return this._platform(instance) == DEFAULT_PLATFORM && this._tenancy(instance) == DEFAULT_TENANCY
+  }
+
+  _sortBySizeDescending(instances) {
+    return instances.slice().sort((a, b) => (b.units - a.units) || (a.size < b.size ? -1 : (a.size > b.size ? 1 : 0)))
+  }
+
+  _platform(instance) {
+    return instance.platform || DEFAULT_PLATFORM
+  }
+
+  _tenancy(instance) {
+    return instance.tenancy || DEFAULT_TENANCY
+  }
+}
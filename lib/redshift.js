@@ -0,0 +1,78 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+const {DEFAULT_TENANCY, splitInstanceClass, reservationEnd} = require('./helpers')
+const {normalizationFactor} = require('./instance_sizes')
+
+const NODES_CACHE_DURATION = 300000
+const RESERVATIONS_CACHE_DURATION = 3600000
+
+const INACTIVE_CLUSTER_STATUSES = ['paused', 'deleting', 'final-snapshot']
+const SIZE_ALIASES = {'xlplus': 'xlarge'}
+
+const RESULT_CACHE = {}
+const REDSHIFT_CLIENTS = {}
+
+module.exports = class Redshift extends AwsService {
+  constructor(redshiftClientFactory = null, redshiftClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null) {
+    super(redshiftClientFactory || AWS.Redshift, redshiftClientCache || REDSHIFT_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
+    this._pageToken = 'Marker'
+  }
+
+  loadReservations(region) {
+    return this._cacheResult('reservations', region, RESERVATIONS_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeReservedNodes', {}, 'ReservedNodes', (reservation, account) => {
+        return reservation.State == 'active' ? [this._createReservation(reservation, account)] : []
+      })
+    })
+  }
+
+  loadInstances(region) {
+    return this._cacheResult('instances', region, NODES_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(region, 'describeClusters', {}, 'Clusters', (cluster, account) => {
+        return INACTIVE_CLUSTER_STATUSES.includes(cluster.ClusterStatus) ? [] : this._createNodes(cluster, account)
+      })
+    })
+  }
+
+  _createReservation(reservation, account = null) {
+    const [family, size] = splitInstanceClass(reservation.NodeType)
+    const count = reservation.NodeCount
+    return {
+      id: reservation.ReservedNodeId,
+      family,
+      size,
+      offeringClass: 'standard',
+      az: '*',
+      tenancy: DEFAULT_TENANCY,
+      sizeFlexible: false,
+      count,
+      end: reservationEnd(reservation.StartTime, reservation.Duration),
+      account: account && account.name,
+      units: this._units(family, size, count),
+    }
+  }
+
+  _createNodes(cluster, account = null) {
+    const [family, size] = splitInstanceClass(cluster.NodeType)
+    const nodes = []
+    for (let i = 0; i < cluster.NumberOfNodes; i++) {
+      nodes.push({
+        id: cluster.ClusterIdentifier,
+        family,
+        size,
+        az: cluster.AvailabilityZone,
+        tenancy: DEFAULT_TENANCY,
+        emr: false,
+        spot: false,
+        account: account && account.name,
+        units: this._units(family, size),
+      })
+    }
+    return nodes
+  }
+
+  _units(family, size, count = 1) {
+    const factor = normalizationFactor(family, SIZE_ALIASES[size] || size)
+    return factor == null ? null : count * factor
+  }
+}
@@ -1,11 +1,62 @@
+const {DEFAULT_PLATFORM, DEFAULT_TENANCY} = require('./helpers')
+
+const partOf = (instance, units) => {
+  if (units == 0) {
+    return null
+  } else if (units == instance.units) {
+    return instance
+  } else {
+    return Object.assign({}, instance, {units, instanceUnits: instance.instanceUnits || instance.units})
+  }
+}
+
+const compareValues = (a, b) => {
+  const x = a == null ? '' : a
+  const y = b == null ? '' : b
+  return x < y ? -1 : (x > y ? 1 : 0)
+}
+
+const compareInstances = (a, b) => {
+  return compareValues(a.family, b.family)
+    || (a.units - b.units)
+    || compareValues(a.size, b.size)
+    || compareValues(a.az, b.az)
+    || compareValues(a.platform, b.platform)
+    || compareValues(a.tenancy, b.tenancy)
+    || compareValues(a.account, b.account)
+    || compareValues(a.id, b.id)
+}
+
 class Reservation {
   constructor(properties) {
+    this.id = properties.id
     this.offeringClass = properties.offeringClass
     this.az = properties.az
     this.family = properties.family
     this.size = properties.size
+    this.platform = properties.platform || DEFAULT_PLATFORM
+    this.tenancy = properties.tenancy || DEFAULT_TENANCY
+    this.count = properties.count
     this.units = properties.units
+    this.account = properties.account
+    this.multiAz = properties.multiAz === true
+    this.sizeFlexible = properties.sizeFlexible
     this.remainingUnits = this.units
+    this.instances = []
+  }
+
+  isCompatibleWith(instance) {
+    return this.platform == (instance.platform || DEFAULT_PLATFORM)
+      && this.tenancy == (instance.tenancy || DEFAULT_TENANCY)
+      && (this.isSizeFlexible() || this.multiAz == (instance.multiAz === true))
+  }
+
+  isSizeFlexible() {
+    if (this.sizeFlexible != null) {
+      return this.sizeFlexible
+    }
+    return this.platform == DEFAULT_PLATFORM
+      && this.tenancy == DEFAULT_TENANCY
   }
 
   isStandardZonalReservationFor(instance) {
@@ -24,24 +75,33 @@ class Reservation {
       && this.remainingUnits >= instance.units
   }
 
-  isStandardRegionalReservationFor(instance) {
-    return this.offeringClass == 'standard'
-      && this.az == '*'
-      && this.family == instance.family
-      && this.remainingUnits >= instance.units
-  }
-
   isBestConvertibleRegionalReservationFor(instance) {
     return this.offeringClass == 'convertible'
+      && (this.az == '*' || this.az == instance.az)
       && this.family == instance.family
       && this.size == instance.size
       && this.remainingUnits >= instance.units
   }
 
-  isConvertibleRegionalReservationFor(instance) {
+  isPartialStandardRegionalReservationFor(instance) {
+    return this.offeringClass == 'standard'
+      && this.az == '*'
+      && this.isSizeFlexible()
+      && this.family == instance.family
+      && this.remainingUnits > 0
+  }
+
+  isPartialConvertibleRegionalReservationFor(instance) {
     return this.offeringClass == 'convertible'
+      && this.az == '*'
+      && this.isSizeFlexible()
       && this.family == instance.family
-      && this.remainingUnits >= instance.units
+      && this.remainingUnits > 0
+  }
+
+  consume(instance, units) {
+    this.consumeUnits(units)
+    this.instances.push(partOf(instance, units))
   }
 
   consumeUnits(count) {
@@ -62,24 +122,46 @@ module.exports = class ReservationManager {
     return this._reservations
   }
 
-  _findMatchingReservation(instance) {
-    return this._reservations.find(r => r.isStandardZonalReservationFor(instance))
-      || this._reservations.find(r => r.isBestStandardRegionalReservationFor(instance))
-      || this._reservations.find(r => r.isStandardRegionalReservationFor(instance))
-      || this._reservations.find(r => r.isBestConvertibleRegionalReservationFor(instance))
-      || this._reservations.find(r => r.isConvertibleRegionalReservationFor(instance))
+  _findExactReservation(instance) {
+    const candidates = this._reservations.filter(r => r.isCompatibleWith(instance))
+    return candidates.find(r => r.isStandardZonalReservationFor(instance))
+      || candidates.find(r => r.isBestStandardRegionalReservationFor(instance))
+      || candidates.find(r => r.isBestConvertibleRegionalReservationFor(instance))
       || null
   }
 
-  consumeReservedCapacity(instance) {
-    if (instance.spot) {
-      return null
-    }
-    const reservation = this._findMatchingReservation(instance)
-    if (reservation) {
-      reservation.consumeUnits(instance.units)
-    }
-    return reservation
+  _findPartialReservations(instance) {
+    const candidates = this._reservations.filter(r => r.isCompatibleWith(instance))
+    return candidates.filter(r => r.isPartialStandardRegionalReservationFor(instance))
+      .concat(candidates.filter(r => r.isPartialConvertibleRegionalReservationFor(instance)))
+  }
+
+  matchInstances(instances) {
+    const matches = instances.map(instance => ({instance, coveredUnits: 0}))
+    const pending = matches.filter(m => !m.instance.spot).sort((a, b) => compareInstances(a.instance, b.instance))
+    pending.forEach((match) => {
+      const reservation = this._findExactReservation(match.instance)
+      if (reservation) {
+        reservation.consume(match.instance, match.instance.units)
+        match.coveredUnits = match.instance.units
+      }
+    })
+    pending.filter(m => m.coveredUnits < m.instance.units).forEach((match) => {
+      this._findPartialReservations(match.instance).forEach((reservation) => {
+        const units = Math.min(reservation.remainingUnits, match.instance.units - match.coveredUnits)
+        if (units > 0) {
+          reservation.consume(match.instance, units)
+          match.coveredUnits += units
+        }
+      })
+    })
+    return matches.map(({instance, coveredUnits}) => {
+      return {
+        instance,
+        covered: partOf(instance, coveredUnits),
+        uncovered: partOf(instance, instance.units - coveredUnits),
+      }
+    })
   }
 
   unusedReservedCapacity() {
@@ -0,0 +1,33 @@
+module.exports = class ReservationReport {
+  constructor(reservations) {
+    this._reservations = reservations
+  }
+
+  generate() {
+    return this._reservations
+      .map(r => this._createRow(r))
+      .sort((a, b) => (b.remainingUnits - a.remainingUnits) || (a.id < b.id ? -1 : (a.id > b.id ? 1 : 0)))
+  }
+
+  _createRow(reservation) {
+    return {
+      id: reservation.id,
+      type: `${reservation.family}.${reservation.size}`,
+      az: reservation.az,
+      platform: reservation.platform,
+      offeringClass: reservation.offeringClass,
+      count: reservation.count,
+      units: reservation.units,
+      consumedUnits: reservation.units == null ? null : reservation.units - reservation.remainingUnits,
+      remainingUnits: reservation.remainingUnits,
+      instances: reservation.instances.map((instance) => {
+        return {
+          id: instance.id,
+          type: `${instance.family}.${instance.size}`,
+          az: instance.az,
+          units: instance.units,
+        }
+      }),
+    }
+  }
+}
@@ -1,162 +1,433 @@
 const querystring = require('querystring')
 const EC2 = require('./ec2')
+const RDS = require('./rds')
+const ElastiCache = require('./elasticache')
+const Redshift = require('./redshift')
+const OpenSearch = require('./opensearch')
 const Summarizer = require('./summarizer')
+const ExpiryReport = require('./expiry_report')
+const RecommendationReport = require('./recommendation_report')
+const ExchangeReport = require('./exchange_report')
+const TagReport = require('./tag_report')
+const ReservationReport = require('./reservation_report')
+const TrendReport = require('./trend_report')
+const PriceTable = require('./price_table')
+const AlertRules = require('./alert_rules')
+const Simulation = require('./simulation')
+const SavingsPlans = require('./savings_plans')
+const {SlackAuthentication, NoAuthentication} = require('./authentication')
+const {SlackCommand} = require('./slack_command')
+const {DirectoryHistoryStore, S3HistoryStore, NoHistoryStore} = require('./history_store')
+const {SlackWebhookNotifier, SnsNotifier, NoNotifier} = require('./notifiers')
+const {JsonFormatter, ApiGatewayFormatter, SlackFormatter} = require('./formatters')
+const {ALL_SERVICES, DEFAULT_EXPIRY_WINDOW, DEFAULT_HEADROOM, DEFAULT_TAG_KEY, DEFAULT_TREND_PERIOD, GROUPINGS, REPORTS, header, invokeAsync, isPercentage, parseAccounts, postJson, systemClock} = require('./helpers')
 
-const AUTHENTICATION_ERROR = new Error('Authentication error')
+const ALL_REGIONS = 'all'
+const DEFAULT_SERVICE = 'ec2'
+const OFFERING_CLASSES = ['standard', 'convertible']
+const BASELINES = ['current', 'minimum']
+const DEFAULT_BASELINE = 'current'
+const DEFAULT_REPORT = 'summary'
+const UNIT_REPORTS = ['summary', 'recommendations', 'exchanges', 'tags', 'simulation']
+const SLACK_ACTIONS_PAYLOAD = 'block_actions'
+const FOLLOW_UP_SOURCE = 'reservation-usage'
+const FOLLOW_UP_DETAIL_TYPE = 'Slack Interaction'
 
-class SlackAuthentication {
-  constructor(verificationToken) {
-    this._verificationToken = verificationToken
+module.exports = class ReservationUsage {
+  constructor(env = null, ec2 = null, clock = null, services = null, savingsPlans = null, historyStore = null, notifier = null, post = null, invoke = null) {
+    this._env = env || process.env
+    const accounts = parseAccounts(this._env.ACCOUNTS)
+    this._ec2 = ec2 || new EC2(null, null, null, null, null, accounts)
+    this._services = Object.assign({ec2: this._ec2}, services || this._createServices(accounts))
+    this._savingsPlans = savingsPlans || new SavingsPlans(null, null, null, null, null, accounts, null, this._env.SAVINGS_PLANS_ENDPOINT)
+    this._clock = clock || systemClock
+    this._historyStore = historyStore || this._createHistoryStore()
+    this._notifier = notifier || this._createNotifier()
+    this._post = post || postJson
+    this._invoke = invoke || invokeAsync
+    this._priceTable = null
   }
 
-  authenticate(event) {
-    const parameters = querystring.parse(event.body)
-    if (parameters.token === this._verificationToken) {
-      return Promise.resolve(event)
+  _createNotifier() {
+    if (this._env.ALERT_WEBHOOK_URL) {
+      return new SlackWebhookNotifier(this._env.ALERT_WEBHOOK_URL)
+    } else if (this._env.ALERT_TOPIC_ARN) {
+      return new SnsNotifier(this._env.ALERT_TOPIC_ARN)
     } else {
-      return Promise.reject(AUTHENTICATION_ERROR)
+      return new NoNotifier()
     }
   }
-}
 
-class NoAuthentication {
-  authenticate(event) {
-    return Promise.resolve(event)
+  _createHistoryStore() {
+    if (this._env.HISTORY_DIRECTORY) {
+      return new DirectoryHistoryStore(this._env.HISTORY_DIRECTORY)
+    } else if (this._env.HISTORY_BUCKET) {
+      return new S3HistoryStore(this._env.HISTORY_BUCKET, this._env.HISTORY_PREFIX, this._env.AWS_DEFAULT_REGION, this._env.HISTORY_ENDPOINT)
+    } else {
+      return new NoHistoryStore()
+    }
   }
-}
 
-class JsonFormatter {
-  formatResponse(summary) {
-    return summary
+  _createServices(accounts) {
+    return {
+      rds: new RDS(null, null, null, null, null, accounts),
+      elasticache: new ElastiCache(null, null, null, null, null, accounts),
+      redshift: new Redshift(null, null, null, null, null, accounts),
+      opensearch: new OpenSearch(null, null, null, null, null, accounts),
+    }
   }
 
-  formatErrorResponse(error) {
-    throw error
+  processEvent(event) {
+    if (this._isScheduledEvent(event)) {
+      return this._processScheduledEvent()
+    } else if (this._isSlackFollowUpEvent(event)) {
+      return this._processSlackFollowUp(event)
+    }
+    const authenticator = this._createAuthenticator(event)
+    const formatter = this._createResponseFormatter(event)
+    return authenticator.authenticate(event)
+      .then((event) => {
+        if (this._isSlackInteraction(event)) {
+          return this._processSlackInteraction(event)
+        } else if (!formatter.isAcceptable()) {
+          return formatter.formatNotAcceptableResponse()
+        } else {
+          return this._createReport(this._parseRequest(event)).then((report) => formatter.formatResponse(report))
+        }
+      })
+      .catch((error) => formatter.formatErrorResponse(error))
+  }
+
+  generateReport(parameters) {
+    return Promise.resolve().then(() => this._createReport(this._parseRequest(parameters)))
+  }
+
+  _processSlackInteraction(event) {
+    const payload = JSON.parse(querystring.parse(event.body).payload)
+    const acknowledgement = {statusCode: 200, headers: {}, body: ''}
+    if (payload.type != SLACK_ACTIONS_PAYLOAD || !Array.isArray(payload.actions) || payload.actions.length == 0) {
+      return Promise.resolve(acknowledgement)
+    }
+    const followUp = {
+      source: FOLLOW_UP_SOURCE,
+      'detail-type': FOLLOW_UP_DETAIL_TYPE,
+      detail: {parameters: JSON.parse(payload.actions[0].value), responseUrl: payload.response_url},
+    }
+    return this._invoke(this._env.AWS_LAMBDA_FUNCTION_NAME, followUp).then(() => acknowledgement)
   }
-}
 
-class ApiGatewayFormatter {
-  constructor(event) {
-    this._event = event
+  _processSlackFollowUp(event) {
+    const formatter = new SlackFormatter(event)
+    return this.generateReport(event.detail.parameters)
+      .then((report) => formatter.formatMessage(report))
+      .catch((error) => ({text: `The report could not be created: ${error.message}`}))
+      .then((message) => this._post(event.detail.responseUrl, Object.assign(message, {response_type: 'ephemeral', replace_original: false})))
   }
 
-  formatResponse(summary) {
-    let contentType = null
-    let body = null
-    if (this._event.headers.Accept === 'text/plain') {
-      contentType = 'text/plain; charset=UTF-8'
-      body = this._plainTextSummary(summary)
+  _processScheduledEvent() {
+    const request = this._parseRequest({region: this._env.ALERT_REGIONS, service: this._env.ALERT_SERVICE})
+    return Promise.resolve()
+      .then(() => this._loadAlertRules())
+      .then((rules) => this._createReport(request).then((report) => this._evaluateAlerts(report, rules)))
+      .then((results) => {
+        const alerts = results.reduce((alerts, r) => alerts.concat(r.alerts), [])
+        const newAlerts = results.reduce((alerts, r) => alerts.concat(r.newAlerts), [])
+        return this._notifier.notify(newAlerts)
+          .then(() => Promise.all(results.map(r => this._historyStore.saveAlerts(r.service, r.alerts))))
+          .then(() => ({alerts, notified: newAlerts}))
+      })
+  }
+
+  _evaluateAlerts(report, rules) {
+    const services = report.service == ALL_SERVICES ? report.data.services : [{service: report.service, summary: report.data}]
+    return Promise.all(services.map((s) => {
+      const regions = Array.isArray(s.summary) ? [{region: report.regions[0], summary: s.summary}] : s.summary.regions
+      const alerts = regions.reduce((alerts, r) => alerts.concat(rules.evaluate(r.summary, {service: s.service, region: r.region})), [])
+      return this._historyStore.loadAlerts(s.service).then((previousAlerts) => {
+        const previousKeys = previousAlerts.map(a => a.key)
+        return {service: s.service, alerts, newAlerts: alerts.filter(a => !previousKeys.includes(a.key))}
+      })
+    }))
+  }
+
+  _loadAlertRules() {
+    if (this._env.ALERT_RULES_FILE) {
+      return AlertRules.load(this._env.ALERT_RULES_FILE)
     } else {
-      contentType = 'application/json'
-      body = JSON.stringify(summary)
+      return AlertRules.parse(this._env.ALERT_RULES)
     }
-    return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': contentType,
-      },
-      body,
+  }
+
+  _createReport(request) {
+    if (request.usage) {
+      return Promise.resolve({type: 'help', data: request.usage})
+    }
+    if (request.report == 'simulation' && request.service != 'ec2') {
+      return Promise.reject(new Error('Simulations can only be run for EC2'))
     }
+    if (request.service == ALL_SERVICES) {
+      const services = Object.keys(this._services)
+      return Promise.all(services.map((service) => {
+        return this._createReport(Object.assign({}, request, {service})).catch((error) => ({service, error}))
+      })).then((results) => this._combineServiceReports(results))
+    }
+    const grouped = request.regions.length > 1 || request.regions[0] == ALL_REGIONS || request.groupBy.length > 0
+    const simulation = request.report == 'simulation' ? new Simulation(request.changes) : null
+    return Promise.all([
+      this._loadRegions(request.regions, request.service),
+      this._loadSavingsPlans(request.service),
+    ]).then(([loaded, savingsPlans]) => {
+      request = Object.assign({}, request, {savingsPlans})
+      if (request.family) {
+        loaded = loaded.map(l => this._filterFamily(l, request.family))
+      }
+      return this._loadHistory(loaded, request).then((history) => {
+        const report = {
+          type: request.report,
+          service: request.service,
+          regions: loaded.map(l => l.region),
+          expiryWindow: request.expiryWindow,
+          headroom: request.headroom,
+          tagKey: request.tagKey,
+          period: request.period,
+          baseline: request.baseline,
+          family: request.family,
+        }
+        if (UNIT_REPORTS.includes(request.report)) {
+          report.unclassified = this._unclassifiedReport(loaded, grouped)
+        }
+        if (request.report == 'expiring') {
+          report.data = this._expiryReport(loaded, request, grouped)
+        } else if (request.report == 'recommendations') {
+          const reservable = loaded.map(l => this._createSummarizer(l, request).reservableInstances())
+          report.data = this._recommendationReport(loaded, reservable, request, grouped, history)
+          report.reservableUnits = reservable.reduce((sum, instances) => instances.reduce((sum, i) => sum + i.units, sum), 0)
+        } else if (request.report == 'exchanges') {
+          report.data = this._exchangeReport(loaded, request, grouped)
+        } else if (request.report == 'tags') {
+          report.data = this._tagReport(loaded, request, grouped)
+        } else if (request.report == 'reservations') {
+          report.data = this._reservationReport(loaded, request, grouped)
+        } else if (request.report == 'trends') {
+          report.data = this._trendReport(loaded, grouped, history)
+        } else if (request.report == 'simulation') {
+          report.data = this._simulationReport(loaded, request, grouped, simulation)
+        } else {
+          report.data = grouped ? this._summarizeMultipleRegions(loaded, request) : this._summarize(loaded[0], request)
+          report.expiring = this._expiryReport(loaded, request, grouped).filter(r => r.expiring)
+          return request.family ? report : this._saveSnapshots(loaded, request).then(() => report)
+        }
+        return report
+      })
+    })
   }
 
-  formatErrorResponse(error) {
-    if (error === AUTHENTICATION_ERROR) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'text/plain',
-        },
-        body: 'Authentication error',
+  _filterFamily(loaded, family) {
+    const filtered = Object.assign({}, loaded, {
+      reservations: loaded.reservations.filter(r => r.family == family),
+      instances: loaded.instances.filter(i => i.family == family),
+    })
+    if (loaded.unclassified) {
+      filtered.unclassified = this._filterFamily(loaded.unclassified, family)
+    }
+    return filtered
+  }
+
+  _unclassifiedReservations(loaded) {
+    return loaded.unclassified ? loaded.unclassified.reservations : []
+  }
+
+  _unclassifiedReport(loaded, grouped) {
+    return loaded.reduce((rows, l) => {
+      const counts = {}
+      const count = (obj, property, n) => {
+        const type = `${obj.family}.${obj.size}`
+        counts[type] = counts[type] || {type, instances: 0, reservations: 0}
+        counts[type][property] += n
+      }
+      if (l.unclassified) {
+        l.unclassified.instances.forEach(i => count(i, 'instances', 1))
+        l.unclassified.reservations.forEach(r => count(r, 'reservations', r.count || 1))
       }
+      const regionRows = Object.keys(counts).sort().map(type => counts[type])
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
+  }
+
+  _loadHistory(loaded, request) {
+    if (request.report == 'trends' || (request.report == 'recommendations' && request.baseline == 'minimum')) {
+      const since = this._clock.now - request.period * 86400000
+      return Promise.all(loaded.map(l => this._historyStore.load(request.service, l.region, since)))
     } else {
-      throw error
+      return Promise.resolve(null)
     }
   }
 
-  _plainTextSummary(summary) {
-    const properties = [
-      'running',
-      'spot',
-      'emr',
-      'reserved',
-      'reservable',
-      'surplus',
-    ]
-    let str = '  '
-    properties.forEach(p => str += ' ' + this._leftPad(p, ' ', 10))
-    str += '\n'
-    for (let row of summary) {
-      str += row.family
-      properties.forEach(p => str += ' ' + this._leftPad(row[p].toString(), ' ', 10))
-      str += '\n'
-    }
-    return str
+  _saveSnapshots(loaded, request) {
+    const createdAt = new Date(this._clock.now).toISOString()
+    const snapshotRequest = Object.assign({}, request, {groupBy: ['platform'], costs: false, savingsPlans: this._resetSavingsPlans(request.savingsPlans)})
+    return Promise.all(loaded.map((l) => {
+      const summary = this._summarize(l, snapshotRequest)
+      return this._historyStore.save({createdAt, service: request.service, region: l.region, summary})
+        .catch((error) => console.warn(`Could not save the snapshot of ${l.region}: ${error.message}`))
+    }))
+  }
+
+  _resetSavingsPlans(savingsPlans) {
+    return savingsPlans && savingsPlans.map(p => Object.assign({}, p, {remainingCommitment: p.commitment}))
   }
 
-  _leftPad(str, pad, n) {
-    let padding = ''
-    for (let i = 0; i < Math.max(0, n - str.length); i++) {
-      padding += pad
+  _simulationReport(loaded, request, grouped, simulation) {
+    let simulated = loaded.map(l => simulation.apply(l))
+    if (request.family) {
+      simulated = simulated.map(l => this._filterFamily(l, request.family))
     }
-    return padding + str
+    const summarize = (loaded) => {
+      const sideRequest = Object.assign({}, request, {savingsPlans: this._resetSavingsPlans(request.savingsPlans)})
+      return grouped ? this._summarizeMultipleRegions(loaded, sideRequest) : this._summarize(loaded[0], sideRequest)
+    }
+    const before = summarize(loaded)
+    const after = summarize(simulated)
+    const changes = grouped ? Simulation.compare(before.total, after.total) : Simulation.compare(before, after)
+    return {before, after, changes}
   }
-}
 
-class SlackFormatter extends ApiGatewayFormatter {
-  constructor(event, region) {
-    super(event)
-    this._region = region
+  _trendReport(loaded, grouped, history) {
+    return loaded.reduce((rows, l, index) => {
+      const regionRows = new TrendReport(history[index]).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
   }
 
-  formatResponse(summary) {
+  _combineServiceReports(results) {
+    const reports = results.filter(r => r.error == null)
+    const failed = results.filter(r => r.error != null)
+    if (reports.length == 0) {
+      throw failed[0].error
+    }
+    const withService = (rows, service) => rows.map(row => Object.assign({service}, row))
+    const report = Object.assign({}, reports[0], {service: ALL_SERVICES})
+    report.failures = failed.map(r => ({service: r.service, error: r.error.message}))
+    if (report.type == 'summary') {
+      report.data = {services: reports.map(r => ({service: r.service, summary: r.data}))}
+      report.expiring = reports.reduce((rows, r) => rows.concat(withService(r.expiring, r.service)), [])
+        .sort((a, b) => a.daysRemaining - b.daysRemaining)
+    } else {
+      report.data = reports.reduce((rows, r) => rows.concat(withService(r.data, r.service)), [])
+      if (report.type == 'expiring') {
+        report.data.sort((a, b) => a.daysRemaining - b.daysRemaining)
+      } else if (report.type == 'recommendations') {
+        report.reservableUnits = reports.reduce((sum, r) => sum + r.reservableUnits, 0)
+      }
+    }
+    if (report.unclassified) {
+      report.unclassified = reports.reduce((rows, r) => rows.concat(withService(r.unclassified, r.service)), [])
+    }
+    return report
+  }
+
+  _summarizeMultipleRegions(loaded, request) {
+    let groupBy = request.groupBy
+    const allReservations = loaded.reduce((all, l) => all.concat(l.reservations), [])
+    const allInstances = loaded.reduce((all, l) => all.concat(l.instances), [])
+    if (Summarizer.hasMultiplePlatforms(allReservations, allInstances)) {
+      groupBy = ['platform'].concat(groupBy)
+    }
+    const summaries = loaded.map((l) => {
+      return {region: l.region, summary: this._summarize(l, Object.assign({}, request, {groupBy}))}
+    })
     return {
-      statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        response_type: 'in_channel',
-        text: this._formatBody(summary),
-        mrkdwn: true,
-      }),
-    }
-  }
-
-  _formatBody(summary) {
-    return [
-      `The number of small-equivalents currently running and reserved in ${this._region}`,
-      '```',
-      this._plainTextSummary(summary),
-      '```',
-    ].join('\n')
+      regions: summaries,
+      total: Summarizer.combine(summaries.map(s => s.summary)),
+    }
   }
-}
 
-module.exports = class ReservationUsage {
-  constructor(env = null, ec2 = null) {
-    this._env = env || process.env
-    this._ec2 = ec2 || new EC2()
+  _summarize(loaded, request) {
+    return this._createSummarizer(loaded, request).summarize()
   }
 
-  processEvent(event) {
-    const authenticator = this._createAuthenticator(event)
-    const formatter = this._createResponseFormatter(event)
-    return authenticator.authenticate(event)
-      .then((event) => {
-        return this._load(this._findRegion(event))
-          .then(([reservations, instances]) => this._summarize(reservations, instances))
-          .then(summary => formatter.formatResponse(summary))
-      })
-      .catch((error) => formatter.formatErrorResponse(error))
+  _createSummarizer(loaded, request) {
+    const options = {
+      groupBy: request.groupBy,
+      now: this._clock.now,
+      expiryWindow: request.expiryWindow,
+      region: loaded.region,
+      costs: request.costs,
+    }
+    if (request.costs || request.savingsPlans) {
+      options.priceTable = this._loadPriceTable()
+    }
+    if (request.savingsPlans) {
+      options.savingsPlans = request.savingsPlans
+    }
+    return new Summarizer(loaded.reservations, loaded.instances, options)
   }
 
-  _summarize(reservations, instances) {
-    return new Summarizer(reservations, instances).summarize()
+  _loadSavingsPlans(service) {
+    if (service == 'ec2' && this._env.SAVINGS_PLANS == 'true') {
+      return this._savingsPlans.loadSavingsPlans()
+        .then((savingsPlans) => savingsPlans.map(p => Object.assign({remainingCommitment: p.commitment}, p)))
+    } else {
+      return Promise.resolve(null)
+    }
+  }
+
+  _loadPriceTable() {
+    if (this._priceTable == null) {
+      this._priceTable = PriceTable.load(this._env.PRICE_FILE)
+    }
+    return this._priceTable
+  }
+
+  _expiryReport(loaded, request, grouped) {
+    const options = {now: this._clock.now, expiryWindow: request.expiryWindow}
+    const rows = loaded.reduce((rows, l) => {
+      const regionRows = new ExpiryReport(l.reservations.concat(this._unclassifiedReservations(l)), options).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
+    return rows.sort((a, b) => a.daysRemaining - b.daysRemaining)
+  }
+
+  _recommendationReport(loaded, reservable, request, grouped, history) {
+    return loaded.reduce((rows, l, index) => {
+      const options = {headroom: request.headroom, offeringClass: request.offeringClass}
+      if (history && history[index].length > 0) {
+        options.baselines = new TrendReport(history[index]).generate()
+      }
+      const regionRows = new RecommendationReport(reservable[index], options).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
+  }
+
+  _exchangeReport(loaded, request, grouped) {
+    return loaded.reduce((rows, l) => {
+      const summarizer = this._createSummarizer(l, request)
+      const regionRows = new ExchangeReport(summarizer.unusedReservations(), summarizer.reservableInstances()).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
+  }
+
+  _tagReport(loaded, request, grouped) {
+    const options = {tagKey: request.tagKey}
+    return loaded.reduce((rows, l) => {
+      const summarizer = this._createSummarizer(l, request)
+      const regionRows = new TagReport(l.instances, summarizer.coveredInstances(), summarizer.reservableInstances(), options).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
+  }
+
+  _reservationReport(loaded, request, grouped) {
+    return loaded.reduce((rows, l) => {
+      const summarizer = this._createSummarizer(l, request)
+      const unclassified = this._unclassifiedReservations(l).map(r => Object.assign({}, r, {remainingUnits: null, instances: []}))
+      const regionRows = new ReservationReport(summarizer.reservations().concat(unclassified)).generate()
+      return rows.concat(grouped ? regionRows.map(row => Object.assign({region: l.region}, row)) : regionRows)
+    }, [])
   }
 
   _createAuthenticator(event) {
     if (this._isApiGatewayEvent(event)) {
-      return new SlackAuthentication(this._env.VERIFICATION_TOKEN)
+      return new SlackAuthentication(this._env.VERIFICATION_TOKEN, this._env.SLACK_SIGNING_SECRET, this._clock)
     } else {
       return new NoAuthentication()
     }
@@ -165,7 +436,7 @@ module.exports = class ReservationUsage {
   _createResponseFormatter(event) {
     if (this._isApiGatewayEvent(event)) {
       if (this._isSlackEvent(event)) {
-        return new SlackFormatter(event, this._findRegion(event))
+        return new SlackFormatter(event)
       } else {
         return new ApiGatewayFormatter(event)
       }
@@ -174,27 +445,114 @@ module.exports = class ReservationUsage {
     }
   }
 
-  _findRegion(event) {
-    let region = null
+  _parseRequest(event) {
+    const parameters = this._requestParameters(event)
+    return {
+      regions: this._parseRegions(parameters.region),
+      groupBy: this._parseList(parameters.groupBy).filter(g => GROUPINGS.includes(g)),
+      report: REPORTS.hasOwnProperty(parameters.report) ? parameters.report : DEFAULT_REPORT,
+      service: this._parseService(parameters.service),
+      expiryWindow: parseInt(parameters.expiryWindow || parameters.days || this._env.EXPIRY_WINDOW_DAYS) || DEFAULT_EXPIRY_WINDOW,
+      headroom: [parameters.headroom, this._env.RECOMMENDATION_HEADROOM, DEFAULT_HEADROOM].map(h => parseFloat(h)).find(h => isPercentage(h)),
+      offeringClass: [parameters.offeringClass, this._env.RECOMMENDATION_OFFERING_CLASS].find(c => OFFERING_CLASSES.includes(c)),
+      costs: parameters.costs === true || parameters.costs == 'true',
+      tagKey: parameters.tag || this._env.TAG_KEY || DEFAULT_TAG_KEY,
+      period: parseInt(parameters.period || parameters.days || this._env.TREND_PERIOD_DAYS) || DEFAULT_TREND_PERIOD,
+      baseline: [parameters.baseline, this._env.RECOMMENDATION_BASELINE].find(b => BASELINES.includes(b)) || DEFAULT_BASELINE,
+      family: parameters.family || null,
+      usage: parameters.usage || null,
+      changes: parameters.changes || [],
+    }
+  }
+
+  _requestParameters(event) {
     if (this._isApiGatewayEvent(event)) {
-      const parameters = querystring.parse(event.body)
-      region = parameters.text
+      return Object.assign({}, event.queryStringParameters, this._slackParameters(event))
+    } else {
+      return event
+    }
+  }
+
+  _slackParameters(event) {
+    const body = querystring.parse(event.body)
+    const command = new SlackCommand(Object.keys(this._services), body.command)
+    const parameters = command.parse(body.text)
+    if (parameters.help) {
+      parameters.usage = command.usage()
+    }
+    return parameters
+  }
+
+  _parseService(service) {
+    if (service == ALL_SERVICES || this._isService(service)) {
+      return service
+    } else {
+      return DEFAULT_SERVICE
+    }
+  }
+
+  _isService(name) {
+    return Object.keys(this._services).includes(name)
+  }
+
+  _parseRegions(regions) {
+    regions = this._parseList(regions)
+    if (regions.length == 0) {
+      regions = [this._env['AWS_DEFAULT_REGION']]
     }
-    return region || this._env['AWS_DEFAULT_REGION']
+    return regions.filter((region, index) => regions.indexOf(region) == index)
+  }
+
+  _parseList(str) {
+    return (str || '').split(',').map(s => s.trim()).filter(s => s.length > 0)
+  }
+
+  _isScheduledEvent(event) {
+    return event.source == 'aws.events' && event['detail-type'] == 'Scheduled Event'
+  }
+
+  _isSlackFollowUpEvent(event) {
+    return event.source == FOLLOW_UP_SOURCE && event['detail-type'] == FOLLOW_UP_DETAIL_TYPE
+  }
+
+  _isSlackInteraction(apiGatewayEvent) {
+    return this._isApiGatewayEvent(apiGatewayEvent) && 'payload' in querystring.parse(apiGatewayEvent.body)
   }
 
   _isApiGatewayEvent(event) {
     return 'requestContext' in event
   }
 
-  _load(region) {
+  _loadRegions(regions, service) {
+    let regionsPromise = null
+    if (regions.length == 1 && regions[0] == ALL_REGIONS) {
+      regionsPromise = this._ec2.loadRegions(this._env['AWS_DEFAULT_REGION'])
+    } else {
+      regionsPromise = Promise.resolve(regions)
+    }
+    return regionsPromise.then((regions) => Promise.all(regions.map(region => this._load(region, service))))
+  }
+
+  _load(region, service) {
+    const loader = this._services[service]
     return Promise.all([
-      this._ec2.loadReservations(region),
-      this._ec2.loadInstances(region),
-    ])
+      loader.loadReservations(region),
+      loader.loadInstances(region),
+    ]).then(([reservations, instances]) => {
+      const classified = (obj) => obj.units != null
+      return {
+        region,
+        reservations: reservations.filter(classified),
+        instances: instances.filter(classified),
+        unclassified: {
+          reservations: reservations.filter(r => !classified(r)),
+          instances: instances.filter(i => !classified(i)),
+        },
+      }
+    })
   }
 
   _isSlackEvent(apiGatewayEvent) {
-    return /^Slackbot/.test(apiGatewayEvent.headers['User-Agent'])
+    return /^Slackbot/.test(header(apiGatewayEvent, 'User-Agent') || '')
   }
 }
@@ -0,0 +1,40 @@
+const AWS = require('aws-sdk')
+const AwsService = require('./aws_service')
+
+const SAVINGS_PLANS_CACHE_DURATION = 3600000
+const SAVINGS_PLANS_REGION = 'us-east-1'
+const EC2_SAVINGS_PLAN_TYPES = ['Compute', 'EC2Instance']
+
+const RESULT_CACHE = {}
+const SAVINGS_PLANS_CLIENTS = {}
+
+module.exports = class SavingsPlans extends AwsService {
+  constructor(savingsPlansClientFactory = null, savingsPlansClientCache = null, resultCache = null, clock = null, delay = null, accounts = null, stsClientFactory = null, endpoint = null) {
+    super(savingsPlansClientFactory || AWS.SavingsPlans, savingsPlansClientCache || SAVINGS_PLANS_CLIENTS, resultCache || RESULT_CACHE, clock, delay, accounts, stsClientFactory)
+    this._pageToken = 'nextToken'
+    if (endpoint) {
+      this._clientOptions = {endpoint}
+    }
+  }
+
+  loadSavingsPlans() {
+    return this._cacheResult('savingsPlans', SAVINGS_PLANS_REGION, SAVINGS_PLANS_CACHE_DURATION, () => {
+      return this._loadFromAllAccounts(SAVINGS_PLANS_REGION, 'describeSavingsPlans', {states: ['active']}, 'savingsPlans', (savingsPlan, account) => {
+        return EC2_SAVINGS_PLAN_TYPES.includes(savingsPlan.savingsPlanType) ? [this._createSavingsPlan(savingsPlan, account)] : []
+      })
+    })
+  }
+
+  _createSavingsPlan(savingsPlan, account = null) {
+    const instancePlan = savingsPlan.savingsPlanType == 'EC2Instance'
+    return {
+      id: savingsPlan.savingsPlanId,
+      type: savingsPlan.savingsPlanType,
+      family: instancePlan ? savingsPlan.ec2InstanceFamily : null,
+      region: instancePlan ? savingsPlan.region : null,
+      commitment: parseFloat(savingsPlan.commitment),
+      end: savingsPlan.end ? new Date(savingsPlan.end) : null,
+      account: account && account.name,
+    }
+  }
+}
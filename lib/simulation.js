@@ -0,0 +1,180 @@
+const fs = require('fs')
+const Summarizer = require('./summarizer')
+const PriceTable = require('./price_table')
+const {DEFAULT_PLATFORM, DEFAULT_TENANCY, relativeSize, splitInstanceClass} = require('./helpers')
+
+const ACTIONS = ['addReservations', 'removeReservations', 'addInstances', 'removeInstances', 'resizeInstances', 'expireReservations']
+const DEFAULT_OFFERING_CLASS = 'standard'
+
+module.exports = class Simulation {
+  constructor(changes) {
+    if (!Array.isArray(changes)) {
+      throw new Error('The changes must be a list')
+    }
+    this._changes = changes.map((change) => {
+      if (!this._isValidChange(change)) {
+        throw new Error(`Unsupported change: ${JSON.stringify(change)}`)
+      }
+      return change
+    })
+    this._nextId = 1
+  }
+
+  static loadChanges(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (error) {
+      throw new Error(`Could not load changes file "${file}": ${error.message}`)
+    }
+  }
+
+  static compare(before, after) {
+    const key = (row) => JSON.stringify([row.family, row.type, row.platform])
+    const beforeRows = Summarizer.combine([before])
+    const afterRows = Summarizer.combine([after])
+    const beforeByKey = beforeRows.reduce((rows, row) => Object.assign(rows, {[key(row)]: row}), {})
+    const afterByKey = afterRows.reduce((rows, row) => Object.assign(rows, {[key(row)]: row}), {})
+    const keys = Object.keys(Object.assign({}, beforeByKey, afterByKey)).sort()
+    return keys.map((k) => {
+      const beforeRow = beforeByKey[k] || {}
+      const afterRow = afterByKey[k] || {}
+      const labels = afterByKey[k] || beforeByKey[k]
+      const row = {family: labels.family}
+      if (labels.type) {
+        row.type = labels.type
+      }
+      if (labels.platform) {
+        row.platform = labels.platform
+      }
+      Summarizer.columns.concat(Summarizer.optionalColumns.filter(column => column in labels)).forEach(column => row[column] = (afterRow[column] || 0) - (beforeRow[column] || 0))
+      Summarizer.costColumns.filter(column => column in labels).forEach((column) => {
+        const after = column in afterRow ? afterRow[column] : 0
+        const before = column in beforeRow ? beforeRow[column] : 0
+        row[column] = after == null || before == null ? null : PriceTable.round(after - before)
+      })
+      return row
+    }).filter(row => Summarizer.columns.concat(Summarizer.optionalColumns, Summarizer.costColumns).some(column => row[column]))
+  }
+
+  apply(loaded) {
+    return this._changes.filter(change => change.region == null || change.region == loaded.region).reduce((current, change) => {
+      if (change.action == 'addReservations') {
+        return Object.assign({}, current, {reservations: current.reservations.concat([this._createReservation(change)])})
+      } else if (change.action == 'removeReservations') {
+        return Object.assign({}, current, {reservations: this._removeReservations(current.reservations, change)})
+      } else if (change.action == 'expireReservations') {
+        const date = new Date(change.date).getTime()
+        return Object.assign({}, current, {reservations: current.reservations.filter(r => r.end == null || new Date(r.end).getTime() > date)})
+      } else if (change.action == 'addInstances') {
+        const instances = []
+        for (let i = 0; i < (change.count || 1); i++) {
+          instances.push(this._createInstance(change, current.region))
+        }
+        return Object.assign({}, current, {instances: current.instances.concat(instances)})
+      } else {
+        const selected = this._selectInstances(current.instances, change)
+        const instances = current.instances.reduce((instances, instance) => {
+          if (!selected.includes(instance)) {
+            return instances.concat([instance])
+          } else if (change.action == 'resizeInstances') {
+            return instances.concat([this._resizeInstance(instance, change.to)])
+          } else {
+            return instances
+          }
+        }, [])
+        return Object.assign({}, current, {instances})
+      }
+    }, loaded)
+  }
+
+  _isValidChange(change) {
+    if (change == null || !ACTIONS.includes(change.action)) {
+      return false
+    } else if (change.count != null && !(Number.isInteger(change.count) && change.count > 0)) {
+      return false
+    } else if (change.action == 'addReservations' || change.action == 'addInstances') {
+      return this._isValidType(change.type) && (change.end == null || !isNaN(new Date(change.end).getTime()))
+    } else if (change.action == 'expireReservations') {
+      return change.date != null && !isNaN(new Date(change.date).getTime())
+    } else if (change.action == 'resizeInstances' && !this._isValidType(change.to)) {
+      return false
+    } else {
+      return change.id != null || this._isValidType(change.type)
+    }
+  }
+
+  _isValidType(type) {
+    return typeof type == 'string' && type.lastIndexOf('.') > 0
+  }
+
+  _matches(obj, change) {
+    if (change.id != null) {
+      return obj.id == change.id
+    } else {
+      return `${obj.family}.${obj.size}` == change.type && (change.az == null || obj.az == change.az)
+    }
+  }
+
+  _removeReservations(reservations, change) {
+    let remaining = change.count == null ? Infinity : change.count
+    return reservations.reduce((kept, reservation) => {
+      if (remaining == 0 || !this._matches(reservation, change)) {
+        return kept.concat([reservation])
+      }
+      const total = reservation.count || 1
+      const removed = Math.min(remaining, total)
+      remaining -= removed
+      if (removed == total) {
+        return kept
+      } else {
+        const count = total - removed
+        return kept.concat([Object.assign({}, reservation, {count, units: reservation.units * count / total})])
+      }
+    }, [])
+  }
+
+  _selectInstances(instances, change) {
+    const matching = instances.filter(instance => this._matches(instance, change))
+    return change.count == null ? matching : matching.slice(0, change.count)
+  }
+
+  _createReservation(change) {
+    const [family, size] = splitInstanceClass(change.type)
+    const count = change.count || 1
+    return {
+      id: `simulated-${this._nextId++}`,
+      family,
+      size,
+      offeringClass: change.offeringClass || DEFAULT_OFFERING_CLASS,
+      az: change.az || '*',
+      platform: change.platform || DEFAULT_PLATFORM,
+      tenancy: change.tenancy || DEFAULT_TENANCY,
+      count,
+      end: change.end ? new Date(change.end) : null,
+      account: null,
+      units: count * relativeSize(size, family),
+    }
+  }
+
+  _createInstance(change, region) {
+    const [family, size] = splitInstanceClass(change.type)
+    return {
+      id: `simulated-${this._nextId++}`,
+      family,
+      size,
+      az: change.az || `${region}a`,
+      platform: change.platform || DEFAULT_PLATFORM,
+      tenancy: change.tenancy || DEFAULT_TENANCY,
+      emr: false,
+      spot: false,
+      tags: {},
+      account: null,
+      units: relativeSize(size, family),
+    }
+  }
+
+  _resizeInstance(instance, type) {
+    const [family, size] = splitInstanceClass(type)
+    return Object.assign({}, instance, {family, size, units: relativeSize(size, family)})
+  }
+}
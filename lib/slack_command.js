@@ -0,0 +1,153 @@
+const {ALL_SERVICES, REPORTS, isPercentage} = require('./helpers')
+
+const DEFAULT_COMMAND = '/reservations'
+const COMMAND_LINE_REPORTS = ['simulation']
+const SLACK_REPORTS = Object.keys(REPORTS).filter(report => !COMMAND_LINE_REPORTS.includes(report))
+const HELP_KEYWORD = 'help'
+const ALL_REGIONS = 'all'
+const ALL_SERVICES_KEYWORD = 'services'
+const GROUP_BY_KEYWORDS = {accounts: 'account', zones: 'az', types: 'type'}
+const COSTS_KEYWORD = 'costs'
+const BASELINE_KEYWORD = 'baseline'
+const OPTIONS = {
+  'family': 'family',
+  'tag': 'tag',
+  'service': 'service',
+  'region': 'region',
+  'days': 'days',
+  'headroom': 'headroom',
+  'group-by': 'groupBy',
+}
+const REGION_PATTERN = /^[a-z]{2}(-[a-z]+)+-\d+$/
+
+class UsageError extends Error {
+  constructor(message, usage) {
+    super(message)
+    this.usage = usage
+  }
+}
+
+class SlackCommand {
+  constructor(services, command = null) {
+    this._services = services
+    this._command = command || DEFAULT_COMMAND
+  }
+
+  parse(text) {
+    const words = (text || '').split(/\s+/).filter(w => w.length > 0)
+    const parameters = {}
+    const regions = []
+    const groupBy = []
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i]
+      if (word == HELP_KEYWORD) {
+        return {help: true}
+      } else if (word.startsWith('--')) {
+        const [name, inlineValue] = this._splitOption(word.substring(2))
+        const value = inlineValue == null ? words[++i] : inlineValue
+        if (!OPTIONS.hasOwnProperty(name)) {
+          throw this._usageError(`Unknown option "--${name}"`)
+        } else if (value == null || value.startsWith('--')) {
+          throw this._usageError(`The option "--${name}" needs a value`)
+        }
+        this._setOption(parameters, OPTIONS[name], value)
+      } else if (SLACK_REPORTS.includes(word)) {
+        if (parameters.report) {
+          throw this._usageError(`Only one report can be requested at a time, not both "${parameters.report}" and "${word}"`)
+        }
+        parameters.report = word
+      } else if (GROUP_BY_KEYWORDS.hasOwnProperty(word)) {
+        groupBy.push(GROUP_BY_KEYWORDS[word])
+      } else if (word == COSTS_KEYWORD) {
+        parameters.costs = 'true'
+      } else if (this._services.includes(word)) {
+        parameters.service = word
+      } else if (word == ALL_SERVICES_KEYWORD) {
+        parameters.service = ALL_SERVICES
+      } else if (word == BASELINE_KEYWORD) {
+        parameters.baseline = 'minimum'
+      } else if (/^\d+d$/.test(word)) {
+        parameters.days = word
+      } else if (/^\d+(\.\d+)?%$/.test(word)) {
+        this._setOption(parameters, 'headroom', word)
+      } else if (/^tag=.+$/.test(word)) {
+        parameters.tag = word.substring(4)
+      } else if (this._isRegions(word)) {
+        regions.push(word)
+      } else {
+        throw this._usageError(`I don't understand "${word}"`)
+      }
+    }
+    if (regions.length > 0) {
+      parameters.region = regions.concat(parameters.region || []).join(',')
+    }
+    if (groupBy.length > 0) {
+      parameters.groupBy = groupBy.concat(parameters.groupBy || []).join(',')
+    }
+    return parameters
+  }
+
+  usage() {
+    const column = (str, n) => str + ' '.repeat(Math.max(1, n - str.length))
+    const reports = SLACK_REPORTS.map(report => `• \`${report}\` – ${REPORTS[report]}`)
+    return [
+      `Usage: \`${this._command} [report] [regions] [options]\``,
+      '',
+      '*Reports:*',
+    ].concat(reports).concat([
+      `• \`${HELP_KEYWORD}\` – shows this message`,
+      '',
+      `*Regions:* a region like \`eu-west-1\`, a comma-separated list of regions, or \`${ALL_REGIONS}\`. The default is the region the function runs in.`,
+      '',
+      '*Options:*',
+      '```',
+      `${column('60d, --days 60', 26)}the number of days for expiring reservations and trends`,
+      `${column('20%, --headroom 20', 26)}the headroom for recommendations`,
+      `${column(`${this._services.join(', ')}, ${ALL_SERVICES_KEYWORD}`, 26)}the service to report on, or all of them`,
+      `${column(Object.keys(GROUP_BY_KEYWORDS).join(', '), 26)}break the summary down`,
+      `${column(COSTS_KEYWORD, 26)}include costs in the summary`,
+      `${column(BASELINE_KEYWORD, 26)}recommend for the lowest usage in the period`,
+      `${column('tag=team, --tag team', 26)}the tag for the tags report`,
+      `${column('--family c5', 26)}only report on one family`,
+      '```',
+      '',
+      `For example \`${this._command} reservations us-east-1 --family c5\` or \`${this._command} expiring 60d\`.`,
+    ]).join('\n')
+  }
+
+  _splitOption(option) {
+    const separatorIndex = option.indexOf('=')
+    if (separatorIndex == -1) {
+      return [option, null]
+    } else {
+      return [option.substring(0, separatorIndex), option.substring(separatorIndex + 1)]
+    }
+  }
+
+  _setOption(parameters, name, value) {
+    if (name == 'service' && !(this._services.includes(value) || value == ALL_SERVICES)) {
+      throw this._usageError(`Unknown service "${value}", use one of ${this._services.join(', ')}, or ${ALL_SERVICES}`)
+    } else if ((name == 'days' || name == 'headroom') && isNaN(parseFloat(value))) {
+      throw this._usageError(`The option "--${name}" needs a number, not "${value}"`)
+    } else if (name == 'headroom' && !isPercentage(value)) {
+      throw this._usageError(`The headroom must be a percentage between 0 and 100, not "${value}"`)
+    } else if (name == 'region' && !this._isRegions(value)) {
+      throw this._usageError(`"${value}" is not a region`)
+    }
+    parameters[name] = value
+  }
+
+  _isRegions(word) {
+    const regions = word.split(',').filter(region => region.length > 0)
+    return regions.length > 0 && regions.every(region => region == ALL_REGIONS || REGION_PATTERN.test(region))
+  }
+
+  _usageError(message) {
+    return new UsageError(message, this.usage())
+  }
+}
+
+module.exports = {
+  SlackCommand,
+  UsageError,
+}
@@ -1,14 +1,74 @@
 const ReservationManager = require('./reservation_manager')
+const PriceTable = require('./price_table')
+const {DEFAULT_EXPIRY_WINDOW, DEFAULT_PLATFORM, daysRemaining, relativeSize} = require('./helpers')
 
+const COLUMNS = ['running', 'spot', 'emr', 'reserved', 'reservable', 'surplus', 'expiring']
+const OPTIONAL_COLUMNS = ['savingsPlan']
+const COST_COLUMNS = ['onDemandHourly', 'onDemandMonthly', 'wastedHourly', 'wastedMonthly', 'savingsHourly', 'savingsMonthly']
+const POOLED_LABELS = ['type', 'platform']
 module.exports = class Summarizer {
-  constructor(reservations, instances) {
+  constructor(reservations, instances, options = {}) {
+    this._groupBy = options.groupBy || []
+    this._now = options.now == null ? Date.now() : options.now
+    this._expiryWindow = options.expiryWindow || DEFAULT_EXPIRY_WINDOW
+    this._priceTable = options.priceTable || null
+    this._costs = options.costs === true && this._priceTable != null
+    this._region = options.region || null
+    this._savingsPlans = options.savingsPlans || null
+    if (!this._groupBy.includes('platform') && Summarizer.hasMultiplePlatforms(reservations, instances)) {
+      this._groupBy = ['platform'].concat(this._groupBy)
+    }
     this._runningInstances = instances
     this._reservations = reservations
     this._spotInstances = []
     this._emrInstances = []
     this._onDemandInstances = []
     this._reservableInstances = []
+    this._savingsPlanInstances = []
+    this._coveredInstances = []
     this._reservationManager = new ReservationManager(this._reservations)
+    this._matched = false
+  }
+
+  static get columns() {
+    return COLUMNS
+  }
+
+  static get optionalColumns() {
+    return OPTIONAL_COLUMNS
+  }
+
+  static get costColumns() {
+    return COST_COLUMNS
+  }
+
+  static combine(summaries) {
+    const totals = {}
+    summaries.forEach((summary) => {
+      summary.forEach((row) => {
+        const labels = POOLED_LABELS.filter(label => label in row)
+        const group = JSON.stringify([row.family].concat(labels.map(label => row[label])))
+        let total = totals[group]
+        if (!total) {
+          total = totals[group] = {family: row.family}
+          labels.forEach(label => total[label] = row[label])
+          COLUMNS.forEach(column => total[column] = 0)
+        }
+        COLUMNS.forEach(column => total[column] += row[column])
+        OPTIONAL_COLUMNS.filter(column => column in row).forEach(column => total[column] = (total[column] || 0) + row[column])
+        COST_COLUMNS.filter(column => column in row).forEach(column => total[column] = Summarizer.addCosts(column in total ? total[column] : 0, row[column]))
+      })
+    })
+    return Object.keys(totals).sort().map(group => totals[group])
+  }
+
+  static addCosts(a, b) {
+    return a == null || b == null ? null : PriceTable.round(a + b)
+  }
+
+  static hasMultiplePlatforms(reservations, instances) {
+    const platforms = new Set(reservations.concat(instances).map(obj => obj.platform || DEFAULT_PLATFORM))
+    return platforms.size > 1
   }
 
   summarize() {
@@ -16,43 +76,137 @@ module.exports = class Summarizer {
     return this._summarizeFindings()
   }
 
+  reservableInstances() {
+    this._matchReservations()
+    return this._reservableInstances
+  }
+
+  coveredInstances() {
+    this._matchReservations()
+    return this._coveredInstances.concat(this._savingsPlanInstances)
+  }
+
+  reservations() {
+    this._matchReservations()
+    return this._reservationManager.reservations
+  }
+
+  unusedReservations() {
+    this._matchReservations()
+    return this._reservationManager.unusedReservedCapacity()
+  }
+
   _matchReservations() {
-    this._runningInstances.forEach((instance) => {
+    if (this._matched) {
+      return
+    }
+    this._matched = true
+    this._reservationManager.matchInstances(this._runningInstances).forEach(({instance, covered, uncovered}) => {
       if (instance.spot) {
         this._spotInstances.push(instance)
       } else {
-        const reservation = this._reservationManager.consumeReservedCapacity(instance)
+        if (covered != null) {
+          this._coveredInstances.push(covered)
+        }
         if (instance.emr) {
           this._emrInstances.push(instance)
         } else {
-          if (reservation == null) {
-            this._reservableInstances.push(instance)
+          if (uncovered != null) {
+            this._reservableInstances.push(uncovered)
           }
           this._onDemandInstances.push(instance)
         }
       }
     })
+    if (this._savingsPlans) {
+      this._applySavingsPlans()
+    }
+  }
+
+  _applySavingsPlans() {
+    const savingsPlans = this._savingsPlans
+      .filter(p => p.region == null || p.region == this._region)
+      .sort((a, b) => (a.family == null) - (b.family == null))
+    this._reservableInstances = this._reservableInstances.filter((instance) => {
+      const rate = this._priceTable && this._instancePrice(instance, 'savingsPlanPrice')
+      const savingsPlan = rate && savingsPlans.find(p => (p.family == null || p.family == instance.family) && p.remainingCommitment >= rate)
+      if (savingsPlan) {
+        savingsPlan.remainingCommitment = PriceTable.round(savingsPlan.remainingCommitment - rate)
+        this._savingsPlanInstances.push(instance)
+        return false
+      } else {
+        return true
+      }
+    })
   }
 
   _summarizeFindings() {
     const summaries = {
-      running: this._summarizeByFamily(this._runningInstances, 'units'),
-      spot: this._summarizeByFamily(this._spotInstances, 'units'),
-      emr: this._summarizeByFamily(this._emrInstances, 'units'),
-      reserved: this._summarizeByFamily(this._reservations, 'units'),
-      reservable: this._summarizeByFamily(this._reservableInstances, 'units'),
-      surplus: this._summarizeByFamily(this._reservationManager.unusedReservedCapacity(), 'remainingUnits'),
+      running: this._summarizeByGroup(this._runningInstances, 'units'),
+      spot: this._summarizeByGroup(this._spotInstances, 'units'),
+      emr: this._summarizeByGroup(this._emrInstances, 'units'),
+      reserved: this._summarizeByGroup(this._reservations, 'units'),
+      reservable: this._summarizeByGroup(this._reservableInstances, 'units'),
+      surplus: this._summarizeByGroup(this._reservationManager.unusedReservedCapacity(), 'remainingUnits'),
+      expiring: this._summarizeByGroup(this._expiringReservations(), 'units'),
     }
-    const families = this._sortedKeys(...Object.keys(summaries).map(k => summaries[k]))
-    return families.map((family) => {
-      const row = {family}
-      for (let column in summaries) {
-        row[column] = summaries[column][family] || 0
+    const costs = this._costs ? this._summarizeCosts() : null
+    const savingsPlanUnits = this._summarizeByGroup(this._savingsPlanInstances, 'units')
+    const groups = this._sortedKeys(...COLUMNS.map(k => summaries[k]))
+    return groups.map((group) => {
+      const row = {}
+      const groupValues = JSON.parse(group)
+      row.family = groupValues[0]
+      this._groupBy.forEach((property, index) => row[property] = groupValues[index + 1])
+      COLUMNS.forEach(column => row[column] = summaries[column][group] || 0)
+      if (this._savingsPlans) {
+        row.savingsPlan = savingsPlanUnits[group] || 0
+      }
+      if (costs) {
+        ['onDemand', 'wasted', 'savings'].forEach((cost) => {
+          const hourly = group in costs[cost] ? costs[cost][group] : 0
+          row[`${cost}Hourly`] = hourly == null ? null : PriceTable.round(hourly)
+          row[`${cost}Monthly`] = hourly == null ? null : PriceTable.round(PriceTable.monthly(hourly))
+        })
       }
       return row
     })
   }
 
+  _summarizeCosts() {
+    const onDemandPrice = obj => this._instancePrice(obj, 'onDemandPrice')
+    const reservedPrice = obj => this._instancePrice(obj, 'reservedPrice')
+    return {
+      onDemand: this._summarizeByGroup(this._reservableInstances, onDemandPrice),
+      wasted: this._summarizeByGroup(this._reservationManager.unusedReservedCapacity(), (r) => {
+        const price = this._price(r, 'reservedPrice')
+        return price == null ? null : price * r.remainingUnits / this._unitsPerInstance(r)
+      }),
+      savings: this._summarizeByGroup(this._reservableInstances, (i) => {
+        const onDemand = onDemandPrice(i)
+        const reserved = reservedPrice(i)
+        return onDemand == null || reserved == null ? null : Math.max(0, onDemand - reserved)
+      }),
+    }
+  }
+
+  _unitsPerInstance(reservation) {
+    return reservation.count ? reservation.units / reservation.count : relativeSize(reservation.size, reservation.family)
+  }
+
+  _instancePrice(instance, method) {
+    const price = this._price(instance, method)
+    return price != null && instance.instanceUnits ? price * instance.units / instance.instanceUnits : price
+  }
+
+  _price(obj, method) {
+    return this._priceTable[method](this._region, `${obj.family}.${obj.size}`, obj.platform || DEFAULT_PLATFORM)
+  }
+
+  _expiringReservations() {
+    return this._reservations.filter(r => r.end != null && daysRemaining(r.end, this._now) < this._expiryWindow)
+  }
+
   _sortedKeys(...objs) {
     let keys = objs.reduce((keys, o) => keys.concat(Object.keys(o)), [])
     keys = new Set(keys)
@@ -60,11 +214,28 @@ module.exports = class Summarizer {
     return keys
   }
 
-  _summarizeByFamily(objs, property) {
+  _summarizeByGroup(objs, property) {
     const summary = {}
-    objs.forEach((instance) => {
-      summary[instance.family] = (summary[instance.family] || 0) + instance[property]
+    objs.forEach((obj) => {
+      const group = this._groupKey(obj)
+      const value = typeof property == 'function' ? property(obj) : obj[property]
+      const previous = group in summary ? summary[group] : 0
+      summary[group] = previous == null || value == null ? null : previous + value
     })
     return summary
   }
+
+  _groupKey(obj) {
+    return JSON.stringify([obj.family].concat(this._groupBy.map(property => this._groupValue(obj, property))))
+  }
+
+  _groupValue(obj, property) {
+    if (property == 'platform') {
+      return obj.platform || DEFAULT_PLATFORM
+    } else if (property == 'type') {
+      return `${obj.family}.${obj.size}`
+    } else {
+      return obj[property]
+    }
+  }
 }
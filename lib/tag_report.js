@@ -0,0 +1,43 @@
+const {DEFAULT_TAG_KEY} = require('./helpers')
+
+module.exports = class TagReport {
+  constructor(instances, coveredInstances, reservableInstances, options = {}) {
+    this._instances = instances
+    this._coveredInstances = coveredInstances
+    this._reservableInstances = reservableInstances
+    this._tagKey = options.tagKey || DEFAULT_TAG_KEY
+  }
+
+  generate() {
+    const rows = {}
+    const add = (instances, column) => {
+      instances.forEach((instance) => {
+        const tagValue = this._tagValue(instance)
+        const key = JSON.stringify(tagValue)
+        rows[key] = rows[key] || {tagKey: this._tagKey, tagValue, running: 0, covered: 0, reservable: 0}
+        rows[key][column] += instance.units
+      })
+    }
+    add(this._instances, 'running')
+    add(this._coveredInstances, 'covered')
+    add(this._reservableInstances, 'reservable')
+    return Object.keys(rows).map(key => rows[key]).sort((a, b) => this._compareTagValues(a.tagValue, b.tagValue))
+  }
+
+  _tagValue(instance) {
+    const value = instance.tags && instance.tags[this._tagKey]
+    return value == null || value === '' ? null : value
+  }
+
+  _compareTagValues(a, b) {
+    if (a === b) {
+      return 0
+    } else if (a === null) {
+      return 1
+    } else if (b === null) {
+      return -1
+    } else {
+      return a < b ? -1 : 1
+    }
+  }
+}
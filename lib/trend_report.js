@@ -0,0 +1,42 @@
+const {DEFAULT_PLATFORM} = require('./helpers')
+
+module.exports = class TrendReport {
+  constructor(snapshots) {
+    this._snapshots = snapshots
+  }
+
+  generate() {
+    const groups = {}
+    this._snapshots.forEach((snapshot, index) => {
+      snapshot.summary.forEach((row) => {
+        const platform = row.platform || DEFAULT_PLATFORM
+        const key = JSON.stringify([row.family, platform])
+        groups[key] = groups[key] || {family: row.family, platform, running: this._zeros(), reservable: this._zeros()}
+        groups[key].running[index] += row.running
+        groups[key].reservable[index] += row.reservable
+      })
+    })
+    return Object.keys(groups).sort().map((key) => {
+      const group = groups[key]
+      return {
+        family: group.family,
+        platform: group.platform,
+        snapshots: this._snapshots.length,
+        runningMin: Math.min(...group.running),
+        runningAvg: this._average(group.running),
+        runningMax: Math.max(...group.running),
+        reservableMin: Math.min(...group.reservable),
+        reservableAvg: this._average(group.reservable),
+        reservableMax: Math.max(...group.reservable),
+      }
+    })
+  }
+
+  _zeros() {
+    return this._snapshots.map(() => 0)
+  }
+
+  _average(values) {
+    return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100
+  }
+}
@@ -0,0 +1,73 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const path = require('path')
+const AlertRules = require('../lib/alert_rules')
+
+require('mocha-define') /* global def */
+
+describe('AlertRules', function () {
+  def('alerts', function () {
+    return this.rules.evaluate(this.summary, {service: 'ec2', region: 'eu-north-9'})
+  })
+
+  beforeEach(function () {
+    this.summary = [
+      {family: 'c6', platform: 'Linux/UNIX', running: 8, reserved: 0, reservable: 8, surplus: 0},
+      {family: 'c6', platform: 'Windows', running: 4, reserved: 0, reservable: 4, surplus: 0},
+      {family: 'i9', platform: 'Linux/UNIX', running: 16, reserved: 24, reservable: 0, surplus: 8},
+    ]
+  })
+
+  describe('.parse', function () {
+    beforeEach(function () {
+      this.rules = AlertRules.parse('surplus>0, c6:reservable > 4')
+    })
+
+    it('returns alerts for the rows where a rule fires, with the labels, the value, and a key', function () {
+      expect(this.alerts).to.deep.equal([
+        {service: 'ec2', region: 'eu-north-9', family: 'c6', platform: 'Linux/UNIX', metric: 'reservable', threshold: 4, value: 8, key: '["ec2","eu-north-9","c6","Linux/UNIX","reservable",4]'},
+        {service: 'ec2', region: 'eu-north-9', family: 'i9', platform: 'Linux/UNIX', metric: 'surplus', threshold: 0, value: 8, key: '["ec2","eu-north-9","i9","Linux/UNIX","surplus",0]'},
+      ])
+    })
+
+    it('accepts families with dots in their names', function () {
+      this.rules = AlertRules.parse('db.r7:running>1')
+      this.summary = [{family: 'db.r7', running: 2}]
+      expect(this.alerts.map(a => [a.family, a.platform])).to.deep.equal([['db.r7', undefined]])
+    })
+
+    it('returns no rules for an empty string', function () {
+      this.rules = AlertRules.parse(' ')
+      expect(this.alerts).to.deep.equal([])
+    })
+
+    it('returns no rules for a missing string', function () {
+      this.rules = AlertRules.parse(undefined)
+      expect(this.alerts).to.deep.equal([])
+    })
+
+    it('throws an error for a rule with an unknown metric', function () {
+      expect(() => AlertRules.parse('surplus>0,wasted>0')).to.throw('Unsupported alert rule: "wasted>0"')
+    })
+
+    it('throws an error for a rule without a threshold', function () {
+      expect(() => AlertRules.parse('surplus')).to.throw('Unsupported alert rule: "surplus"')
+    })
+  })
+
+  describe('.load', function () {
+    it('reads the rules from a JSON file', function () {
+      this.rules = AlertRules.load(path.join(__dirname, 'fixtures', 'alert_rules.json'))
+      this.summary[2].surplus = 16
+      expect(this.alerts.map(a => [a.family, a.metric, a.value])).to.deep.equal([['i9', 'surplus', 16]])
+    })
+
+    it('throws an error when the file does not exist', function () {
+      expect(() => AlertRules.load('/does/not/exist.json')).to.throw(/Could not load alert rules file "\/does\/not\/exist.json"/)
+    })
+
+    it('throws an error when a rule is invalid', function () {
+      expect(() => new AlertRules([{metric: 'surplus', threshold: '0'}])).to.throw(/Unsupported alert rule/)
+    })
+  })
+})
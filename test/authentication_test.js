@@ -0,0 +1,207 @@
+const crypto = require('crypto')
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const {AUTHENTICATION_ERROR, SlackAuthentication, NoAuthentication} = require('../lib/authentication')
+
+require('mocha-define') /* global def */
+
+describe('SlackAuthentication', function () {
+  def('authentication', function () {
+    return new SlackAuthentication(this.verificationToken, this.signingSecret, this.clock)
+  })
+
+  def('result', function () {
+    return this.authentication.authenticate(this.event).then(() => 'accepted', (error) => {
+      expect(error).to.equal(AUTHENTICATION_ERROR)
+      return 'rejected'
+    })
+  })
+
+  const sign = (secret, timestamp, body) => {
+    return 'v0=' + crypto.createHmac('sha256', secret).update(`v0:${timestamp}:${body}`).digest('hex')
+  }
+
+  beforeEach(function () {
+    this.verificationToken = null
+    this.signingSecret = 'signing-secret'
+    this.clock = {now: 1527811200000}
+    this.timestamp = '1527811200'
+    this.body = 'token=secret&text=eu-north-9'
+  })
+
+  beforeEach(function () {
+    this.event = {
+      requestContext: {},
+      headers: {
+        'X-Slack-Request-Timestamp': this.timestamp,
+        'X-Slack-Signature': sign(this.signingSecret, this.timestamp, this.body),
+      },
+      body: this.body,
+    }
+  })
+
+  it('accepts a request with a valid signature', function () {
+    return this.result.then((result) => {
+      expect(result).to.equal('accepted')
+    })
+  })
+
+  it('resolves with the event', function () {
+    return this.authentication.authenticate(this.event).then((event) => {
+      expect(event).to.equal(this.event)
+    })
+  })
+
+  it('accepts headers in any case', function () {
+    this.event.headers = {
+      'x-slack-request-timestamp': this.event.headers['X-Slack-Request-Timestamp'],
+      'x-slack-signature': this.event.headers['X-Slack-Signature'],
+    }
+    return this.result.then((result) => {
+      expect(result).to.equal('accepted')
+    })
+  })
+
+  it('rejects a request signed with another secret', function () {
+    this.event.headers['X-Slack-Signature'] = sign('other-secret', this.timestamp, this.body)
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request where the body has been changed', function () {
+    this.event.body = 'token=secret&text=all'
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request with a signature of the wrong length', function () {
+    this.event.headers['X-Slack-Signature'] = 'v0=abc'
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request without a signature', function () {
+    delete this.event.headers['X-Slack-Signature']
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request without headers', function () {
+    delete this.event.headers
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('accepts a request that is almost five minutes old', function () {
+    this.clock.now += 300000
+    return this.result.then((result) => {
+      expect(result).to.equal('accepted')
+    })
+  })
+
+  it('rejects a request that is more than five minutes old, to protect against replays', function () {
+    this.clock.now += 301000
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request with a timestamp more than five minutes in the future', function () {
+    this.clock.now -= 301000
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request with a timestamp that is not a number', function () {
+    this.event.headers['X-Slack-Request-Timestamp'] = 'yesterday'
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  it('rejects a request with only a verification token', function () {
+    delete this.event.headers['X-Slack-Signature']
+    return this.result.then((result) => {
+      expect(result).to.equal('rejected')
+    })
+  })
+
+  describe('when both a verification token and a signing secret are configured', function () {
+    beforeEach(function () {
+      this.verificationToken = 'secret'
+    })
+
+    it('accepts a request with a valid signature', function () {
+      this.event.body = 'text=eu-north-9'
+      this.event.headers['X-Slack-Signature'] = sign(this.signingSecret, this.timestamp, this.event.body)
+      return this.result.then((result) => {
+        expect(result).to.equal('accepted')
+      })
+    })
+
+    it('accepts a request with the verification token but no signature', function () {
+      this.event.headers = {}
+      return this.result.then((result) => {
+        expect(result).to.equal('accepted')
+      })
+    })
+
+    it('rejects a request with neither', function () {
+      this.event.headers = {}
+      this.event.body = 'token=wrong'
+      return this.result.then((result) => {
+        expect(result).to.equal('rejected')
+      })
+    })
+  })
+
+  describe('when only a verification token is configured', function () {
+    beforeEach(function () {
+      this.verificationToken = 'secret'
+      this.signingSecret = null
+    })
+
+    it('accepts a request with the verification token', function () {
+      this.event.headers = {}
+      return this.result.then((result) => {
+        expect(result).to.equal('accepted')
+      })
+    })
+
+    it('rejects a request with another token', function () {
+      this.event.body = 'token=wrong'
+      return this.result.then((result) => {
+        expect(result).to.equal('rejected')
+      })
+    })
+
+    it('accepts an interactive payload with the verification token', function () {
+      this.event.body = `payload=${encodeURIComponent(JSON.stringify({type: 'block_actions', token: 'secret'}))}`
+      return this.result.then((result) => {
+        expect(result).to.equal('accepted')
+      })
+    })
+
+    it('rejects an interactive payload that is not JSON', function () {
+      this.event.body = 'payload=token%3Dsecret'
+      return this.result.then((result) => {
+        expect(result).to.equal('rejected')
+      })
+    })
+  })
+})
+
+describe('NoAuthentication', function () {
+  it('accepts all requests', function () {
+    const event = {}
+    return new NoAuthentication().authenticate(event).then((result) => {
+      expect(result).to.equal(event)
+    })
+  })
+})
@@ -0,0 +1,494 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {describe, it, beforeEach, afterEach} = require('mocha')
+const {expect} = require('chai')
+const Cli = require('../lib/cli')
+const EC2 = require('../lib/ec2')
+const {RecordingEC2, SnapshotEC2} = require('../lib/ec2_snapshot')
+
+describe('Cli', function () {
+  beforeEach(function () {
+    this.env = {AWS_DEFAULT_REGION: 'eu-north-3'}
+    this.stdout = {output: '', write(str) { this.output += str }}
+    this.stderr = {output: '', write(str) { this.output += str }}
+    this.aws = {
+      config: {},
+      SharedIniFileCredentials: function (options) {
+        this.profile = options.profile
+      },
+    }
+  })
+
+  beforeEach(function () {
+    this.summary = [
+      {family: 'c6', running: 8, spot: 0, emr: 0, reserved: 0, reservable: 8, surplus: 0, expiring: 0},
+      {family: 'i9', running: 16, spot: 0, emr: 0, reserved: 24, reservable: 0, surplus: 8, expiring: 0},
+    ]
+    this.report = null
+    this.reportError = null
+    this.requests = []
+    this.args = []
+    this.run = function () {
+      const reservationUsage = {
+        generateReport: (parameters) => {
+          this.requests.push(parameters)
+          if (this.reportError) {
+            return Promise.reject(this.reportError)
+          }
+          return Promise.resolve(Object.assign({type: parameters.report || 'summary', service: 'ec2', regions: ['eu-north-3'], data: this.summary}, this.report))
+        },
+      }
+      const createReservationUsage = (ec2, env) => {
+        this.ec2 = ec2
+        this.reservationUsageEnv = env
+        return reservationUsage
+      }
+      return new Cli(createReservationUsage, this.stdout, this.stderr, this.env, this.aws).run(this.args)
+    }
+  })
+
+  it('prints the summary as a table', function () {
+    return this.run().then((exitCode) => {
+      expect(exitCode).to.equal(0)
+      expect(this.stdout.output).to.match(/^\s+running\s+spot\s+emr\s+reserved\s+reservable\s+surplus\s+expiring\n/)
+      expect(this.stdout.output).to.match(/\ni9\s+16\s+0\s+0\s+24\s+0\s+8\s+0\n/)
+    })
+  })
+
+  it('accepts the region and report as arguments', function () {
+    this.args = ['eu-north-9', 'expiring']
+    this.report = {data: []}
+    return this.run().then(() => {
+      expect(this.requests).to.deep.equal([{region: 'eu-north-9', report: 'expiring'}])
+    })
+  })
+
+  it('accepts the report before the region', function () {
+    this.args = ['trends', 'eu-north-9']
+    this.report = {data: []}
+    return this.run().then(() => {
+      expect(this.requests).to.deep.equal([{region: 'eu-north-9', report: 'trends'}])
+    })
+  })
+
+  it('passes the options to the report', function () {
+    this.args = ['--region=eu-north-9,eu-north-7', '--report', 'recommendations', '--service=rds', '--group-by=account,az', '--costs', '--tag=cost-center', '--family=db.r7', '--days=60', '--headroom=20', '--offering-class=convertible', '--baseline=minimum', '--period=90']
+    this.report = {data: []}
+    return this.run().then(() => {
+      expect(this.requests).to.deep.equal([{
+        region: 'eu-north-9,eu-north-7',
+        report: 'recommendations',
+        service: 'rds',
+        groupBy: 'account,az',
+        costs: true,
+        tag: 'cost-center',
+        family: 'db.r7',
+        days: '60',
+        headroom: '20',
+        offeringClass: 'convertible',
+        baseline: 'minimum',
+        period: '90',
+      }])
+    })
+  })
+
+  describe('with --format=json', function () {
+    beforeEach(function () {
+      this.args = ['--format=json']
+    })
+
+    it('prints the report data as JSON', function () {
+      return this.run().then(() => {
+        expect(JSON.parse(this.stdout.output)).to.deep.equal(this.summary)
+      })
+    })
+  })
+
+  describe('with --format=csv', function () {
+    beforeEach(function () {
+      this.args = ['--format=csv']
+    })
+
+    it('prints the report as CSV', function () {
+      return this.run().then(() => {
+        expect(this.stdout.output).to.equal([
+          'family,running,spot,emr,reserved,reservable,surplus,expiring',
+          'c6,8,0,0,0,8,0,0',
+          'i9,16,0,0,24,0,8,0',
+          '',
+        ].join('\r\n'))
+      })
+    })
+
+    describe('and the summary has several regions', function () {
+      beforeEach(function () {
+        this.report = {data: {
+          regions: [{region: 'eu-north-9', summary: [this.summary[0]]}, {region: 'eu-north-7', summary: [this.summary[1]]}],
+          total: this.summary,
+        }}
+      })
+
+      it('prints a single table with the region on each row', function () {
+        return this.run().then(() => {
+          expect(this.stdout.output.split('\r\n')).to.deep.equal([
+            'region,family,running,spot,emr,reserved,reservable,surplus,expiring',
+            'eu-north-9,c6,8,0,0,0,8,0,0',
+            'eu-north-7,i9,16,0,0,24,0,8,0',
+            'total,c6,8,0,0,0,8,0,0',
+            'total,i9,16,0,0,24,0,8,0',
+            '',
+          ])
+        })
+      })
+    })
+
+    describe('and a value contains a comma or a quote', function () {
+      beforeEach(function () {
+        this.args.push('--report=tags')
+        this.report = {tagKey: 'team', data: [{tagValue: 'ads, "search"', running: 4, covered: 4, reservable: 0}]}
+      })
+
+      it('quotes it', function () {
+        return this.run().then(() => {
+          expect(this.stdout.output).to.equal('team,running,covered,reservable\r\n"ads, ""search""",4,4,0\r\n')
+        })
+      })
+    })
+  })
+
+  describe('with --format=markdown', function () {
+    beforeEach(function () {
+      this.args = ['--format=markdown']
+    })
+
+    it('prints the report as a Markdown table, with numbers aligned to the right', function () {
+      return this.run().then(() => {
+        expect(this.stdout.output).to.equal([
+          '| family | running | spot | emr | reserved | reservable | surplus | expiring |',
+          '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+          '| c6 | 8 | 0 | 0 | 0 | 8 | 0 | 0 |',
+          '| i9 | 16 | 0 | 0 | 24 | 0 | 8 | 0 |',
+          '',
+        ].join('\n'))
+      })
+    })
+
+    describe('and the report has headers that repeat', function () {
+      beforeEach(function () {
+        this.args.push('--report=trends')
+        this.report = {data: [{family: 'i9', platform: 'Linux/UNIX', snapshots: 2, runningMin: 8, runningAvg: 10, runningMax: 12, reservableMin: 0, reservableAvg: 1, reservableMax: 2}]}
+      })
+
+      it('uses the full headers', function () {
+        return this.run().then(() => {
+          expect(this.stdout.output.split('\n')[0]).to.equal('| family | platform | snapshots | running min | running avg | running max | reservable min | reservable avg | reservable max |')
+        })
+      })
+    })
+  })
+
+  describe('with --fail-on', function () {
+    beforeEach(function () {
+      this.args = ['--fail-on=surplus']
+    })
+
+    it('exits with status 3 when a family has units in the column', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(3)
+        expect(this.stdout.output).to.match(/i9/)
+      })
+    })
+
+    it('exits with status 0 when no family has units in the column', function () {
+      this.summary[1].surplus = 0
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+      })
+    })
+
+    it('checks the total when the summary has several regions', function () {
+      this.summary[0].reservable = 0
+      this.summary[1].surplus = 0
+      this.summary[1].reservable = 4
+      this.report = {data: {regions: [{region: 'eu-north-9', summary: this.summary}], total: this.summary}}
+      this.args = ['--fail-on=surplus,reservable']
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(3)
+      })
+    })
+
+    it('checks each service when the summary has all services', function () {
+      const rdsSummary = [{family: 'db.r7', running: 2, spot: 0, emr: 0, reserved: 4, reservable: 0, surplus: 2, expiring: 0}]
+      this.summary[1].surplus = 0
+      this.report = {data: {services: [{service: 'ec2', summary: this.summary}, {service: 'rds', summary: rdsSummary}]}}
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(3)
+      })
+    })
+
+    it('exits with status 2 when another report is requested', function () {
+      this.args.push('--report=expiring')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(2)
+        expect(this.stderr.output).to.match(/--fail-on can only be used with the summary/)
+        expect(this.requests).to.deep.equal([])
+      })
+    })
+  })
+
+  describe('with --profile', function () {
+    beforeEach(function () {
+      this.args = ['--profile=production']
+    })
+
+    it('uses the credentials of the profile', function () {
+      return this.run().then(() => {
+        expect(this.aws.config.credentials.profile).to.equal('production')
+      })
+    })
+  })
+
+  it('uses the default EC2 loader', function () {
+    return this.run().then(() => {
+      expect(this.ec2).to.equal(null)
+    })
+  })
+
+  describe('with --snapshot', function () {
+    beforeEach(function () {
+      this.args = ['eu-north-9', `--snapshot=${path.join(__dirname, 'fixtures', 'ec2_snapshot.json')}`]
+    })
+
+    it('loads instances and reservations from the snapshot', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        expect(this.ec2).to.be.an.instanceOf(SnapshotEC2)
+      })
+    })
+
+    it('does not load Savings Plans or use the history', function () {
+      Object.assign(this.env, {SAVINGS_PLANS: 'true', HISTORY_DIRECTORY: '/var/history', HISTORY_BUCKET: 'history'})
+      return this.run().then(() => {
+        expect(this.reservationUsageEnv).to.deep.equal({AWS_DEFAULT_REGION: 'eu-north-3'})
+        expect(this.env).to.include({SAVINGS_PLANS: 'true'})
+      })
+    })
+
+    it('runs the report without AWS', function () {
+      const cli = new Cli(null, this.stdout, this.stderr, {}, this.aws)
+      return cli.run(this.args.concat(['--format=csv'])).then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        expect(this.stdout.output).to.contain('\r\nc6,4,4,0,0,0,0,0\r\n')
+      })
+    })
+
+    it('exits with status 1 when the snapshot can not be loaded', function () {
+      this.args = ['eu-north-9', '--snapshot=/does/not/exist.json']
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(1)
+        expect(this.stderr.output).to.match(/^Error: Could not load snapshot file "\/does\/not\/exist.json"/)
+      })
+    })
+
+    it('exits with status 2 when another service is requested', function () {
+      this.args.push('--service=rds')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(2)
+        expect(this.stderr.output).to.match(/Snapshots only contain EC2/)
+      })
+    })
+
+    it('exits with status 2 when combined with --save-snapshot', function () {
+      this.args.push('--save-snapshot=snapshot.json')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(2)
+      })
+    })
+  })
+
+  describe('without --snapshot', function () {
+    it('uses the environment as it is', function () {
+      this.env.SAVINGS_PLANS = 'true'
+      return this.run().then(() => {
+        expect(this.reservationUsageEnv).to.equal(this.env)
+      })
+    })
+  })
+
+  describe('with --save-snapshot', function () {
+    beforeEach(function () {
+      this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reservation-usage-'))
+      this.args = [`--save-snapshot=${path.join(this.directory, 'snapshot.json')}`]
+    })
+
+    afterEach(function () {
+      fs.rmSync(this.directory, {recursive: true, force: true})
+    })
+
+    it('records the EC2 responses and saves them to the file after the report', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        expect(this.ec2).to.be.an.instanceOf(RecordingEC2)
+        expect(this.ec2).to.be.an.instanceOf(EC2)
+        const snapshot = JSON.parse(fs.readFileSync(path.join(this.directory, 'snapshot.json'), 'utf8'))
+        expect(snapshot.responses).to.deep.equal([])
+      })
+    })
+
+    it('does not save the file when the report fails', function () {
+      this.reportError = new Error('Access denied')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(1)
+        expect(fs.existsSync(path.join(this.directory, 'snapshot.json'))).to.equal(false)
+      })
+    })
+  })
+
+  describe('with --changes', function () {
+    beforeEach(function () {
+      this.changesFile = path.join(__dirname, 'fixtures', 'changes.json')
+      this.args = ['eu-north-9', `--changes=${this.changesFile}`]
+      this.report = {data: {before: this.summary, after: this.summary, changes: []}}
+    })
+
+    it('requests a simulation of the changes in the file', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        expect(this.requests[0].report).to.equal('simulation')
+        expect(this.requests[0].changes).to.deep.equal(JSON.parse(fs.readFileSync(this.changesFile, 'utf8')))
+      })
+    })
+
+    it('prints the summary before and after the changes, and the change', function () {
+      const cli = new Cli(null, this.stdout, this.stderr, {}, this.aws)
+      return cli.run(this.args.concat([`--snapshot=${path.join(__dirname, 'fixtures', 'ec2_snapshot.json')}`])).then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        const sections = this.stdout.output.split('\n\n')
+        expect(sections.map(s => s.split('\n')[0])).to.deep.equal(['before', 'after', 'change'])
+        expect(sections[2]).to.match(/\nc6\s+-4\s+-4\s+0\s+0\s+0\s+0\s+0\n/)
+        expect(sections[2]).to.match(/\ni9\s+0\s+0\s+0\s+\+8\s+-8\s+0/)
+      })
+    })
+
+    it('prints one CSV table with the stage on each row', function () {
+      this.args.push('--format=csv')
+      this.report.data.changes = [{family: 'c6', running: -8, spot: 0, emr: 0, reserved: 0, reservable: -8, surplus: 0, expiring: 0}]
+      return this.run().then(() => {
+        expect(this.stdout.output.split('\r\n')).to.deep.equal([
+          'stage,family,running,spot,emr,reserved,reservable,surplus,expiring',
+          'before,c6,8,0,0,0,8,0,0',
+          'before,i9,16,0,0,24,0,8,0',
+          'after,c6,8,0,0,0,8,0,0',
+          'after,i9,16,0,0,24,0,8,0',
+          'change,c6,-8,0,0,0,-8,0,0',
+          '',
+        ])
+      })
+    })
+
+    it('accepts the simulation report as an argument', function () {
+      this.args.push('simulation')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+      })
+    })
+
+    it('exits with status 2 when another report is requested', function () {
+      this.args.push('--report=expiring')
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(2)
+        expect(this.stderr.output).to.match(/--changes can only be used with the simulation report/)
+      })
+    })
+
+    it('exits with status 1 when the file can not be loaded', function () {
+      this.args = ['eu-north-9', '--changes=/does/not/exist.json']
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(1)
+        expect(this.stderr.output).to.match(/^Error: Could not load changes file/)
+      })
+    })
+  })
+
+  it('exits with status 2 when the simulation report is requested without --changes', function () {
+    this.args = ['simulation']
+    return this.run().then((exitCode) => {
+      expect(exitCode).to.equal(2)
+      expect(this.stderr.output).to.match(/needs a file with changes, use --changes/)
+    })
+  })
+
+  describe('with --help', function () {
+    beforeEach(function () {
+      this.args = ['--help']
+    })
+
+    it('prints the usage and exits with status 0', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+        expect(this.stdout.output).to.match(/^Usage: node index.js \[region\] \[report\] \[options\]/)
+        expect(this.stdout.output).to.match(/--format=FORMAT\s+table, json, csv, markdown/)
+        expect(this.requests).to.deep.equal([])
+      })
+    })
+
+    it('does not need a region', function () {
+      delete this.env.AWS_DEFAULT_REGION
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(0)
+      })
+    })
+  })
+
+  describe('with invalid arguments', function () {
+    const invalid = {
+      'an unknown option': [['--colour=red'], 'Unknown option --colour'],
+      'an option without a value': [['--region'], 'The option --region needs a value'],
+      'a flag with a value': [['--costs=yes'], 'The option --costs does not take a value'],
+      'an unknown format': [['--format=xml'], 'Unsupported value "xml" for --format, use one of table, json, csv, markdown'],
+      'an unknown report': [['--report=costs'], 'Unsupported value "costs" for --report'],
+      'an unknown service': [['--service=dynamodb'], 'Unsupported value "dynamodb" for --service'],
+      'an unknown grouping': [['--group-by=account,team'], 'Unsupported value "team" for --group-by'],
+      'a number of days that is not a number': [['--days=many'], 'The option --days needs a number, not "many"'],
+      'a headroom above 100': [['--headroom=150'], 'The option --headroom needs a percentage between 0 and 100, not "150"'],
+      'a negative headroom': [['--headroom=-50'], 'The option --headroom needs a percentage between 0 and 100, not "-50"'],
+      'too many arguments': [['eu-north-9', 'summary', 'eu-north-7'], 'Unexpected argument "eu-north-7"'],
+    }
+    Object.keys(invalid).forEach((description) => {
+      it(`exits with status 2 and prints what is wrong for ${description}`, function () {
+        const [args, message] = invalid[description]
+        this.args = args
+        return this.run().then((exitCode) => {
+          expect(exitCode).to.equal(2)
+          expect(this.stderr.output).to.contain(message)
+          expect(this.stderr.output).to.contain('Run with --help for usage.')
+          expect(this.requests).to.deep.equal([])
+        })
+      })
+    })
+
+    it('exits with status 2 when there is no region', function () {
+      this.args = []
+      delete this.env.AWS_DEFAULT_REGION
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(2)
+        expect(this.stderr.output).to.match(/No region given/)
+      })
+    })
+  })
+
+  describe('when the report fails', function () {
+    beforeEach(function () {
+      this.reportError = new Error('Access denied')
+    })
+
+    it('prints the error and exits with status 1', function () {
+      return this.run().then((exitCode) => {
+        expect(exitCode).to.equal(1)
+        expect(this.stderr.output).to.equal('Error: Access denied\n')
+        expect(this.stdout.output).to.equal('')
+      })
+    })
+  })
+})
@@ -0,0 +1,183 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {describe, it, beforeEach, afterEach} = require('mocha')
+const {expect} = require('chai')
+const EC2 = require('../lib/ec2')
+const ReservationUsage = require('../lib/reservation_usage')
+const {RecordingEC2, SnapshotEC2} = require('../lib/ec2_snapshot')
+
+const SNAPSHOT_FILE = path.join(__dirname, 'fixtures', 'ec2_snapshot.json')
+
+describe('RecordingEC2', function () {
+  beforeEach(function () {
+    this.snapshot = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'))
+    this.failures = 0
+    this.ec2Client = {
+      describeInstances: (params) => {
+        if (this.failures > 0) {
+          this.failures--
+          const error = new Error('Rate exceeded')
+          error.code = 'RequestLimitExceeded'
+          return {promise: () => Promise.reject(error)}
+        }
+        const recorded = this.snapshot.responses.find(r => r.operation == 'describeInstances' && r.params.NextToken == params.NextToken)
+        return {promise: () => Promise.resolve(recorded.response)}
+      },
+      describeReservedInstances: () => {
+        const recorded = this.snapshot.responses.find(r => r.operation == 'describeReservedInstances')
+        return {promise: () => Promise.resolve(recorded.response)}
+      },
+    }
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const ec2ClientFactory = function () {
+      return ctx.ec2Client
+    }
+    this.clock = {now: new Date('2018-06-01T00:00:00Z').getTime()}
+    this.ec2 = new RecordingEC2(ec2ClientFactory, {}, this.clock, () => Promise.resolve())
+  })
+
+  it('loads instances and reservations like EC2', function () {
+    return Promise.all([this.ec2.loadInstances('eu-north-9'), this.ec2.loadReservations('eu-north-9')]).then(([instances, reservations]) => {
+      expect(instances.map(i => i.id)).to.deep.equal(['i-0001', 'i-0002', 'i-0003', 'i-0004', 'i-0005'])
+      expect(reservations.map(r => r.id)).to.deep.equal(['ri-0001', 'ri-0002'])
+    })
+  })
+
+  describe('#snapshot', function () {
+    it('contains the raw responses of all requests, including each page', function () {
+      return this.ec2.loadInstances('eu-north-9').then(() => this.ec2.loadReservations('eu-north-9')).then(() => {
+        const snapshot = this.ec2.snapshot()
+        expect(snapshot.version).to.equal(1)
+        expect(snapshot.createdAt).to.equal('2018-06-01T00:00:00.000Z')
+        expect(snapshot.responses).to.deep.equal(this.snapshot.responses.filter(r => r.operation != 'describeRegions').sort((a, b) => a.operation.localeCompare(b.operation)))
+      })
+    })
+
+    it('records a response once when the request is retried', function () {
+      this.failures = 2
+      return this.ec2.loadInstances('eu-north-9').then(() => {
+        expect(this.ec2.snapshot().responses.map(r => r.params.NextToken)).to.deep.equal([undefined, 'page2'])
+      })
+    })
+
+    it('records the name of the account', function () {
+      const ctx = this
+      const ec2ClientFactory = function () {
+        return ctx.ec2Client
+      }
+      const stsClientFactory = function () {
+        return {assumeRole: () => ({promise: () => Promise.resolve({Credentials: {Expiration: '2018-06-01T01:00:00Z'}})})}
+      }
+      const accounts = [{name: 'production', roleArn: 'arn:aws:iam::1234:role/reservation-usage'}]
+      const ec2 = new RecordingEC2(ec2ClientFactory, {}, this.clock, null, accounts, stsClientFactory)
+      return ec2.loadReservations('eu-north-9').then(() => {
+        expect(ec2.snapshot().responses.map(r => r.account)).to.deep.equal(['production'])
+      })
+    })
+  })
+
+  describe('#save', function () {
+    beforeEach(function () {
+      this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reservation-usage-'))
+    })
+
+    afterEach(function () {
+      fs.rmSync(this.directory, {recursive: true, force: true})
+    })
+
+    it('writes the snapshot to a file that SnapshotEC2 can load', function () {
+      const file = path.join(this.directory, 'snapshot.json')
+      return this.ec2.loadInstances('eu-north-9')
+        .then(() => this.ec2.save(file))
+        .then(() => SnapshotEC2.load(file).loadInstances('eu-north-9'))
+        .then((instances) => {
+          expect(instances.map(i => i.id)).to.deep.equal(['i-0001', 'i-0002', 'i-0003', 'i-0004', 'i-0005'])
+        })
+    })
+  })
+})
+
+describe('SnapshotEC2', function () {
+  beforeEach(function () {
+    this.ec2 = SnapshotEC2.load(SNAPSHOT_FILE)
+  })
+
+  describe('#loadInstances', function () {
+    it('returns the instances from all pages of the snapshot, the same way as EC2', function () {
+      return this.ec2.loadInstances('eu-north-9').then((instances) => {
+        expect(instances.map(i => i.id)).to.deep.equal(['i-0001', 'i-0002', 'i-0003', 'i-0004', 'i-0005'])
+        expect(instances[1]).to.deep.equal({
+          id: 'i-0002',
+          family: 'i9',
+          size: 'xlarge',
+          az: 'eu-north-9b',
+          platform: 'Linux/UNIX',
+          tenancy: 'default',
+          emr: false,
+          spot: false,
+          tags: {team: 'search'},
+          account: null,
+          units: 8,
+        })
+        expect(instances[2].spot).to.equal(true)
+        expect(instances[4].emr).to.equal(true)
+      })
+    })
+
+    it('rejects when the snapshot does not contain the region', function () {
+      return this.ec2.loadInstances('eu-north-7').then(() => expect.fail('loadInstances should have failed'), (error) => {
+        expect(error.message).to.equal('The snapshot has no describeInstances response for eu-north-7')
+      })
+    })
+  })
+
+  describe('#loadReservations', function () {
+    it('returns the reservations from the snapshot, the same way as EC2', function () {
+      return this.ec2.loadReservations('eu-north-9').then((reservations) => {
+        expect(reservations).to.deep.equal([
+          {id: 'ri-0001', family: 'i9', size: 'large', offeringClass: 'convertible', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 2, end: new Date('2020-03-01T12:00:00Z'), account: null, units: 8},
+          {id: 'ri-0002', family: 'd5', size: 'xlarge', offeringClass: 'standard', az: 'eu-north-9a', platform: 'Linux/UNIX', tenancy: 'default', count: 1, end: new Date('2018-06-15T00:00:00Z'), account: null, units: 8},
+        ])
+      })
+    })
+  })
+
+  describe('#loadRegions', function () {
+    it('returns the regions from the snapshot, regardless of the region it is called with', function () {
+      return this.ec2.loadRegions('us-east-1').then((regions) => {
+        expect(regions).to.deep.equal(['eu-north-9'])
+      })
+    })
+  })
+
+  describe('.load', function () {
+    it('throws an error when the file does not exist', function () {
+      expect(() => SnapshotEC2.load('/does/not/exist.json')).to.throw('Could not load snapshot file "/does/not/exist.json"')
+    })
+
+    it('throws an error when the file is not a snapshot', function () {
+      const file = path.join(__dirname, 'fixtures', 'alert_rules.json')
+      expect(() => SnapshotEC2.load(file)).to.throw(`Unsupported snapshot file "${file}"`)
+    })
+  })
+
+  it('is an EC2', function () {
+    expect(this.ec2).to.be.an.instanceOf(EC2)
+  })
+
+  it('lets ReservationUsage run without AWS', function () {
+    const clock = {now: new Date('2018-06-01T00:00:00Z').getTime()}
+    const reservationUsage = new ReservationUsage({}, this.ec2, clock, {})
+    return reservationUsage.generateReport({region: 'eu-north-9'}).then((report) => {
+      expect(report.data.map(row => [row.family, row.running, row.spot, row.emr, row.reserved, row.reservable, row.surplus])).to.deep.equal([
+        ['c6', 4, 4, 0, 0, 0, 0],
+        ['d5', 16, 0, 0, 8, 16, 8],
+        ['i9', 16, 0, 4, 8, 8, 0],
+      ])
+    })
+  })
+})
@@ -11,13 +11,21 @@ describe('EC2', function () {
     this.clock = {now: 0}
   })
 
+  beforeEach(function () {
+    this.delays = []
+    this.delay = (ms) => {
+      this.delays.push(ms)
+      return Promise.resolve()
+    }
+  })
+
   beforeEach(function () {
     const ctx = this
     const ec2ClientFactory = function (config) {
       ctx.ec2Config = config
       return ctx.ec2Client
     }
-    this.ec2 = new EC2(ec2ClientFactory, {}, {}, this.clock)
+    this.ec2 = new EC2(ec2ClientFactory, {}, {}, this.clock, this.delay)
   })
 
   function ec2ClientSharedExamples() {
@@ -31,9 +39,9 @@ describe('EC2', function () {
   describe('#loadReservations', function () {
     beforeEach(function () {
       this.reservedInstances = [
-        {ReservedInstancesId: 'r1', InstanceType: 'm9.37xlarge', OfferingClass: 'convertible', InstanceCount: 9, Scope: 'Region'},
-        {ReservedInstancesId: 'r2', InstanceType: 'p13.medium', OfferingClass: 'standard', InstanceCount: 13, Scope: 'Region'},
-        {ReservedInstancesId: 'r3', InstanceType: 'i7.nano', OfferingClass: 'standard', InstanceCount: 3, Scope: 'Availability Zone', AvailabilityZone: 'eu-north-9d'},
+        {ReservedInstancesId: 'r1', InstanceType: 'm9.37xlarge', OfferingClass: 'convertible', InstanceCount: 9, Scope: 'Region', ProductDescription: 'Linux/UNIX', InstanceTenancy: 'default', End: new Date('2019-03-01T12:00:00Z')},
+        {ReservedInstancesId: 'r2', InstanceType: 'p13.medium', OfferingClass: 'standard', InstanceCount: 13, Scope: 'Region', ProductDescription: 'Windows (Amazon VPC)', InstanceTenancy: 'default', Start: new Date('2018-01-01T00:00:00Z'), Duration: 31536000},
+        {ReservedInstancesId: 'r3', InstanceType: 'i7.nano', OfferingClass: 'standard', InstanceCount: 3, Scope: 'Availability Zone', AvailabilityZone: 'eu-north-9d', ProductDescription: 'Linux/UNIX (Amazon VPC)', InstanceTenancy: 'dedicated'},
       ]
     })
 
@@ -94,6 +102,13 @@ describe('EC2', function () {
       })
     })
 
+    it('returns reservations of unknown sizes without units', function () {
+      this.reservedInstances.push({ReservedInstancesId: 'r4', InstanceType: 'mac9.metal', OfferingClass: 'standard', InstanceCount: 1, Scope: 'Region', ProductDescription: 'Linux/UNIX'})
+      return this.ec2.loadReservations('eu-north-7').then((reservations) => {
+        expect(reservations[3]).to.include({id: 'r4', family: 'mac9', size: 'metal', count: 1, units: null})
+      })
+    })
+
     it('extracts the offering class', function () {
       return this.result.then((reservations) => {
         expect(reservations[0].offeringClass).to.equal('convertible')
@@ -101,6 +116,36 @@ describe('EC2', function () {
       })
     })
 
+    it('extracts the platform, without the "Amazon VPC" suffix', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.platform)).to.deep.equal(['Linux/UNIX', 'Windows', 'Linux/UNIX'])
+      })
+    })
+
+    it('extracts the tenancy', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.tenancy)).to.deep.equal(['default', 'default', 'dedicated'])
+      })
+    })
+
+    it('extracts the end date', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0].end).to.deep.equal(new Date('2019-03-01T12:00:00Z'))
+      })
+    })
+
+    it('calculates the end date from the start date and duration when there is no end date', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[1].end).to.deep.equal(new Date('2019-01-01T00:00:00Z'))
+      })
+    })
+
+    it('sets the end date to null when it is not known', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[2].end).to.be.null
+      })
+    })
+
     it('sets the AZ to "*" for convertible reservations', function () {
       return this.result.then((reservations) => {
         expect(reservations[0].az).to.equal('*')
@@ -119,6 +164,56 @@ describe('EC2', function () {
       })
     })
 
+    describe('when the response is paginated', function () {
+      beforeEach(function () {
+        this.calls = 0
+        this.nextTokens = []
+        this.ec2Client.describeReservedInstances = (params) => {
+          this.calls++
+          this.nextTokens.push(params.NextToken)
+          this.filters = params.Filters
+          let response = null
+          if (params.NextToken == null) {
+            response = {ReservedInstances: this.reservedInstances.slice(0, 2), NextToken: 'page2'}
+          } else {
+            response = {ReservedInstances: this.reservedInstances.slice(2)}
+          }
+          return {promise: () => Promise.resolve(response)}
+        }
+      })
+
+      beforeEach(function () {
+        this.result = this.ec2.loadReservations('eu-north-7')
+      })
+
+      it('requests each page with the token from the previous response', function () {
+        return this.result.then(() => {
+          expect(this.nextTokens).to.deep.equal([undefined, 'page2'])
+        })
+      })
+
+      it('keeps the filters when requesting the next page', function () {
+        return this.result.then(() => {
+          expect(this.filters).to.deep.equal([{Name: 'state', Values: ['active']}])
+        })
+      })
+
+      it('returns the reservations from all pages', function () {
+        return this.result.then((reservations) => {
+          expect(reservations.map(r => r.id)).to.deep.equal(['r1', 'r2', 'r3'])
+        })
+      })
+
+      it('caches the combined result', function () {
+        return this.result.then(() => {
+          return this.ec2.loadReservations('eu-north-7')
+        }).then((reservations) => {
+          expect(reservations.length).to.equal(3)
+          expect(this.calls).to.equal(2)
+        })
+      })
+    })
+
     it('caches the result per region', function () {
       return Promise.all([
         this.ec2.loadReservations('eu-north-9'),
@@ -151,11 +246,11 @@ describe('EC2', function () {
   describe('#loadInstances', function () {
     beforeEach(function () {
       this.instances = [
-        {InstanceType: 'm9.37xlarge', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: []},
-        {InstanceType: 'p13.medium', Placement: {AvailabilityZone: 'eu-north-9d'}, Tags: [{Key: 'Environment', Value: 'test'}]},
-        {InstanceType: 'x3.micro', Placement: {AvailabilityZone: 'eu-north-9d'}, InstanceLifecycle: 'spot', Tags: []},
-        {InstanceType: 'c17.large', Placement: {AvailabilityZone: 'eu-north-9d'}, Tags: [{Key: 'aws:elasticmapreduce:job-flow-id', Value: '1'}]},
-        {InstanceType: 'i7.nano', Placement: {AvailabilityZone: 'eu-north-9g'}, Tags: []},
+        {InstanceId: 'i-0001', InstanceType: 'm9.37xlarge', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: []},
+        {InstanceId: 'i-0002', InstanceType: 'p13.medium', Placement: {AvailabilityZone: 'eu-north-9d'}, Platform: 'windows', Tags: [{Key: 'Environment', Value: 'test'}]},
+        {InstanceId: 'i-0003', InstanceType: 'x3.micro', Placement: {AvailabilityZone: 'eu-north-9d', Tenancy: 'default'}, InstanceLifecycle: 'spot', Tags: []},
+        {InstanceId: 'i-0004', InstanceType: 'c17.large', Placement: {AvailabilityZone: 'eu-north-9d'}, PlatformDetails: 'Red Hat Enterprise Linux', Tags: [{Key: 'aws:elasticmapreduce:job-flow-id', Value: '1'}]},
+        {InstanceId: 'i-0005', InstanceType: 'i7.nano', Placement: {AvailabilityZone: 'eu-north-9g', Tenancy: 'dedicated'}, Tags: []},
       ]
     })
 
@@ -196,6 +291,18 @@ describe('EC2', function () {
       })
     })
 
+    it('includes the IDs of the instances', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.id)).to.deep.equal(['i-0001', 'i-0002', 'i-0003', 'i-0004', 'i-0005'])
+      })
+    })
+
+    it('includes the tags of the instances', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.tags)).to.deep.equal([{}, {Environment: 'test'}, {}, {'aws:elasticmapreduce:job-flow-id': '1'}, {}])
+      })
+    })
+
     it('marks instance used for EMR', function () {
       return this.result.then((instances) => {
         expect(instances.map(i => i.emr)).to.deep.equal([false, false, false, true, false])
@@ -211,6 +318,18 @@ describe('EC2', function () {
       })
     })
 
+    it('extracts the platform from the instances, defaulting to Linux/UNIX', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.platform)).to.deep.equal(['Linux/UNIX', 'Windows', 'Linux/UNIX', 'Red Hat Enterprise Linux', 'Linux/UNIX'])
+      })
+    })
+
+    it('extracts the tenancy from the instances, defaulting to "default"', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.tenancy)).to.deep.equal(['default', 'default', 'default', 'default', 'dedicated'])
+      })
+    })
+
     it('extracts the AZ from the instances', function () {
       return this.result.then((instances) => {
         expect(instances[0].az).to.equal('eu-north-9b')
@@ -225,6 +344,152 @@ describe('EC2', function () {
       })
     })
 
+    describe('when there are bare metal instances and instances of unknown sizes', function () {
+      beforeEach(function () {
+        this.instances.push({InstanceId: 'i-0006', InstanceType: 'm5.metal', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: []})
+        this.instances.push({InstanceId: 'i-0007', InstanceType: 'm7i.metal-24xl', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: []})
+        this.instances.push({InstanceId: 'i-0008', InstanceType: 'mac9.metal', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: []})
+        this.ec2Client.describeInstances = () => ({promise: () => Promise.resolve({Reservations: [{Instances: this.instances}]})})
+        this.result = this.ec2.loadInstances('eu-north-7')
+      })
+
+      it('counts bare metal instances as the equivalent size of the family', function () {
+        return this.result.then((instances) => {
+          expect(instances.slice(5, 7).map(i => [i.size, i.units])).to.deep.equal([['metal', 192], ['metal-24xl', 192]])
+        })
+      })
+
+      it('returns instances of unknown sizes without units', function () {
+        return this.result.then((instances) => {
+          expect(instances[7]).to.include({id: 'i-0008', family: 'mac9', size: 'metal', units: null})
+        })
+      })
+    })
+
+    describe('when the response is paginated', function () {
+      beforeEach(function () {
+        this.calls = 0
+        this.nextTokens = []
+        this.ec2Client.describeInstances = (params) => {
+          this.calls++
+          this.nextTokens.push(params.NextToken)
+          let response = null
+          if (params.NextToken == null) {
+            response = {Reservations: [{Instances: [this.instances[0], this.instances[1]]}], NextToken: 'page2'}
+          } else if (params.NextToken == 'page2') {
+            response = {Reservations: [{Instances: [this.instances[2]]}], NextToken: 'page3'}
+          } else {
+            response = {Reservations: [{Instances: [this.instances[3], this.instances[4]]}]}
+          }
+          return {promise: () => Promise.resolve(response)}
+        }
+      })
+
+      beforeEach(function () {
+        this.result = this.ec2.loadInstances('eu-north-7')
+      })
+
+      it('requests each page with the token from the previous response', function () {
+        return this.result.then(() => {
+          expect(this.nextTokens).to.deep.equal([undefined, 'page2', 'page3'])
+        })
+      })
+
+      it('returns the instances from all pages', function () {
+        return this.result.then((instances) => {
+          expect(instances.map(i => i.family)).to.deep.equal(['m9', 'p13', 'x3', 'c17', 'i7'])
+        })
+      })
+
+      it('caches the combined result', function () {
+        return this.result.then(() => {
+          return this.ec2.loadInstances('eu-north-7')
+        }).then((instances) => {
+          expect(instances.length).to.equal(5)
+          expect(this.calls).to.equal(3)
+        })
+      })
+    })
+
+    describe('when requests are throttled', function () {
+      beforeEach(function () {
+        this.calls = 0
+        this.failures = 2
+        this.ec2Client.describeInstances = () => {
+          this.calls++
+          if (this.failures > 0) {
+            this.failures--
+            const error = new Error('Request limit exceeded.')
+            error.code = 'RequestLimitExceeded'
+            return {promise: () => Promise.reject(error)}
+          } else {
+            return {promise: () => Promise.resolve({Reservations: [{Instances: this.instances}]})}
+          }
+        }
+      })
+
+      it('retries the request', function () {
+        return this.ec2.loadInstances('eu-north-7').then((instances) => {
+          expect(instances.length).to.equal(5)
+          expect(this.calls).to.equal(3)
+        })
+      })
+
+      it('waits exponentially longer between each retry', function () {
+        return this.ec2.loadInstances('eu-north-7').then(() => {
+          expect(this.delays.length).to.equal(2)
+          expect(this.delays[1]).to.equal(2 * this.delays[0])
+        })
+      })
+
+      it('gives up after five retries', function () {
+        this.failures = 10
+        return this.ec2.loadInstances('eu-north-7').then(() => {
+          throw new Error('Expected an error')
+        }, (error) => {
+          expect(error.code).to.equal('RequestLimitExceeded')
+          expect(this.calls).to.equal(6)
+        })
+      })
+
+      it('does not retry other errors', function () {
+        this.ec2Client.describeInstances = () => {
+          this.calls++
+          return {promise: () => Promise.reject(new Error('Access denied'))}
+        }
+        return this.ec2.loadInstances('eu-north-7').then(() => {
+          throw new Error('Expected an error')
+        }, (error) => {
+          expect(error.message).to.equal('Access denied')
+          expect(this.calls).to.equal(1)
+        })
+      })
+    })
+
+    describe('when loading many regions at the same time', function () {
+      beforeEach(function () {
+        this.activeRequests = 0
+        this.maxActiveRequests = 0
+        this.ec2Client.describeInstances = () => {
+          this.activeRequests++
+          this.maxActiveRequests = Math.max(this.maxActiveRequests, this.activeRequests)
+          return {promise: () => {
+            return new Promise(resolve => setImmediate(resolve)).then(() => {
+              this.activeRequests--
+              return {Reservations: []}
+            })
+          }}
+        }
+      })
+
+      it('limits the number of concurrent requests', function () {
+        const regions = ['eu-north-1', 'eu-north-2', 'eu-north-3', 'eu-north-4', 'eu-north-5', 'eu-north-6', 'eu-north-7']
+        return Promise.all(regions.map(r => this.ec2.loadInstances(r))).then(() => {
+          expect(this.maxActiveRequests).to.equal(4)
+        })
+      })
+    })
+
     it('caches the result per region', function () {
       return Promise.all([
         this.ec2.loadInstances('eu-north-9'),
@@ -253,4 +518,140 @@ describe('EC2', function () {
       })
     })
   })
+
+  describe('#loadRegions', function () {
+    beforeEach(function () {
+      this.calls = 0
+      this.ec2Client.describeRegions = () => {
+        this.calls++
+        return {promise: () => Promise.resolve({Regions: [
+          {RegionName: 'eu-north-9', Endpoint: 'ec2.eu-north-9.amazonaws.com'},
+          {RegionName: 'eu-north-1', Endpoint: 'ec2.eu-north-1.amazonaws.com'},
+        ]})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.ec2.loadRegions('eu-north-9')
+    })
+
+    ec2ClientSharedExamples()
+
+    it('returns a promise of the names of the available regions, in alphabetical order', function () {
+      return this.result.then((regions) => {
+        expect(regions).to.deep.equal(['eu-north-1', 'eu-north-9'])
+      })
+    })
+
+    it('caches the result', function () {
+      return this.result.then(() => {
+        return this.ec2.loadRegions('eu-north-9')
+      }).then(() => {
+        expect(this.calls).to.equal(1)
+      })
+    })
+  })
+
+  describe('when configured with multiple accounts', function () {
+    beforeEach(function () {
+      this.accounts = [
+        {id: '210987654321', name: 'payer', roleArn: null},
+        {id: '123456789012', name: 'production', roleArn: 'arn:aws:iam::123456789012:role/ReservationUsage'},
+      ]
+    })
+
+    beforeEach(function () {
+      this.assumedRoles = []
+      this.stsCalls = 0
+      this.stsErrors = []
+      const ctx = this
+      const stsClientFactory = function () {
+        return {
+          assumeRole(params) {
+            ctx.stsCalls++
+            ctx.assumedRoles.push(params.RoleArn)
+            if (ctx.stsErrors.length > 0) {
+              return {promise: () => Promise.reject(ctx.stsErrors.shift())}
+            }
+            return {promise: () => Promise.resolve({Credentials: {
+              AccessKeyId: 'AKIA',
+              SecretAccessKey: 'secret',
+              SessionToken: 'session',
+              Expiration: new Date(ctx.clock.now + 3600000),
+            }})}
+          },
+        }
+      }
+      this.ec2Configs = []
+      this.clients = {}
+      const ec2ClientFactory = function (config) {
+        ctx.ec2Configs.push(config)
+        const account = config.credentials ? 'production' : 'payer'
+        return {
+          describeInstances() {
+            return {promise: () => Promise.resolve({Reservations: [
+              {Instances: [{InstanceType: 'm9.large', Placement: {AvailabilityZone: 'eu-north-9b'}, Tags: [{Key: 'Name', Value: account}]}]},
+            ]})}
+          },
+          describeReservedInstances() {
+            return {promise: () => Promise.resolve({ReservedInstances: [
+              {ReservedInstancesId: `r-${account}`, InstanceType: 'm9.large', OfferingClass: 'standard', InstanceCount: 1, Scope: 'Region'},
+            ]})}
+          },
+        }
+      }
+      this.ec2 = new EC2(ec2ClientFactory, {}, {}, this.clock, this.delay, this.accounts, stsClientFactory)
+    })
+
+    it('assumes the role of each account that has one', function () {
+      return this.ec2.loadInstances('eu-north-9').then(() => {
+        expect(this.assumedRoles).to.deep.equal(['arn:aws:iam::123456789012:role/ReservationUsage'])
+      })
+    })
+
+    it('creates EC2 clients with the assumed role credentials', function () {
+      return this.ec2.loadInstances('eu-north-9').then(() => {
+        expect(this.ec2Configs).to.deep.include({region: 'eu-north-9', credentials: {accessKeyId: 'AKIA', secretAccessKey: 'secret', sessionToken: 'session'}})
+        expect(this.ec2Configs).to.deep.include({region: 'eu-north-9'})
+      })
+    })
+
+    it('loads instances from all accounts and marks them with the account name', function () {
+      return this.ec2.loadInstances('eu-north-9').then((instances) => {
+        expect(instances.map(i => i.account)).to.deep.equal(['payer', 'production'])
+      })
+    })
+
+    it('loads reservations from all accounts and marks them with the account name', function () {
+      return this.ec2.loadReservations('eu-north-9').then((reservations) => {
+        expect(reservations.map(r => [r.id, r.account])).to.deep.equal([['r-payer', 'payer'], ['r-production', 'production']])
+      })
+    })
+
+    it('reuses the assumed role credentials until they are about to expire', function () {
+      return this.ec2.loadInstances('eu-north-9').then(() => {
+        return this.ec2.loadReservations('eu-north-7')
+      }).then(() => {
+        expect(this.stsCalls).to.equal(1)
+        this.clock.now += 3600000 - 60000
+        return this.ec2.loadReservations('eu-north-9')
+      }).then(() => {
+        expect(this.stsCalls).to.equal(2)
+      })
+    })
+
+    it('does not reuse the result of a failed attempt to assume a role', function () {
+      const error = Object.assign(new Error('Access denied'), {code: 'AccessDenied'})
+      this.stsErrors.push(error)
+      return this.ec2.loadInstances('eu-north-9').then(() => {
+        throw new Error('Expected the first load to fail')
+      }, (e) => {
+        expect(e).to.equal(error)
+        return this.ec2.loadReservations('eu-north-9')
+      }).then((reservations) => {
+        expect(this.stsCalls).to.equal(2)
+        expect(reservations.map(r => r.account)).to.deep.equal(['payer', 'production'])
+      })
+    })
+  })
 })
@@ -0,0 +1,115 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const ElastiCache = require('../lib/elasticache')
+
+describe('ElastiCache', function () {
+  beforeEach(function () {
+    this.elastiCacheClient = {}
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const elastiCacheClientFactory = function (config) {
+      ctx.elastiCacheConfig = config
+      return ctx.elastiCacheClient
+    }
+    this.elastiCache = new ElastiCache(elastiCacheClientFactory, {}, {}, {now: 0}, () => Promise.resolve())
+  })
+
+  describe('#loadReservations', function () {
+    beforeEach(function () {
+      this.requests = []
+      this.elastiCacheClient.describeReservedCacheNodes = (params) => {
+        this.requests.push(params)
+        if (params.Marker) {
+          return {promise: () => Promise.resolve({ReservedCacheNodes: [
+            {ReservedCacheNodeId: 'r2', CacheNodeType: 'cache.m9.large', CacheNodeCount: 1, ProductDescription: 'memcached', State: 'retired'},
+          ]})}
+        } else {
+          return {promise: () => Promise.resolve({Marker: 'm1', ReservedCacheNodes: [
+            {ReservedCacheNodeId: 'r1', CacheNodeType: 'cache.r7.xlarge', CacheNodeCount: 3, ProductDescription: 'redis', State: 'active', StartTime: new Date('2018-01-01T00:00:00Z'), Duration: 31536000},
+          ]})}
+        }
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.elastiCache.loadReservations('eu-north-9')
+    })
+
+    it('creates an ElastiCache client for the specified region', function () {
+      return this.result.then(() => {
+        expect(this.elastiCacheConfig).to.include({region: 'eu-north-9'})
+      })
+    })
+
+    it('loads all pages and returns the active reserved nodes', function () {
+      return this.result.then((reservations) => {
+        expect(this.requests).to.deep.equal([{}, {Marker: 'm1'}])
+        expect(reservations.map(r => r.id)).to.deep.equal(['r1'])
+      })
+    })
+
+    it('returns regional, size flexible reservations with the engine as platform', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0]).to.include({family: 'cache.r7', size: 'xlarge', platform: 'redis', az: '*', sizeFlexible: true, count: 3, units: 3 * 8})
+        expect(reservations[0].end).to.deep.equal(new Date('2019-01-01T00:00:00Z'))
+      })
+    })
+
+    it('returns reserved nodes of unknown sizes without units', function () {
+      this.elastiCacheClient.describeReservedCacheNodes = () => {
+        return {promise: () => Promise.resolve({ReservedCacheNodes: [
+          {ReservedCacheNodeId: 'r3', CacheNodeType: 'cache.x9.huge', CacheNodeCount: 2, ProductDescription: 'redis', State: 'active'},
+        ]})}
+      }
+      return this.elastiCache.loadReservations('eu-north-7').then((reservations) => {
+        expect(reservations[0]).to.include({family: 'cache.x9', size: 'huge', count: 2, units: null})
+      })
+    })
+  })
+
+  describe('#loadInstances', function () {
+    beforeEach(function () {
+      this.elastiCacheClient.describeCacheClusters = () => {
+        return {promise: () => Promise.resolve({CacheClusters: [
+          {CacheClusterId: 'sessions', CacheNodeType: 'cache.r7.large', Engine: 'redis', NumCacheNodes: 1, CacheClusterStatus: 'available', PreferredAvailabilityZone: 'eu-north-9a'},
+          {CacheClusterId: 'pages', CacheNodeType: 'cache.m9.medium', Engine: 'memcached', NumCacheNodes: 3, CacheClusterStatus: 'modifying', PreferredAvailabilityZone: 'eu-north-9b'},
+          {CacheNodeType: 'cache.m9.medium', Engine: 'memcached', NumCacheNodes: 2, CacheClusterStatus: 'deleting', PreferredAvailabilityZone: 'eu-north-9b'},
+        ]})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.elastiCache.loadInstances('eu-north-9')
+    })
+
+    it('returns one record per node in the clusters that are not being deleted', function () {
+      return this.result.then((nodes) => {
+        expect(nodes.map(n => [n.family, n.size, n.platform, n.az, n.units])).to.deep.equal([
+          ['cache.r7', 'large', 'redis', 'eu-north-9a', 4],
+          ['cache.m9', 'medium', 'memcached', 'eu-north-9b', 2],
+          ['cache.m9', 'medium', 'memcached', 'eu-north-9b', 2],
+          ['cache.m9', 'medium', 'memcached', 'eu-north-9b', 2],
+        ])
+      })
+    })
+
+    it('returns nodes of unknown sizes without units', function () {
+      this.elastiCacheClient.describeCacheClusters = () => {
+        return {promise: () => Promise.resolve({CacheClusters: [
+          {CacheClusterId: 'queues', CacheNodeType: 'cache.x9.huge', Engine: 'redis', NumCacheNodes: 1, CacheClusterStatus: 'available', PreferredAvailabilityZone: 'eu-north-7a'},
+        ]})}
+      }
+      return this.elastiCache.loadInstances('eu-north-7').then((nodes) => {
+        expect(nodes.map(n => [n.family, n.size, n.units])).to.deep.equal([['cache.x9', 'huge', null]])
+      })
+    })
+
+    it('uses the cluster ID as the ID of the nodes', function () {
+      return this.result.then((nodes) => {
+        expect(nodes.map(n => n.id)).to.deep.equal(['sessions', 'pages', 'pages', 'pages'])
+      })
+    })
+  })
+})
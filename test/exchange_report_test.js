@@ -0,0 +1,221 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const ExchangeReport = require('../lib/exchange_report')
+const ReservationManager = require('../lib/reservation_manager')
+
+require('mocha-define') /* global def */
+
+describe('ExchangeReport', function () {
+  def('unusedReservations', function () {
+    const reservations = new ReservationManager(this.reservations).reservations
+    reservations.forEach((reservation, index) => {
+      if (this.consumedUnits[index]) {
+        reservation.consumeUnits(this.consumedUnits[index])
+      }
+    })
+    return reservations.filter(r => r.remainingUnits > 0)
+  })
+
+  def('report', function () {
+    return new ExchangeReport(this.unusedReservations, this.instances).generate()
+  })
+
+  beforeEach(function () {
+    this.reservations = []
+    this.consumedUnits = []
+    this.instances = []
+  })
+
+  describe('#generate', function () {
+    describe('when there is no surplus', function () {
+      beforeEach(function () {
+        this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9a'})
+      })
+
+      it('returns an empty list', function () {
+        expect(this.report).to.deep.equal([])
+      })
+    })
+
+    describe('when there is surplus in a convertible reservation', function () {
+      beforeEach(function () {
+        this.reservations.push({id: 'r1', family: 'm4', size: 'xlarge', offeringClass: 'convertible', az: '*', count: 2, units: 16})
+        this.consumedUnits[0] = 8
+      })
+
+      describe('and there are reservable instances', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9a'})
+          this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9b'})
+          this.instances.push({family: 'r5', size: 'medium', units: 2, az: 'eu-north-9b', platform: 'Windows'})
+        })
+
+        it('proposes an exchange of the reservation for reservations matching the reservable instances', function () {
+          expect(this.report.length).to.equal(1)
+          expect(this.report[0]).to.deep.include({action: 'exchange', modification: null, reservationIds: ['r1'], surplus: 8})
+          expect(this.report[0].to).to.deep.equal([
+            {type: 'c5.large', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 2, units: 8},
+          ])
+        })
+
+        it('describes the reservation to exchange', function () {
+          expect(this.report[0].from).to.deep.equal({type: 'm4.xlarge', az: '*', offeringClass: 'convertible', count: 2, units: 16})
+        })
+
+        it('marks the proposal as partial when the reservation is partially used', function () {
+          expect(this.report[0].partial).to.equal(true)
+        })
+      })
+
+      describe('and the reservable instances are smaller than the surplus', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'c5', size: 'xlarge', units: 8, az: 'eu-north-9a'})
+          this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9a'})
+        })
+
+        it('proposes an exchange for a value at least as large as the surplus', function () {
+          this.consumedUnits[0] = 4
+          expect(this.report[0].to.map(t => [t.type, t.count])).to.deep.equal([['c5.xlarge', 1], ['c5.large', 1]])
+        })
+      })
+
+      describe('and an instance is partially covered by another reservation', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'c5', size: '2xlarge', units: 12, instanceUnits: 16, az: 'eu-north-9a'})
+        })
+
+        it('proposes an exchange for reservations covering the uncovered units', function () {
+          this.consumedUnits[0] = 4
+          expect(this.report[0].to).to.deep.equal([
+            {type: 'c5.xlarge', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 1, units: 8},
+            {type: 'c5.large', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 1, units: 4},
+          ])
+        })
+      })
+
+      describe('and there are no reservable instances', function () {
+        it('returns an empty list', function () {
+          expect(this.report).to.deep.equal([])
+        })
+      })
+    })
+
+    describe('when there is surplus in a zonal standard reservation', function () {
+      beforeEach(function () {
+        this.reservations.push({id: 'r2', family: 'm5', size: 'xlarge', offeringClass: 'standard', az: 'eu-north-9a', count: 1, units: 8})
+      })
+
+      describe('and there are reservable instances of another size in the same AZ', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9a'})
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9a'})
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9b'})
+        })
+
+        it('proposes a size split of the reservation', function () {
+          expect(this.report).to.deep.equal([{
+            action: 'modify',
+            modification: 'size',
+            reservationIds: ['r2'],
+            from: {type: 'm5.xlarge', az: 'eu-north-9a', offeringClass: 'standard', count: 1, units: 8},
+            surplus: 8,
+            partial: false,
+            to: [{type: 'm5.large', az: 'eu-north-9a', platform: 'Linux/UNIX', tenancy: 'default', count: 2, units: 8}],
+          }])
+        })
+      })
+
+      describe('and there are reservable instances of the same family in another AZ', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9b'})
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9c'})
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9c'})
+        })
+
+        it('proposes changing the scope of the reservation to the region', function () {
+          expect(this.report[0]).to.deep.include({action: 'modify', modification: 'scope'})
+          expect(this.report[0].to).to.deep.equal([{type: 'm5.large', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 2, units: 8}])
+        })
+      })
+
+      describe('and an instance of the same family in another AZ is partially covered by another reservation', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'm5', size: '2xlarge', units: 8, instanceUnits: 16, az: 'eu-north-9b'})
+        })
+
+        it('proposes changing the scope of the reservation to the region, to cover the uncovered units', function () {
+          expect(this.report[0]).to.deep.include({action: 'modify', modification: 'scope'})
+          expect(this.report[0].to).to.deep.equal([{type: 'm5.xlarge', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 1, units: 8}])
+        })
+      })
+
+      describe('and the only reservable instances of the same family are larger than the surplus', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'm5', size: '4xlarge', units: 32, az: 'eu-north-9b'})
+          this.instances.push({family: 'm5', size: '2xlarge', units: 16, az: 'eu-north-9a'})
+        })
+
+        it('proposes changing the scope of the reservation to the region, to cover part of the smallest instance', function () {
+          expect(this.report[0]).to.deep.include({action: 'modify', modification: 'scope', reservationIds: ['r2']})
+          expect(this.report[0].to).to.deep.equal([{type: 'm5.xlarge', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 1, units: 8}])
+        })
+
+        it('leaves the rest of the instance to other reservations', function () {
+          this.reservations.push({id: 'r6', family: 'c5', size: 'xlarge', offeringClass: 'convertible', az: '*', count: 1, units: 8})
+          expect(this.report[1]).to.deep.include({action: 'exchange', reservationIds: ['r6']})
+          expect(this.report[1].to).to.deep.equal([{type: 'm5.xlarge', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 1, units: 8}])
+        })
+      })
+
+      describe('and the reservation is for a platform that is not size flexible', function () {
+        beforeEach(function () {
+          this.reservations[0].platform = 'Windows'
+          this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9a', platform: 'Windows'})
+          this.instances.push({family: 'm5', size: 'xlarge', units: 8, az: 'eu-north-9b', platform: 'Windows'})
+        })
+
+        it('proposes moving the reservation to the AZ of an instance of the same type', function () {
+          expect(this.report[0]).to.deep.include({action: 'modify', modification: 'az'})
+          expect(this.report[0].to).to.deep.equal([{type: 'm5.xlarge', az: 'eu-north-9b', platform: 'Windows', tenancy: 'default', count: 1, units: 8}])
+        })
+      })
+
+      describe('and there are only reservable instances of other families', function () {
+        beforeEach(function () {
+          this.instances.push({family: 'c5', size: 'xlarge', units: 8, az: 'eu-north-9a'})
+        })
+
+        it('returns an empty list', function () {
+          expect(this.report).to.deep.equal([])
+        })
+      })
+    })
+
+    describe('when there is surplus in a regional standard reservation', function () {
+      beforeEach(function () {
+        this.reservations.push({id: 'r3', family: 'm5', size: 'xlarge', offeringClass: 'standard', az: '*', count: 1, units: 8})
+        this.instances.push({family: 'c5', size: 'xlarge', units: 8, az: 'eu-north-9a'})
+      })
+
+      it('returns an empty list, since it cannot be modified to cover another family', function () {
+        expect(this.report).to.deep.equal([])
+      })
+    })
+
+    describe('when both modifications and exchanges are possible', function () {
+      beforeEach(function () {
+        this.reservations.push({id: 'r4', family: 'm5', size: 'large', offeringClass: 'convertible', az: '*', count: 1, units: 4})
+        this.reservations.push({id: 'r5', family: 'm5', size: 'large', offeringClass: 'standard', az: 'eu-north-9a', count: 1, units: 4})
+        this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9b'})
+        this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9b'})
+      })
+
+      it('covers each reservable instance only once, preferring modifications', function () {
+        expect(this.report.map(p => [p.action, p.reservationIds[0], p.to[0].type])).to.deep.equal([
+          ['modify', 'r5', 'm5.large'],
+          ['exchange', 'r4', 'c5.large'],
+        ])
+      })
+    })
+  })
+})
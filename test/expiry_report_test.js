@@ -0,0 +1,49 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const ExpiryReport = require('../lib/expiry_report')
+
+require('mocha-define') /* global def */
+
+describe('ExpiryReport', function () {
+  def('report', function () {
+    return new ExpiryReport(this.reservations, this.options).generate()
+  })
+
+  beforeEach(function () {
+    this.options = {now: new Date('2018-06-01T00:00:00Z').getTime()}
+    this.reservations = [
+      {id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', count: 2, units: 8, end: new Date('2018-07-15T00:00:00Z')},
+      {id: 'r2', family: 'm5', size: 'xlarge', offeringClass: 'convertible', az: '*', count: 1, units: 8, end: new Date('2018-06-10T12:00:00Z')},
+      {id: 'r3', family: 'c5', size: 'large', offeringClass: 'standard', az: 'eu-north-9a', count: 1, units: 4, end: null},
+    ]
+  })
+
+  describe('#generate', function () {
+    it('returns the reservations that have an end date, ordered by the time left', function () {
+      expect(this.report.map(r => r.id)).to.deep.equal(['r2', 'r1'])
+    })
+
+    it('includes the instance type, scope, offering class, count, units and end date', function () {
+      expect(this.report[0]).to.include({type: 'm5.xlarge', az: '*', offeringClass: 'convertible', count: 1, units: 8})
+      expect(this.report[0].end).to.deep.equal(new Date('2018-06-10T12:00:00Z'))
+    })
+
+    it('includes the number of whole days remaining', function () {
+      expect(this.report.map(r => r.daysRemaining)).to.deep.equal([9, 44])
+    })
+
+    it('marks the reservations that expire within 30 days', function () {
+      expect(this.report.map(r => r.expiring)).to.deep.equal([true, false])
+    })
+
+    describe('when the expiry window is configured', function () {
+      beforeEach(function () {
+        this.options.expiryWindow = 60
+      })
+
+      it('marks the reservations that expire within that window', function () {
+        expect(this.report.map(r => r.expiring)).to.deep.equal([true, true])
+      })
+    })
+  })
+})
@@ -35,10 +35,97 @@ describe('helpers', function () {
       expect(helpers.relativeSize('18xlarge')).to.equal(144)
     })
 
+    it('returns the size of the equivalent size of the family when given metal and a family', function () {
+      expect(helpers.relativeSize('metal', 'm5')).to.equal(192)
+    })
+
+    it('raises an error when given metal without a family', function () {
+      expect(() => helpers.relativeSize('metal')).to.throw(/unsupported size: "metal"/i)
+    })
+
     it('raises an error when given something it does not expect', function () {
       expect(() => helpers.relativeSize('Nxlarge')).to.throw(/unsupported size: "Nxlarge"/i)
       expect(() => helpers.relativeSize('')).to.throw(/unsupported size: ""/i)
       expect(() => helpers.relativeSize(null)).to.throw(/unsupported size: "null"/i)
     })
   })
+
+  describe('#splitInstanceClass', function () {
+    it('splits an instance class into family and size at the last period', function () {
+      expect(helpers.splitInstanceClass('db.r5.2xlarge')).to.deep.equal(['db.r5', '2xlarge'])
+      expect(helpers.splitInstanceClass('ra3.xlplus')).to.deep.equal(['ra3', 'xlplus'])
+    })
+  })
+
+  describe('#isPercentage', function () {
+    it('returns true for numbers from 0 to 100', function () {
+      expect(['0', '12.5', '100%', 50].map(helpers.isPercentage)).to.deep.equal([true, true, true, true])
+    })
+
+    it('returns false for negative numbers, numbers above 100, and values that are not numbers', function () {
+      expect(['-50', '150', 'lots', null].map(helpers.isPercentage)).to.deep.equal([false, false, false, false])
+    })
+  })
+
+  describe('#header', function () {
+    it('returns the value of the header, regardless of case', function () {
+      expect(helpers.header({headers: {'X-Slack-Signature': 'v0=abc'}}, 'x-slack-signature')).to.equal('v0=abc')
+    })
+
+    it('returns nothing when the header or the headers are missing', function () {
+      expect(helpers.header({headers: {Accept: 'text/plain'}}, 'Content-Type')).to.not.be.ok
+      expect(helpers.header({}, 'Accept')).to.not.be.ok
+    })
+  })
+
+  describe('#reservationEnd', function () {
+    it('returns the start time plus the duration in seconds', function () {
+      expect(helpers.reservationEnd('2018-01-01T00:00:00Z', 86400)).to.deep.equal(new Date('2018-01-02T00:00:00Z'))
+    })
+
+    it('returns null when the start time or duration is missing', function () {
+      expect(helpers.reservationEnd(null, 86400)).to.be.null
+      expect(helpers.reservationEnd('2018-01-01T00:00:00Z', undefined)).to.be.null
+    })
+  })
+
+  describe('#parseAccounts', function () {
+    it('returns an empty list when given nothing', function () {
+      expect(helpers.parseAccounts(undefined)).to.deep.equal([])
+      expect(helpers.parseAccounts('')).to.deep.equal([])
+    })
+
+    it('extracts the account ID from role ARNs', function () {
+      expect(helpers.parseAccounts('arn:aws:iam::123456789012:role/ReservationUsage')).to.deep.equal([
+        {id: '123456789012', name: '123456789012', roleArn: 'arn:aws:iam::123456789012:role/ReservationUsage'},
+      ])
+    })
+
+    it('uses the name given before "=" as the account name', function () {
+      expect(helpers.parseAccounts('production=arn:aws:iam::123456789012:role/ReservationUsage')).to.deep.equal([
+        {id: '123456789012', name: 'production', roleArn: 'arn:aws:iam::123456789012:role/ReservationUsage'},
+      ])
+    })
+
+    it('interprets a bare account ID as the account of the default credentials', function () {
+      expect(helpers.parseAccounts('payer=210987654321, arn:aws:iam::123456789012:role/ReservationUsage')).to.deep.equal([
+        {id: '210987654321', name: 'payer', roleArn: null},
+        {id: '123456789012', name: '123456789012', roleArn: 'arn:aws:iam::123456789012:role/ReservationUsage'},
+      ])
+    })
+
+    it('raises an error when more than one account would use the default credentials', function () {
+      expect(() => helpers.parseAccounts('payer=210987654321, 123456789012')).to.throw(/only one account can use the default credentials.*: payer, 123456789012/i)
+    })
+
+    it('parses comma-separated lists', function () {
+      const accounts = helpers.parseAccounts('payer=210987654321,arn:aws:iam::123456789012:role/a=b,staging=arn:aws:iam::111111111111:role/ReservationUsage')
+      expect(accounts.map(a => a.name)).to.deep.equal(['payer', '123456789012', 'staging'])
+      expect(accounts[1].roleArn).to.equal('arn:aws:iam::123456789012:role/a=b')
+    })
+
+    it('raises an error when given something that is not an account ID or role ARN', function () {
+      expect(() => helpers.parseAccounts('production=foo')).to.throw(/unsupported account: "production=foo"/i)
+    })
+  })
 })
@@ -0,0 +1,208 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {describe, it, beforeEach, afterEach} = require('mocha')
+const {expect} = require('chai')
+const {DirectoryHistoryStore, S3HistoryStore, NoHistoryStore} = require('../lib/history_store')
+
+describe('DirectoryHistoryStore', function () {
+  beforeEach(function () {
+    this.directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reservation-usage-'))
+    this.store = new DirectoryHistoryStore(this.directory)
+  })
+
+  afterEach(function () {
+    fs.rmSync(this.directory, {recursive: true, force: true})
+  })
+
+  beforeEach(function () {
+    this.snapshots = [
+      {createdAt: '2018-05-01T00:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 4}]},
+      {createdAt: '2018-05-15T00:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 8}]},
+      {createdAt: '2018-05-31T12:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 12}]},
+      {createdAt: '2018-05-31T12:00:00.000Z', service: 'ec2', region: 'eu-north-1', summary: [{family: 'd5', running: 2}]},
+      {createdAt: '2018-05-31T12:00:00.000Z', service: 'rds', region: 'eu-north-9', summary: [{family: 'db.r7', running: 2}]},
+    ]
+  })
+
+  describe('#save', function () {
+    it('writes the snapshot to a JSON file in a directory per service and region', function () {
+      return this.store.save(this.snapshots[2]).then(() => {
+        const file = path.join(this.directory, 'ec2', 'eu-north-9', '20180531T120000000Z.json')
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(this.snapshots[2])
+      })
+    })
+  })
+
+  describe('#load', function () {
+    beforeEach(function () {
+      return Promise.all(this.snapshots.map(s => this.store.save(s)))
+    })
+
+    it('returns the snapshots of the service and region since the specified time, oldest first', function () {
+      return this.store.load('ec2', 'eu-north-9', new Date('2018-05-15T00:00:00Z').getTime()).then((snapshots) => {
+        expect(snapshots).to.deep.equal([this.snapshots[1], this.snapshots[2]])
+      })
+    })
+
+    it('returns an empty list when there are no snapshots of the region', function () {
+      return this.store.load('ec2', 'eu-north-3', 0).then((snapshots) => {
+        expect(snapshots).to.deep.equal([])
+      })
+    })
+  })
+
+  describe('#saveAlerts', function () {
+    it('writes the alerts to a JSON file in the directory of the service', function () {
+      return this.store.saveAlerts('ec2', [{key: 'k1'}]).then(() => {
+        const file = path.join(this.directory, 'ec2', 'alerts.json')
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal([{key: 'k1'}])
+      })
+    })
+  })
+
+  describe('#loadAlerts', function () {
+    it('returns the saved alerts of the service', function () {
+      return this.store.saveAlerts('ec2', [{key: 'k1'}])
+        .then(() => this.store.saveAlerts('rds', [{key: 'k2'}]))
+        .then(() => this.store.loadAlerts('ec2'))
+        .then((alerts) => {
+          expect(alerts).to.deep.equal([{key: 'k1'}])
+        })
+    })
+
+    it('returns an empty list when no alerts have been saved', function () {
+      return this.store.loadAlerts('ec2').then((alerts) => {
+        expect(alerts).to.deep.equal([])
+      })
+    })
+  })
+})
+
+describe('S3HistoryStore', function () {
+  beforeEach(function () {
+    this.objects = {}
+    this.requests = []
+    this.s3Client = {
+      putObject: (params) => {
+        this.requests.push(['putObject', params])
+        this.objects[params.Key] = params.Body
+        return {promise: () => Promise.resolve({})}
+      },
+      listObjectsV2: (params) => {
+        this.requests.push(['listObjectsV2', params])
+        const keys = Object.keys(this.objects).sort().filter(key => key.startsWith(params.Prefix) && key > params.StartAfter)
+        if (params.ContinuationToken) {
+          return {promise: () => Promise.resolve({IsTruncated: false, Contents: keys.slice(1).map(Key => ({Key}))})}
+        } else {
+          return {promise: () => Promise.resolve({IsTruncated: keys.length > 1, NextContinuationToken: 't1', Contents: keys.slice(0, 1).map(Key => ({Key}))})}
+        }
+      },
+      getObject: (params) => {
+        this.requests.push(['getObject', params])
+        if (params.Key in this.objects) {
+          return {promise: () => Promise.resolve({Body: Buffer.from(this.objects[params.Key])})}
+        } else {
+          const error = new Error('The specified key does not exist.')
+          error.code = 'NoSuchKey'
+          return {promise: () => Promise.reject(error)}
+        }
+      },
+    }
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const s3ClientFactory = function (config) {
+      ctx.s3Config = config
+      return ctx.s3Client
+    }
+    this.store = new S3HistoryStore('history-bucket', 'reservations/', 'eu-north-3', 'http://localhost:9000', s3ClientFactory, {}, () => Promise.resolve())
+  })
+
+  beforeEach(function () {
+    this.snapshots = [
+      {createdAt: '2018-05-01T00:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 4}]},
+      {createdAt: '2018-05-15T00:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 8}]},
+      {createdAt: '2018-05-31T12:00:00.000Z', service: 'ec2', region: 'eu-north-9', summary: [{family: 'i9', running: 12}]},
+      {createdAt: '2018-05-31T12:00:00.000Z', service: 'ec2', region: 'eu-north-1', summary: [{family: 'd5', running: 2}]},
+    ]
+  })
+
+  describe('#save', function () {
+    it('puts the snapshot in the bucket, under the prefix and a key per service and region', function () {
+      return this.store.save(this.snapshots[2]).then(() => {
+        expect(this.requests[0][1]).to.include({Bucket: 'history-bucket', Key: 'reservations/ec2/eu-north-9/20180531T120000000Z.json'})
+        expect(JSON.parse(this.requests[0][1].Body)).to.deep.equal(this.snapshots[2])
+      })
+    })
+
+    it('creates a client for the configured endpoint', function () {
+      return this.store.save(this.snapshots[2]).then(() => {
+        expect(this.s3Config).to.deep.equal({region: 'eu-north-3', endpoint: 'http://localhost:9000', s3ForcePathStyle: true})
+      })
+    })
+  })
+
+  describe('#load', function () {
+    beforeEach(function () {
+      return Promise.all(this.snapshots.map(s => this.store.save(s))).then(() => this.requests.splice(0))
+    })
+
+    it('lists all pages of keys after the specified time', function () {
+      return this.store.load('ec2', 'eu-north-9', new Date('2018-05-15T00:00:00Z').getTime()).then(() => {
+        const listRequests = this.requests.filter(r => r[0] == 'listObjectsV2').map(r => r[1])
+        expect(listRequests).to.deep.equal([
+          {Bucket: 'history-bucket', Prefix: 'reservations/ec2/eu-north-9/', StartAfter: 'reservations/ec2/eu-north-9/20180515T000000000Z'},
+          {Bucket: 'history-bucket', Prefix: 'reservations/ec2/eu-north-9/', StartAfter: 'reservations/ec2/eu-north-9/20180515T000000000Z', ContinuationToken: 't1'},
+        ])
+      })
+    })
+
+    it('returns the snapshots of the service and region since the specified time, oldest first', function () {
+      return this.store.load('ec2', 'eu-north-9', new Date('2018-05-15T00:00:00Z').getTime()).then((snapshots) => {
+        expect(snapshots).to.deep.equal([this.snapshots[1], this.snapshots[2]])
+      })
+    })
+  })
+
+  describe('#saveAlerts', function () {
+    it('puts the alerts in the bucket, under the prefix and a key per service', function () {
+      return this.store.saveAlerts('ec2', [{key: 'k1'}]).then(() => {
+        expect(this.requests[0][1]).to.include({Bucket: 'history-bucket', Key: 'reservations/ec2/alerts.json'})
+        expect(JSON.parse(this.requests[0][1].Body)).to.deep.equal([{key: 'k1'}])
+      })
+    })
+  })
+
+  describe('#loadAlerts', function () {
+    it('returns the saved alerts of the service', function () {
+      return this.store.saveAlerts('ec2', [{key: 'k1'}]).then(() => this.store.loadAlerts('ec2')).then((alerts) => {
+        expect(alerts).to.deep.equal([{key: 'k1'}])
+      })
+    })
+
+    it('returns an empty list when no alerts have been saved', function () {
+      return this.store.loadAlerts('ec2').then((alerts) => {
+        expect(alerts).to.deep.equal([])
+      })
+    })
+  })
+})
+
+describe('NoHistoryStore', function () {
+  it('saves nothing and loads no snapshots', function () {
+    const store = new NoHistoryStore()
+    return store.save({}).then(() => store.load('ec2', 'eu-north-9', 0)).then((snapshots) => {
+      expect(snapshots).to.deep.equal([])
+    })
+  })
+
+  it('keeps the alerts in memory', function () {
+    const store = new NoHistoryStore()
+    return store.saveAlerts('ec2', [{key: 'k1'}]).then(() => Promise.all([store.loadAlerts('ec2'), store.loadAlerts('rds')])).then(([ec2Alerts, rdsAlerts]) => {
+      expect(ec2Alerts).to.deep.equal([{key: 'k1'}])
+      expect(rdsAlerts).to.deep.equal([])
+    })
+  })
+})
@@ -0,0 +1,70 @@
+const {describe, it} = require('mocha')
+const {expect} = require('chai')
+const {normalizationFactor, sizeWithNormalizationFactor, splitIntoSizes} = require('../lib/instance_sizes')
+
+describe('instance_sizes', function () {
+  describe('#normalizationFactor', function () {
+    it('returns the normalization factor of the sizes from nano to xlarge', function () {
+      expect(['nano', 'micro', 'small', 'medium', 'large', 'xlarge'].map(size => normalizationFactor('m5', size))).to.deep.equal([0.25, 0.5, 1, 2, 4, 8])
+    })
+
+    it('returns eight times N for Nxlarge', function () {
+      expect(normalizationFactor('m5', '2xlarge')).to.equal(16)
+      expect(normalizationFactor('m5', '24xlarge')).to.equal(192)
+      expect(normalizationFactor('u-6tb1', '112xlarge')).to.equal(896)
+    })
+
+    it('handles fractional multiples of xlarge', function () {
+      expect(normalizationFactor('x9', '1.5xlarge')).to.equal(12)
+    })
+
+    it('returns the factor of the equivalent size of the family for bare metal', function () {
+      expect(normalizationFactor('i3', 'metal')).to.equal(128)
+      expect(normalizationFactor('m5', 'metal')).to.equal(192)
+      expect(normalizationFactor('c6i', 'metal')).to.equal(256)
+      expect(normalizationFactor('m6a', 'metal')).to.equal(384)
+      expect(normalizationFactor('z1d', 'metal')).to.equal(96)
+    })
+
+    it('returns the factor of the size in the name for sized bare metal', function () {
+      expect(normalizationFactor('m7i', 'metal-24xl')).to.equal(192)
+      expect(normalizationFactor('m7i', 'metal-48xl')).to.equal(384)
+      expect(normalizationFactor('r7iz', 'metal-16xl')).to.equal(128)
+    })
+
+    it('returns null for bare metal in a family it does not know', function () {
+      expect(normalizationFactor('mac2', 'metal')).to.equal(null)
+      expect(normalizationFactor(null, 'metal')).to.equal(null)
+    })
+
+    it('returns null for sizes it does not know', function () {
+      expect(normalizationFactor('m5', 'Nxlarge')).to.equal(null)
+      expect(normalizationFactor('m5', '2xlargest')).to.equal(null)
+      expect(normalizationFactor('m5', 'constructor')).to.equal(null)
+      expect(normalizationFactor('m5', '')).to.equal(null)
+      expect(normalizationFactor('m5', null)).to.equal(null)
+    })
+  })
+
+  describe('#sizeWithNormalizationFactor', function () {
+    it('returns the size from nano to xlarge with the normalization factor', function () {
+      expect([0.25, 0.5, 1, 2, 4, 8].map(sizeWithNormalizationFactor)).to.deep.equal(['nano', 'micro', 'small', 'medium', 'large', 'xlarge'])
+    })
+
+    it('returns Nxlarge for larger factors', function () {
+      expect(sizeWithNormalizationFactor(16)).to.equal('2xlarge')
+      expect(sizeWithNormalizationFactor(192)).to.equal('24xlarge')
+    })
+  })
+
+  describe('#splitIntoSizes', function () {
+    it('splits the units into the largest sizes that fit, starting below the largest', function () {
+      expect(splitIntoSizes(28, 16)).to.deep.equal([16, 8, 4])
+      expect(splitIntoSizes(28, 12)).to.deep.equal([8, 8, 8, 4])
+    })
+
+    it('leaves out what is smaller than the smallest size', function () {
+      expect(splitIntoSizes(14.4, 16, 4)).to.deep.equal([8, 4])
+    })
+  })
+})
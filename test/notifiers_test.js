@@ -0,0 +1,90 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const {SlackWebhookNotifier, SnsNotifier, NoNotifier} = require('../lib/notifiers')
+
+describe('SlackWebhookNotifier', function () {
+  beforeEach(function () {
+    this.posts = []
+    this.notifier = new SlackWebhookNotifier('https://hooks.example.com/services/T1/B1/x', (url, body) => {
+      this.posts.push([url, body])
+      return Promise.resolve()
+    })
+  })
+
+  beforeEach(function () {
+    this.alerts = [
+      {service: 'ec2', region: 'eu-north-9', family: 'c6', platform: 'Windows', metric: 'reservable', threshold: 4, value: 8},
+      {service: 'rds', region: 'eu-north-9', family: 'db.r7', metric: 'surplus', threshold: 0, value: 2},
+    ]
+  })
+
+  it('posts a message that lists the alerts to the webhook', function () {
+    return this.notifier.notify(this.alerts).then(() => {
+      expect(this.posts).to.deep.equal([[
+        'https://hooks.example.com/services/T1/B1/x',
+        {text: 'Reservation usage alert:\n• EC2 c6 (Windows) in eu-north-9 has 8 reservable units, more than 4\n• RDS db.r7 in eu-north-9 has 2 surplus units, more than 0'},
+      ]])
+    })
+  })
+
+  it('does not post anything when there are no alerts', function () {
+    return this.notifier.notify([]).then(() => {
+      expect(this.posts).to.deep.equal([])
+    })
+  })
+})
+
+describe('SnsNotifier', function () {
+  beforeEach(function () {
+    this.requests = []
+    this.snsClient = {
+      publish: (params) => {
+        this.requests.push(params)
+        return {promise: () => Promise.resolve({MessageId: 'm1'})}
+      },
+    }
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const snsClientFactory = function (config) {
+      ctx.snsConfig = config
+      return ctx.snsClient
+    }
+    this.notifier = new SnsNotifier('arn:aws:sns:eu-north-1:123456789012:reservations', snsClientFactory, {}, () => Promise.resolve())
+  })
+
+  beforeEach(function () {
+    this.alerts = [
+      {service: 'ec2', region: 'eu-north-9', family: 'i9', platform: 'Linux/UNIX', metric: 'surplus', threshold: 0, value: 16},
+    ]
+  })
+
+  it('publishes a message that lists the alerts to the topic', function () {
+    return this.notifier.notify(this.alerts).then(() => {
+      expect(this.requests).to.deep.equal([{
+        TopicArn: 'arn:aws:sns:eu-north-1:123456789012:reservations',
+        Subject: 'Reservation usage alert',
+        Message: 'EC2 i9 (Linux/UNIX) in eu-north-9 has 16 surplus units, more than 0',
+      }])
+    })
+  })
+
+  it('creates a client for the region of the topic', function () {
+    return this.notifier.notify(this.alerts).then(() => {
+      expect(this.snsConfig).to.deep.equal({region: 'eu-north-1'})
+    })
+  })
+
+  it('does not publish anything when there are no alerts', function () {
+    return this.notifier.notify([]).then(() => {
+      expect(this.requests).to.deep.equal([])
+    })
+  })
+})
+
+describe('NoNotifier', function () {
+  it('does nothing', function () {
+    return new NoNotifier().notify([{family: 'i9'}])
+  })
+})
@@ -0,0 +1,138 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const OpenSearch = require('../lib/opensearch')
+
+describe('OpenSearch', function () {
+  beforeEach(function () {
+    this.openSearchClient = {}
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const openSearchClientFactory = function (config) {
+      ctx.openSearchConfig = config
+      return ctx.openSearchClient
+    }
+    this.openSearch = new OpenSearch(openSearchClientFactory, {}, {}, {now: 0}, () => Promise.resolve())
+  })
+
+  describe('#loadReservations', function () {
+    beforeEach(function () {
+      this.requests = []
+      this.openSearchClient.describeReservedInstances = (params) => {
+        this.requests.push(params)
+        if (params.NextToken) {
+          return {promise: () => Promise.resolve({ReservedInstances: [
+            {ReservedInstanceId: 'r2', InstanceType: 'm9.large.search', InstanceCount: 1, State: 'retired'},
+          ]})}
+        } else {
+          return {promise: () => Promise.resolve({NextToken: 't1', ReservedInstances: [
+            {ReservedInstanceId: 'r1', InstanceType: 'r7g.xlarge.search', InstanceCount: 3, State: 'active', StartTime: new Date('2018-01-01T00:00:00Z'), Duration: 31536000},
+          ]})}
+        }
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.openSearch.loadReservations('eu-north-9')
+    })
+
+    it('creates an OpenSearch client for the specified region', function () {
+      return this.result.then(() => {
+        expect(this.openSearchConfig).to.include({region: 'eu-north-9'})
+      })
+    })
+
+    it('loads all pages and returns the active reservations', function () {
+      return this.result.then((reservations) => {
+        expect(this.requests).to.deep.equal([{}, {NextToken: 't1'}])
+        expect(reservations.map(r => r.id)).to.deep.equal(['r1'])
+      })
+    })
+
+    it('returns regional reservations that are not size flexible, without the ".search" suffix', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0]).to.include({family: 'r7g', size: 'xlarge', az: '*', sizeFlexible: false, count: 3, units: 3 * 8})
+        expect(reservations[0].end).to.deep.equal(new Date('2019-01-01T00:00:00Z'))
+      })
+    })
+
+    it('returns reservations of unknown sizes without units', function () {
+      this.openSearchClient.describeReservedInstances = () => {
+        return {promise: () => Promise.resolve({ReservedInstances: [
+          {ReservedInstanceId: 'r3', InstanceType: 'x9.huge.search', InstanceCount: 2, State: 'active'},
+        ]})}
+      }
+      return this.openSearch.loadReservations('eu-north-7').then((reservations) => {
+        expect(reservations[0]).to.include({family: 'x9', size: 'huge', count: 2, units: null})
+      })
+    })
+  })
+
+  describe('#loadInstances', function () {
+    beforeEach(function () {
+      this.domains = {
+        logs: {DomainName: 'logs', ClusterConfig: {InstanceType: 'r7g.large.search', InstanceCount: 2, DedicatedMasterEnabled: true, DedicatedMasterType: 'm9.medium.search', DedicatedMasterCount: 3}},
+        search: {DomainName: 'search', ClusterConfig: {InstanceType: 'r7g.xlarge.search', InstanceCount: 1, DedicatedMasterEnabled: false}},
+        old: {DomainName: 'old', Deleted: true, ClusterConfig: {InstanceType: 'r7g.xlarge.search', InstanceCount: 4}},
+      }
+      for (let i = 0; i < 4; i++) {
+        this.domains[`small${i}`] = {DomainName: `small${i}`, ClusterConfig: {InstanceType: 't9.small.search', InstanceCount: 1}}
+      }
+    })
+
+    beforeEach(function () {
+      this.describeRequests = []
+      this.openSearchClient.listDomainNames = () => {
+        return {promise: () => Promise.resolve({DomainNames: Object.keys(this.domains).map(name => ({DomainName: name}))})}
+      }
+      this.openSearchClient.describeDomains = (params) => {
+        this.describeRequests.push(params.DomainNames)
+        return {promise: () => Promise.resolve({DomainStatusList: params.DomainNames.map(name => this.domains[name])})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.openSearch.loadInstances('eu-north-9')
+    })
+
+    it('describes the domains five at a time', function () {
+      return this.result.then(() => {
+        expect(this.describeRequests).to.deep.equal([
+          ['logs', 'search', 'old', 'small0', 'small1'],
+          ['small2', 'small3'],
+        ])
+      })
+    })
+
+    it('returns one record per data and dedicated master node in the domains that are not deleted', function () {
+      return this.result.then((nodes) => {
+        expect(nodes.map(n => `${n.family}.${n.size}`)).to.deep.equal([
+          'r7g.large',
+          'r7g.large',
+          'm9.medium',
+          'm9.medium',
+          'm9.medium',
+          'r7g.xlarge',
+          't9.small',
+          't9.small',
+          't9.small',
+          't9.small',
+        ])
+      })
+    })
+
+    it('returns nodes of unknown sizes without units', function () {
+      this.domains = {archive: {DomainName: 'archive', ClusterConfig: {InstanceType: 'x9.huge.search', InstanceCount: 1, DedicatedMasterEnabled: false}}}
+      return this.openSearch.loadInstances('eu-north-7').then((nodes) => {
+        expect(nodes.map(n => [n.family, n.size, n.units])).to.deep.equal([['x9', 'huge', null]])
+      })
+    })
+
+    it('uses the domain name as the ID of the nodes', function () {
+      return this.result.then((nodes) => {
+        expect(nodes.slice(0, 6).map(n => n.id)).to.deep.equal(['logs', 'logs', 'logs', 'logs', 'logs', 'search'])
+      })
+    })
+  })
+})
@@ -0,0 +1,87 @@
+const {describe, it, beforeEach, afterEach} = require('mocha')
+const {expect} = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const PriceTable = require('../lib/price_table')
+
+require('mocha-define') /* global def */
+
+describe('PriceTable', function () {
+  def('priceTable', function () {
+    return new PriceTable(this.prices)
+  })
+
+  beforeEach(function () {
+    this.prices = {
+      'eu-north-3': {
+        'i9.large': {
+          'Linux/UNIX': {onDemand: 0.2, reserved: 0.125, savingsPlan: 0.15},
+          'Windows': {onDemand: 0.3},
+        },
+      },
+    }
+  })
+
+  describe('#onDemandPrice', function () {
+    it('returns the hourly on demand price for the region, instance type and platform', function () {
+      expect(this.priceTable.onDemandPrice('eu-north-3', 'i9.large', 'Linux/UNIX')).to.equal(0.2)
+      expect(this.priceTable.onDemandPrice('eu-north-3', 'i9.large', 'Windows')).to.equal(0.3)
+    })
+
+    it('returns null when there is no price for the region, instance type or platform', function () {
+      expect(this.priceTable.onDemandPrice('eu-north-1', 'i9.large', 'Linux/UNIX')).to.be.null
+      expect(this.priceTable.onDemandPrice('eu-north-3', 'i9.xlarge', 'Linux/UNIX')).to.be.null
+      expect(this.priceTable.onDemandPrice('eu-north-3', 'i9.large', 'RHEL')).to.be.null
+    })
+  })
+
+  describe('#reservedPrice', function () {
+    it('returns the effective hourly reserved price for the region, instance type and platform', function () {
+      expect(this.priceTable.reservedPrice('eu-north-3', 'i9.large', 'Linux/UNIX')).to.equal(0.125)
+    })
+
+    it('returns null when there is no reserved price', function () {
+      expect(this.priceTable.reservedPrice('eu-north-3', 'i9.large', 'Windows')).to.be.null
+    })
+  })
+
+  describe('#savingsPlanPrice', function () {
+    it('returns the hourly Savings Plan rate for the region, instance type and platform', function () {
+      expect(this.priceTable.savingsPlanPrice('eu-north-3', 'i9.large', 'Linux/UNIX')).to.equal(0.15)
+    })
+
+    it('returns the on demand price when there is no Savings Plan rate', function () {
+      expect(this.priceTable.savingsPlanPrice('eu-north-3', 'i9.large', 'Windows')).to.equal(0.3)
+    })
+  })
+
+  describe('.monthly', function () {
+    it('converts an hourly price to a monthly price', function () {
+      expect(PriceTable.monthly(0.1)).to.be.closeTo(73, 0.0001)
+    })
+  })
+
+  describe('.load', function () {
+    beforeEach(function () {
+      this.priceFile = path.join(os.tmpdir(), `prices-${process.pid}.json`)
+      fs.writeFileSync(this.priceFile, JSON.stringify(this.prices))
+    })
+
+    afterEach(function () {
+      fs.unlinkSync(this.priceFile)
+    })
+
+    it('loads prices from the specified file', function () {
+      expect(PriceTable.load(this.priceFile).onDemandPrice('eu-north-3', 'i9.large', 'Linux/UNIX')).to.equal(0.2)
+    })
+
+    it('loads the bundled price file when no file is specified', function () {
+      expect(PriceTable.load().onDemandPrice('us-east-1', 'm5.large', 'Linux/UNIX')).to.equal(0.096)
+    })
+
+    it('throws an error when the file cannot be loaded', function () {
+      expect(() => PriceTable.load('/does/not/exist.json')).to.throw(/Could not load price file "\/does\/not\/exist.json"/)
+    })
+  })
+})
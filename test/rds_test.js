@@ -0,0 +1,193 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const RDS = require('../lib/rds')
+
+describe('RDS', function () {
+  beforeEach(function () {
+    this.rdsClient = {}
+  })
+
+  beforeEach(function () {
+    this.clock = {now: 0}
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const rdsClientFactory = function (config) {
+      ctx.rdsConfig = config
+      return ctx.rdsClient
+    }
+    this.rds = new RDS(rdsClientFactory, {}, {}, this.clock, () => Promise.resolve())
+  })
+
+  describe('#loadReservations', function () {
+    beforeEach(function () {
+      this.reservedDBInstances = [
+        {ReservedDBInstanceId: 'r1', DBInstanceClass: 'db.m9.xlarge', DBInstanceCount: 2, ProductDescription: 'postgresql', MultiAZ: false, State: 'active', StartTime: new Date('2018-01-01T00:00:00Z'), Duration: 31536000},
+        {ReservedDBInstanceId: 'r2', DBInstanceClass: 'db.r7.large', DBInstanceCount: 1, ProductDescription: 'mysql', MultiAZ: true, State: 'active'},
+        {ReservedDBInstanceId: 'r3', DBInstanceClass: 'db.r7.large', DBInstanceCount: 1, ProductDescription: 'oracle-se2(li)', MultiAZ: false, State: 'active'},
+        {ReservedDBInstanceId: 'r4', DBInstanceClass: 'db.r7.large', DBInstanceCount: 1, ProductDescription: 'mysql', MultiAZ: false, State: 'retired'},
+      ]
+    })
+
+    beforeEach(function () {
+      this.requests = []
+      this.rdsClient.describeReservedDBInstances = (params) => {
+        this.requests.push(params)
+        return {promise: () => Promise.resolve({ReservedDBInstances: this.reservedDBInstances})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.rds.loadReservations('eu-north-9')
+    })
+
+    it('creates an RDS client for the specified region', function () {
+      return this.result.then(() => {
+        expect(this.rdsConfig).to.include({region: 'eu-north-9'})
+      })
+    })
+
+    it('returns the active reservations', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.id)).to.deep.equal(['r1', 'r2', 'r3'])
+      })
+    })
+
+    it('extracts the family and size from the DB instance class', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => [r.family, r.size])).to.deep.equal([['db.m9', 'xlarge'], ['db.r7', 'large'], ['db.r7', 'large']])
+      })
+    })
+
+    it('uses the engine as platform, with the same names as for DB instances', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.platform)).to.deep.equal(['postgres', 'mysql', 'oracle-se2(li)'])
+      })
+    })
+
+    it('marks the reservations as regional and standard', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0]).to.include({az: '*', offeringClass: 'standard', tenancy: 'default'})
+      })
+    })
+
+    it('marks which reservations are size flexible', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.sizeFlexible)).to.deep.equal([true, true, false])
+      })
+    })
+
+    it('counts Multi-AZ reservations as twice the normalized number of units', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => [r.multiAz, r.units])).to.deep.equal([[false, 2 * 8], [true, 2 * 4], [false, 4]])
+      })
+    })
+
+    it('returns reservations of unknown sizes without units', function () {
+      this.reservedDBInstances.push({ReservedDBInstanceId: 'r5', DBInstanceClass: 'db.x9.huge', DBInstanceCount: 2, ProductDescription: 'mysql', MultiAZ: true, State: 'active'})
+      return this.rds.loadReservations('eu-north-7').then((reservations) => {
+        expect(reservations[3]).to.include({id: 'r5', family: 'db.x9', size: 'huge', count: 2, units: null})
+      })
+    })
+
+    it('calculates the end date from the start time and duration', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0].end).to.deep.equal(new Date('2019-01-01T00:00:00Z'))
+        expect(reservations[1].end).to.be.null
+      })
+    })
+
+    describe('when the response is paginated', function () {
+      beforeEach(function () {
+        this.requests = []
+        this.rdsClient.describeReservedDBInstances = (params) => {
+          this.requests.push(params)
+          if (params.Marker) {
+            return {promise: () => Promise.resolve({ReservedDBInstances: this.reservedDBInstances.slice(2)})}
+          } else {
+            return {promise: () => Promise.resolve({ReservedDBInstances: this.reservedDBInstances.slice(0, 2), Marker: 'm1'})}
+          }
+        }
+      })
+
+      it('loads all pages', function () {
+        return this.rds.loadReservations('eu-north-7').then((reservations) => {
+          expect(this.requests).to.deep.equal([{}, {Marker: 'm1'}])
+          expect(reservations.map(r => r.id)).to.deep.equal(['r1', 'r2', 'r3'])
+        })
+      })
+    })
+  })
+
+  describe('#loadInstances', function () {
+    beforeEach(function () {
+      this.dbInstances = [
+        {DBInstanceIdentifier: 'orders', DBInstanceClass: 'db.m9.xlarge', Engine: 'postgres', MultiAZ: false, AvailabilityZone: 'eu-north-9a', DBInstanceStatus: 'available'},
+        {DBInstanceIdentifier: 'users', DBInstanceClass: 'db.r7.large', Engine: 'mysql', MultiAZ: true, AvailabilityZone: 'eu-north-9b', DBInstanceStatus: 'available'},
+        {DBInstanceIdentifier: 'billing', DBInstanceClass: 'db.r7.large', Engine: 'oracle-se2', LicenseModel: 'license-included', MultiAZ: false, AvailabilityZone: 'eu-north-9b', DBInstanceStatus: 'backing-up'},
+        {DBInstanceClass: 'db.r7.large', Engine: 'mysql', MultiAZ: false, AvailabilityZone: 'eu-north-9b', DBInstanceStatus: 'stopped'},
+        {DBInstanceClass: 'db.serverless', Engine: 'aurora-postgresql', MultiAZ: false, AvailabilityZone: 'eu-north-9b', DBInstanceStatus: 'available'},
+      ]
+    })
+
+    beforeEach(function () {
+      this.rdsClient.describeDBInstances = () => {
+        return {promise: () => Promise.resolve({DBInstances: this.dbInstances})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.rds.loadInstances('eu-north-9')
+    })
+
+    it('returns the DB instances that are not stopped and can be reserved', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => [i.family, i.size])).to.deep.equal([['db.m9', 'xlarge'], ['db.r7', 'large'], ['db.r7', 'large']])
+      })
+    })
+
+    it('uses the engine as platform, including the license model for licensed engines', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.platform)).to.deep.equal(['postgres', 'mysql', 'oracle-se2(li)'])
+      })
+    })
+
+    it('counts Multi-AZ instances as twice the normalized number of units', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => [i.multiAz, i.units])).to.deep.equal([[false, 8], [true, 2 * 4], [false, 4]])
+      })
+    })
+
+    it('returns DB instances of unknown sizes without units', function () {
+      this.dbInstances.push({DBInstanceIdentifier: 'ledger', DBInstanceClass: 'db.x9.huge', Engine: 'mysql', MultiAZ: true, AvailabilityZone: 'eu-north-7a', DBInstanceStatus: 'available'})
+      return this.rds.loadInstances('eu-north-7').then((instances) => {
+        expect(instances[3]).to.include({id: 'ledger', family: 'db.x9', size: 'huge', units: null})
+      })
+    })
+
+    it('uses the DB instance identifier as ID', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.id)).to.deep.equal(['orders', 'users', 'billing'])
+      })
+    })
+
+    it('extracts the AZ from the instances', function () {
+      return this.result.then((instances) => {
+        expect(instances.map(i => i.az)).to.deep.equal(['eu-north-9a', 'eu-north-9b', 'eu-north-9b'])
+      })
+    })
+
+    it('marks no instances as spot or EMR', function () {
+      return this.result.then((instances) => {
+        expect(instances.every(i => !i.spot && !i.emr)).to.be.true
+      })
+    })
+
+    it('caches the result', function () {
+      return this.result.then(() => {
+        expect(this.rds.loadInstances('eu-north-9')).to.equal(this.result)
+      })
+    })
+  })
+})
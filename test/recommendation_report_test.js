@@ -0,0 +1,151 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const RecommendationReport = require('../lib/recommendation_report')
+
+require('mocha-define') /* global def */
+
+describe('RecommendationReport', function () {
+  def('report', function () {
+    return new RecommendationReport(this.instances, this.options).generate()
+  })
+
+  beforeEach(function () {
+    this.options = {}
+    this.instances = []
+  })
+
+  describe('#generate', function () {
+    describe('when there are no reservable instances', function () {
+      it('returns an empty list', function () {
+        expect(this.report).to.deep.equal([])
+      })
+    })
+
+    describe('when there are reservable instances', function () {
+      beforeEach(function () {
+        this.instances.push({family: 'm5', size: 'xlarge', units: 8, az: 'eu-north-9a'})
+        this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9a'})
+        this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9b'})
+        this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9c'})
+        this.instances.push({family: 'm5', size: 'large', units: 4, az: 'eu-north-9c'})
+        this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9a', platform: 'Windows'})
+        this.instances.push({family: 'c5', size: 'large', units: 4, az: 'eu-north-9b'})
+      })
+
+      it('proposes reservations in the sizes of the reservable instances, leaving 10% headroom', function () {
+        expect(this.report.map(r => [r.type, r.platform, r.count, r.units])).to.deep.equal([
+          ['m5.xlarge', 'Linux/UNIX', 1, 8],
+          ['m5.large', 'Linux/UNIX', 3, 12],
+        ])
+      })
+
+      it('proposes regional reservations', function () {
+        expect(this.report.map(r => r.scope)).to.deep.equal(['Region', 'Region'])
+      })
+
+      it('proposes standard reservations', function () {
+        expect(this.report.map(r => r.offeringClass)).to.deep.equal(['standard', 'standard'])
+      })
+
+      it('includes the tenancy', function () {
+        expect(this.report.map(r => r.tenancy)).to.deep.equal(['default', 'default'])
+      })
+
+      describe('and no headroom', function () {
+        beforeEach(function () {
+          this.options.headroom = 0
+        })
+
+        it('proposes reservations for all reservable instances, grouped by family and platform', function () {
+          expect(this.report.map(r => [r.type, r.platform, r.count])).to.deep.equal([
+            ['c5.large', 'Linux/UNIX', 1],
+            ['c5.large', 'Windows', 1],
+            ['m5.xlarge', 'Linux/UNIX', 1],
+            ['m5.large', 'Linux/UNIX', 4],
+          ])
+        })
+      })
+
+      describe('and a baseline from earlier snapshots', function () {
+        beforeEach(function () {
+          this.options.headroom = 0
+          this.options.baselines = [
+            {family: 'm5', platform: 'Linux/UNIX', reservableMin: 12},
+            {family: 'c5', platform: 'Windows', reservableMin: 8},
+          ]
+        })
+
+        it('proposes reservations for at most the lowest number of reservable units in the snapshots', function () {
+          expect(this.report.map(r => [r.type, r.platform, r.count])).to.deep.equal([
+            ['c5.large', 'Windows', 1],
+            ['m5.xlarge', 'Linux/UNIX', 1],
+            ['m5.large', 'Linux/UNIX', 1],
+          ])
+        })
+      })
+
+      describe('and an instance that is partially covered by a reservation', function () {
+        beforeEach(function () {
+          this.options.headroom = 0
+          this.instances.push({family: 'm5', size: '2xlarge', units: 4, instanceUnits: 16, az: 'eu-north-9a'})
+        })
+
+        it('proposes reservations in smaller sizes for the uncovered part', function () {
+          expect(this.report.filter(r => r.family == 'm5').map(r => [r.type, r.count])).to.deep.equal([
+            ['m5.xlarge', 1],
+            ['m5.large', 5],
+          ])
+        })
+      })
+
+      describe('and a single instance that does not fit within the headroom', function () {
+        beforeEach(function () {
+          this.instances = [
+            {family: 'd5', size: '2xlarge', units: 16, az: 'eu-north-9a'},
+            {family: 'c5', size: '2xlarge', units: 16, az: 'eu-north-9a', platform: 'Windows'},
+          ]
+        })
+
+        it('fills the rest of the reservable units with smaller sizes, when the reservations are size flexible', function () {
+          expect(this.report.map(r => [r.type, r.platform, r.count, r.units])).to.deep.equal([
+            ['d5.xlarge', 'Linux/UNIX', 1, 8],
+            ['d5.large', 'Linux/UNIX', 1, 4],
+          ])
+        })
+
+        it('fills with sizes down to the smallest reservable instance when it is smaller than large', function () {
+          this.instances = [{family: 't9', size: 'xlarge', units: 8}, {family: 't9', size: 'micro', units: 0.5}]
+          expect(this.report.map(r => [r.type, r.count])).to.deep.equal([
+            ['t9.large', 1],
+            ['t9.medium', 1],
+            ['t9.small', 1],
+            ['t9.micro', 1],
+          ])
+        })
+      })
+
+      describe('and a large headroom', function () {
+        beforeEach(function () {
+          this.options.headroom = 50
+        })
+
+        it('proposes reservations for at most half of the reservable units', function () {
+          expect(this.report.map(r => [r.type, r.count, r.units])).to.deep.equal([
+            ['m5.xlarge', 1, 8],
+            ['m5.large', 1, 4],
+          ])
+        })
+      })
+
+      describe('and an offering class', function () {
+        beforeEach(function () {
+          this.options.offeringClass = 'convertible'
+        })
+
+        it('proposes reservations of that offering class', function () {
+          expect(this.report.map(r => r.offeringClass)).to.deep.equal(['convertible', 'convertible'])
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,119 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const Redshift = require('../lib/redshift')
+
+describe('Redshift', function () {
+  beforeEach(function () {
+    this.redshiftClient = {}
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const redshiftClientFactory = function (config) {
+      ctx.redshiftConfig = config
+      return ctx.redshiftClient
+    }
+    this.redshift = new Redshift(redshiftClientFactory, {}, {}, {now: 0}, () => Promise.resolve())
+  })
+
+  describe('#loadReservations', function () {
+    beforeEach(function () {
+      this.redshiftClient.describeReservedNodes = () => {
+        return {promise: () => Promise.resolve({ReservedNodes: [
+          {ReservedNodeId: 'r1', NodeType: 'ra9.4xlarge', NodeCount: 2, State: 'active', StartTime: new Date('2018-01-01T00:00:00Z'), Duration: 31536000},
+          {ReservedNodeId: 'r2', NodeType: 'ra9.xlplus', NodeCount: 4, State: 'active'},
+          {ReservedNodeId: 'r3', NodeType: 'dc7.large', NodeCount: 4, State: 'payment-pending'},
+        ]})}
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.redshift.loadReservations('eu-north-9')
+    })
+
+    it('creates a Redshift client for the specified region', function () {
+      return this.result.then(() => {
+        expect(this.redshiftConfig).to.include({region: 'eu-north-9'})
+      })
+    })
+
+    it('returns the active reserved nodes', function () {
+      return this.result.then((reservations) => {
+        expect(reservations.map(r => r.id)).to.deep.equal(['r1', 'r2'])
+      })
+    })
+
+    it('returns regional reservations that are not size flexible', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[0]).to.include({family: 'ra9', size: '4xlarge', az: '*', sizeFlexible: false, count: 2, units: 2 * 32})
+        expect(reservations[0].end).to.deep.equal(new Date('2019-01-01T00:00:00Z'))
+      })
+    })
+
+    it('counts the "xlplus" size as "xlarge"', function () {
+      return this.result.then((reservations) => {
+        expect(reservations[1]).to.include({size: 'xlplus', units: 4 * 8})
+      })
+    })
+
+    it('returns reserved nodes of unknown sizes without units', function () {
+      this.redshiftClient.describeReservedNodes = () => {
+        return {promise: () => Promise.resolve({ReservedNodes: [
+          {ReservedNodeId: 'r4', NodeType: 'ra9.huge', NodeCount: 2, State: 'active'},
+        ]})}
+      }
+      return this.redshift.loadReservations('eu-north-7').then((reservations) => {
+        expect(reservations[0]).to.include({family: 'ra9', size: 'huge', count: 2, units: null})
+      })
+    })
+  })
+
+  describe('#loadInstances', function () {
+    beforeEach(function () {
+      this.requests = []
+      this.redshiftClient.describeClusters = (params) => {
+        this.requests.push(params)
+        if (params.Marker) {
+          return {promise: () => Promise.resolve({Clusters: [
+            {NodeType: 'dc7.large', NumberOfNodes: 2, ClusterStatus: 'paused', AvailabilityZone: 'eu-north-9b'},
+          ]})}
+        } else {
+          return {promise: () => Promise.resolve({Marker: 'm1', Clusters: [
+            {ClusterIdentifier: 'warehouse', NodeType: 'ra9.4xlarge', NumberOfNodes: 2, ClusterStatus: 'available', AvailabilityZone: 'eu-north-9a'},
+          ]})}
+        }
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.redshift.loadInstances('eu-north-9')
+    })
+
+    it('loads all pages and returns one record per node in the clusters that are not paused', function () {
+      return this.result.then((nodes) => {
+        expect(this.requests).to.deep.equal([{}, {Marker: 'm1'}])
+        expect(nodes.map(n => [n.family, n.size, n.az, n.units])).to.deep.equal([
+          ['ra9', '4xlarge', 'eu-north-9a', 32],
+          ['ra9', '4xlarge', 'eu-north-9a', 32],
+        ])
+      })
+    })
+
+    it('returns nodes of unknown sizes without units', function () {
+      this.redshiftClient.describeClusters = () => {
+        return {promise: () => Promise.resolve({Clusters: [
+          {ClusterIdentifier: 'archive', NodeType: 'ra9.huge', NumberOfNodes: 1, ClusterStatus: 'available', AvailabilityZone: 'eu-north-7a'},
+        ]})}
+      }
+      return this.redshift.loadInstances('eu-north-7').then((nodes) => {
+        expect(nodes.map(n => [n.family, n.size, n.units])).to.deep.equal([['ra9', 'huge', null]])
+      })
+    })
+
+    it('uses the cluster identifier as the ID of the nodes', function () {
+      return this.result.then((nodes) => {
+        expect(nodes.map(n => n.id)).to.deep.equal(['warehouse', 'warehouse'])
+      })
+    })
+  })
+})
@@ -0,0 +1,239 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const ReservationManager = require('../lib/reservation_manager')
+
+require('mocha-define') /* global def */
+
+describe('ReservationManager#matchInstances', function () {
+  def('reservationManager', function () {
+    return new ReservationManager(this.reservations)
+  })
+
+  def('matches', function () {
+    return this.reservationManager.matchInstances(this.instances)
+  })
+
+  def('coveredUnits', function () {
+    return this.matches.map(m => [m.instance.id, m.covered ? m.covered.units : 0])
+  })
+
+  def('remainingUnits', function () {
+    return this.reservationManager.reservations.map(r => [r.id, r.remainingUnits])
+  })
+
+  beforeEach(function () {
+    this.reservations = []
+    this.instances = []
+  })
+
+  describe('when a size flexible reservation would fit an instance of another size before the one of its own size', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'xlarge', offeringClass: 'standard', az: '*', units: 8})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+      this.instances.push({id: 'i2', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8})
+    })
+
+    it('applies it to the instance of the same size', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 0], ['i2', 8]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 0]])
+    })
+  })
+
+  describe('when a size flexible reservation is smaller than the instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+      this.instances.push({id: 'i1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8})
+    })
+
+    it('covers part of the instance', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 4]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 0]])
+    })
+
+    it('returns the covered and uncovered parts as instances with the units of the part', function () {
+      const match = this.matches[0]
+      expect(match.covered).to.deep.equal({id: 'i1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 4, instanceUnits: 8})
+      expect(match.uncovered).to.deep.equal({id: 'i1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 4, instanceUnits: 8})
+      expect(match.instance).to.equal(this.instances[0])
+    })
+
+    it('records the covered part on the reservation', function () {
+      expect(this.reservationManager.reservations[0].instances).to.deep.equal([this.matches[0].covered])
+    })
+  })
+
+  describe('when several size flexible reservations together cover an instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+      this.reservations.push({id: 'r2', family: 'i9', size: 'medium', offeringClass: 'standard', az: '*', units: 2})
+      this.reservations.push({id: 'r3', family: 'i9', size: 'medium', offeringClass: 'convertible', az: '*', units: 2})
+      this.instances.push({id: 'i1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8})
+    })
+
+    it('applies all of them', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 8]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 0], ['r2', 0], ['r3', 0]])
+    })
+
+    it('returns the whole instance as covered', function () {
+      expect(this.matches[0].covered).to.equal(this.instances[0])
+      expect(this.matches[0].uncovered).to.be.null
+    })
+  })
+
+  describe('when a size flexible reservation is larger than the instances', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: '2xlarge', offeringClass: 'standard', az: '*', units: 16})
+      this.instances.push({id: 'i3', family: 'i9', size: 'xlarge', az: 'eu-north-9c', units: 8})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+      this.instances.push({id: 'i2', family: 'i9', size: 'xlarge', az: 'eu-north-9b', units: 8})
+    })
+
+    it('covers the smallest instances first, and partially covers the instance where it runs out', function () {
+      expect(this.coveredUnits).to.deep.equal([['i3', 4], ['i1', 4], ['i2', 8]])
+    })
+  })
+
+  describe('when the instances are listed in another order', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+      this.reservations.push({id: 'r2', family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9b', units: 4})
+      this.reservations.push({id: 'r3', family: 'i9', size: 'xlarge', offeringClass: 'convertible', az: '*', units: 8})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+      this.instances.push({id: 'i2', family: 'i9', size: 'large', az: 'eu-north-9b', units: 4})
+      this.instances.push({id: 'i3', family: 'i9', size: 'large', az: 'eu-north-9b', units: 4})
+      this.instances.push({id: 'i4', family: 'i9', size: '2xlarge', az: 'eu-north-9a', units: 16})
+      this.instances.push({id: 'i5', family: 'i9', size: 'medium', az: 'eu-north-9c', units: 2})
+    })
+
+    it('matches the same instances to the same reservations', function () {
+      const match = (instances) => {
+        const reservationManager = new ReservationManager(this.reservations)
+        reservationManager.matchInstances(instances)
+        return reservationManager.reservations.map(r => [r.id, r.instances.map(i => [i.id, i.units])])
+      }
+      const expected = match(this.instances)
+      expect(match(this.instances.slice().reverse())).to.deep.equal(expected)
+      expect(match([2, 4, 0, 3, 1].map(i => this.instances[i]))).to.deep.equal(expected)
+    })
+
+    it('returns the matches in the order of the instances', function () {
+      expect(this.matches.map(m => m.instance)).to.deep.equal(this.instances)
+    })
+
+    it('applies zonal reservations, then regional reservations of the same size, then size flexible reservations', function () {
+      this.matches
+      expect(this.reservationManager.reservations.map(r => [r.id, r.instances.map(i => [i.id, i.units])])).to.deep.equal([
+        ['r1', [['i1', 4]]],
+        ['r2', [['i2', 4]]],
+        ['r3', [['i5', 2], ['i3', 4], ['i4', 2]]],
+      ])
+    })
+  })
+
+  describe('when there are both standard and convertible size flexible reservations', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'medium', offeringClass: 'convertible', az: '*', units: 2})
+      this.reservations.push({id: 'r2', family: 'i9', size: 'medium', offeringClass: 'standard', az: '*', units: 2})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+      this.instances.push({id: 'i2', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+    })
+
+    it('applies the standard reservations first', function () {
+      this.reservationManager.matchInstances([{id: 'i3', family: 'i9', size: 'small', az: 'eu-north-9a', units: 1}])
+      expect(this.remainingUnits).to.deep.equal([['r1', 2], ['r2', 1]])
+    })
+
+    it('covers the instances in the order of their IDs when they are otherwise the same', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 4], ['i2', 0]])
+    })
+  })
+
+  describe('when a zonal reservation is smaller than the instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9a', units: 4})
+      this.instances.push({id: 'i1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8})
+    })
+
+    it('does not apply it, since zonal reservations are not size flexible', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 0]])
+      expect(this.matches[0].uncovered).to.equal(this.instances[0])
+    })
+  })
+
+  describe('when a zonal convertible reservation is for another availability zone', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'convertible', az: 'eu-north-9b', units: 4})
+      this.reservations.push({id: 'r2', family: 'i9', size: 'medium', offeringClass: 'convertible', az: 'eu-north-9b', units: 2})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4})
+    })
+
+    it('does not apply it, neither whole nor in part', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 0]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 4], ['r2', 2]])
+    })
+
+    describe('and the instance runs in the availability zone of the reservation', function () {
+      beforeEach(function () {
+        this.instances[0].az = 'eu-north-9b'
+      })
+
+      it('applies the reservation of the same size', function () {
+        expect(this.coveredUnits).to.deep.equal([['i1', 4]])
+        expect(this.remainingUnits).to.deep.equal([['r1', 0], ['r2', 2]])
+      })
+    })
+  })
+
+  describe('when a reservation that is not size flexible is smaller than the instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', platform: 'Windows', units: 4})
+      this.reservations.push({id: 'r2', family: 'db.i9', size: 'large', offeringClass: 'standard', az: '*', platform: 'sqlserver-se(li)', sizeFlexible: false, units: 4})
+      this.instances.push({id: 'i1', family: 'i9', size: 'xlarge', platform: 'Windows', az: 'eu-north-9a', units: 8})
+      this.instances.push({id: 'i2', family: 'db.i9', size: 'large', platform: 'sqlserver-se(li)', multiAz: true, az: 'eu-north-9a', units: 8})
+    })
+
+    it('does not apply it', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 0], ['i2', 0]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 4], ['r2', 4]])
+    })
+  })
+
+  describe('when a size flexible RDS reservation is smaller than a Multi-AZ instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'db.i9', size: 'large', offeringClass: 'standard', az: '*', platform: 'postgres', sizeFlexible: true, units: 4})
+      this.instances.push({id: 'i1', family: 'db.i9', size: 'large', platform: 'postgres', multiAz: true, az: 'eu-north-9a', units: 8})
+    })
+
+    it('covers half of the instance', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 4]])
+    })
+  })
+
+  describe('when an instance is a spot instance', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+      this.instances.push({id: 'i1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4, spot: true})
+    })
+
+    it('does not apply any reservation to it', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 0]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 4]])
+    })
+  })
+
+  describe('when instances of different families compete for reservations', function () {
+    beforeEach(function () {
+      this.reservations.push({id: 'r1', family: 'i9', size: 'xlarge', offeringClass: 'convertible', az: '*', units: 8})
+      this.reservations.push({id: 'r2', family: 'm7', size: 'large', offeringClass: 'convertible', az: '*', units: 4})
+      this.instances.push({id: 'i1', family: 'm7', size: 'xlarge', az: 'eu-north-9a', units: 8})
+      this.instances.push({id: 'i2', family: 'i9', size: 'small', az: 'eu-north-9a', units: 1})
+      this.instances.push({id: 'i3', family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8})
+    })
+
+    it('only applies reservations to instances of their own family', function () {
+      expect(this.coveredUnits).to.deep.equal([['i1', 4], ['i2', 0], ['i3', 8]])
+      expect(this.remainingUnits).to.deep.equal([['r1', 0], ['r2', 0]])
+    })
+  })
+})
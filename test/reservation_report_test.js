@@ -0,0 +1,49 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const ReservationReport = require('../lib/reservation_report')
+const ReservationManager = require('../lib/reservation_manager')
+
+require('mocha-define') /* global def */
+
+describe('ReservationReport', function () {
+  def('report', function () {
+    const reservationManager = new ReservationManager(this.reservations)
+    reservationManager.matchInstances(this.instances)
+    return new ReservationReport(reservationManager.reservations).generate()
+  })
+
+  beforeEach(function () {
+    this.reservations = [
+      {id: 'r1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', count: 2, units: 8},
+      {id: 'r2', family: 'm5', size: 'xlarge', offeringClass: 'convertible', az: '*', count: 1, units: 8},
+      {id: 'r3', family: 'c5', size: 'large', offeringClass: 'standard', az: 'eu-north-9a', count: 1, units: 4},
+      {id: 'r0', family: 'c5', size: 'large', offeringClass: 'standard', az: 'eu-north-9b', count: 1, units: 4},
+    ]
+    this.instances = [
+      {id: 'i-1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4},
+      {id: 'i-2', family: 'i9', size: 'small', az: 'eu-north-9b', units: 1},
+      {id: 'i-3', family: 'c5', size: 'large', az: 'eu-north-9a', units: 4},
+    ]
+  })
+
+  it('returns every reservation with its consumed and remaining units', function () {
+    expect(this.report.map(r => [r.id, r.type, r.az, r.offeringClass, r.units, r.consumedUnits, r.remainingUnits])).to.deep.equal([
+      ['r2', 'm5.xlarge', '*', 'convertible', 8, 0, 8],
+      ['r0', 'c5.large', 'eu-north-9b', 'standard', 4, 0, 4],
+      ['r1', 'i9.large', '*', 'standard', 8, 5, 3],
+      ['r3', 'c5.large', 'eu-north-9a', 'standard', 4, 4, 0],
+    ])
+  })
+
+  it('lists the instances that consumed each reservation', function () {
+    expect(this.report[2].instances).to.deep.equal([
+      {id: 'i-1', type: 'i9.large', az: 'eu-north-9a', units: 4},
+      {id: 'i-2', type: 'i9.small', az: 'eu-north-9b', units: 1},
+    ])
+    expect(this.report[0].instances).to.deep.equal([])
+  })
+
+  it('includes the platform and count of the reservations', function () {
+    expect(this.report[2]).to.include({platform: 'Linux/UNIX', count: 2})
+  })
+})
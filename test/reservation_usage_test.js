@@ -1,12 +1,14 @@
-const {describe, it, beforeEach} = require('mocha')
+const {describe, it, beforeEach, afterEach} = require('mocha')
 const {expect} = require('chai')
+const crypto = require('crypto')
+const path = require('path')
 const ReservationUsage = require('../lib/reservation_usage')
 
 require('mocha-define') /* global def */
 
 describe('ReservationUsage', function () {
   def('reservationUsage', function () {
-    return new ReservationUsage(this.env, this.ec2)
+    return new ReservationUsage(this.env, this.ec2, this.clock, {rds: this.rds}, this.savingsPlans, this.historyStore, this.notifier)
   })
 
   def('response', function () {
@@ -24,17 +26,90 @@ describe('ReservationUsage', function () {
     this.ec2 = {
       reservations: [],
       instances: [],
+      regions: ['eu-north-1', 'eu-north-3', 'eu-north-9'],
+      requestedReservationRegions: [],
+      requestedInstancesRegions: [],
       loadReservations(region) {
         this.requestedReservationRegion = region
+        this.requestedReservationRegions.push(region)
         return Promise.resolve(this.reservations)
       },
       loadInstances(region) {
         this.requestedInstancesRegion = region
+        this.requestedInstancesRegions.push(region)
         return Promise.resolve(this.instances)
       },
+      loadRegions(region) {
+        this.requestedRegionsRegion = region
+        return Promise.resolve(this.regions)
+      },
+    }
+  })
+
+  beforeEach(function () {
+    this.rds = {
+      reservations: [{family: 'db.r7', size: 'large', offeringClass: 'standard', az: '*', platform: 'postgres', sizeFlexible: true, units: 8}],
+      instances: [{family: 'db.r7', size: 'large', platform: 'postgres', multiAz: false, units: 4, spot: false, emr: false}],
+      requestedInstancesRegions: [],
+      loadReservations() {
+        return Promise.resolve(this.reservations)
+      },
+      loadInstances(region) {
+        this.requestedInstancesRegions.push(region)
+        return Promise.resolve(this.instances)
+      },
+    }
+  })
+
+  beforeEach(function () {
+    this.savingsPlans = {
+      calls: 0,
+      savingsPlans: [{id: 'sp-1', type: 'Compute', family: null, region: null, commitment: 0.2}],
+      loadSavingsPlans() {
+        this.calls++
+        return Promise.resolve(this.savingsPlans)
+      },
+    }
+  })
+
+  beforeEach(function () {
+    this.historyStore = {
+      saved: [],
+      loads: [],
+      snapshots: [],
+      save(snapshot) {
+        this.saved.push(snapshot)
+        return Promise.resolve()
+      },
+      load(service, region, since) {
+        this.loads.push([service, region, new Date(since).toISOString()])
+        return Promise.resolve(this.snapshots)
+      },
+      alerts: {},
+      saveAlerts(service, alerts) {
+        this.alerts[service] = alerts
+        return Promise.resolve()
+      },
+      loadAlerts(service) {
+        return Promise.resolve(this.alerts[service] || [])
+      },
+    }
+  })
+
+  beforeEach(function () {
+    this.notifier = {
+      notified: [],
+      notify(alerts) {
+        this.notified.push(alerts)
+        return Promise.resolve()
+      },
     }
   })
 
+  beforeEach(function () {
+    this.clock = {now: new Date('2018-06-01T00:00:00Z').getTime()}
+  })
+
   beforeEach(function () {
     this.event = {}
   })
@@ -46,10 +121,10 @@ describe('ReservationUsage', function () {
       this.ec2.instances.push({family: 'd5', size: 'large', units: 4, spot: false, emr: false})
       this.ec2.instances.push({family: 'c6', size: 'large', units: 4, spot: true, emr: false})
       this.ec2.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: true})
-      this.ec2.reservations.push({family: 'p7', size: 'small', offeringClass: 'convertible', units: 8})
-      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 18})
-      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 4})
-      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 2})
+      this.ec2.reservations.push({family: 'p7', size: 'small', offeringClass: 'convertible', az: '*', units: 8})
+      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 18})
+      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 4})
+      this.ec2.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 2})
     })
 
     describe('when the event is an API Gateway event', function () {
@@ -77,6 +152,48 @@ describe('ReservationUsage', function () {
         })
       })
 
+      describe('and the SLACK_SIGNING_SECRET environment variable is set', function () {
+        beforeEach(function () {
+          this.env.SLACK_SIGNING_SECRET = 'signing-secret'
+          delete this.env.VERIFICATION_TOKEN
+          this.event.body = 'text=eu-north-9'
+          this.event.headers['X-Slack-Request-Timestamp'] = '1527811200'
+          this.event.headers['X-Slack-Signature'] = 'v0=' + crypto.createHmac('sha256', 'signing-secret').update(`v0:1527811200:${this.event.body}`).digest('hex')
+        })
+
+        it('accepts a request with a valid signature', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(this.ec2.requestedInstancesRegion).to.equal('eu-north-9')
+          })
+        })
+
+        describe('and the request is older than five minutes', function () {
+          beforeEach(function () {
+            this.clock.now += 600000
+          })
+
+          it('returns a 401 error response', function () {
+            return this.response.then((response) => {
+              expect(response.statusCode).to.equal(401)
+              expect(response.body).to.match(/authentication/i)
+            })
+          })
+        })
+
+        describe('and the signature is invalid', function () {
+          beforeEach(function () {
+            this.event.body = 'text=all'
+          })
+
+          it('returns a 401 error response', function () {
+            return this.response.then((response) => {
+              expect(response.statusCode).to.equal(401)
+            })
+          })
+        })
+      })
+
       it('returns an API Gateway-compatible response', function () {
         return this.response.then((response) => {
           expect(response.statusCode).to.equal(200)
@@ -114,79 +231,2090 @@ describe('ReservationUsage', function () {
         })
       })
 
-      describe('when the "Accept" header is "text/plain"', function () {
+      describe('when the region is specified as a query parameter', function () {
         beforeEach(function () {
-          this.event.headers = {Accept: 'text/plain'}
+          this.event.body = 'token=secret'
+          this.event.queryStringParameters = {region: 'eu-north-7'}
         })
 
-        it('returns a plain text summary', function () {
+        it('loads instances and reservations for that region', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedReservationRegion).to.equal('eu-north-7')
+            expect(this.ec2.requestedInstancesRegion).to.equal('eu-north-7')
+          })
+        })
+      })
+
+      describe('when a comma-separated list of regions is specified', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=eu-north-9,%20eu-north-7'
+        })
+
+        it('loads instances and reservations for all of the regions', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedReservationRegions).to.deep.equal(['eu-north-9', 'eu-north-7'])
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-9', 'eu-north-7'])
+          })
+        })
+
+        it('returns one summary per region', function () {
           return this.response.then((response) => {
-            expect(response.statusCode).to.equal(200)
-            expect(response.headers['Content-Type']).to.equal('text/plain; charset=UTF-8')
-            expect(response.body).to.match(/running\s+spot\s+emr\s+reserved\s+reservable\s+surplus/)
+            const body = JSON.parse(response.body)
+            expect(body.regions.map(r => r.region)).to.deep.equal(['eu-north-9', 'eu-north-7'])
+            expect(body.regions[0].summary.map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9', 'p7'])
+          })
+        })
+
+        it('returns a grand total for all regions', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.total.map(s => [s.family, s.running, s.reserved])).to.deep.equal([
+              ['c6', 2 * 4, 0],
+              ['d5', 2 * 4, 0],
+              ['i9', 2 * 8, 2 * 24],
+              ['p7', 2 * 4, 2 * 8],
+            ])
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table for each region, followed by the total', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^eu-north-9\n\s+running[\s\S]+^eu-north-7\n\s+running[\s\S]+^total\n\s+running/m)
+            })
           })
         })
       })
 
-      describe('when the user agent indicates that the request comes from Slack', function () {
+      describe('when the region is "all"', function () {
         beforeEach(function () {
-          this.event.headers = {
-            'Accept': 'text/plain, application/json, */*',
-            'User-Agent': 'Slackbot 1.0',
-          }
+          this.event.body = 'token=secret&text=all'
         })
 
-        it('returns an API Gateway response with an embedded Slack message structure', function () {
+        it('looks up the available regions from the default region', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedRegionsRegion).to.equal('eu-north-3')
+          })
+        })
+
+        it('loads instances and reservations for all available regions', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedReservationRegions).to.deep.equal(['eu-north-1', 'eu-north-3', 'eu-north-9'])
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-1', 'eu-north-3', 'eu-north-9'])
+          })
+        })
+
+        it('returns one summary per region', function () {
           return this.response.then((response) => {
-            expect(response.statusCode).to.equal(200)
-            expect(response.headers['Content-Type']).to.equal('application/json')
-            expect(response.body).to.match(/^\{.+\}$/m)
+            const body = JSON.parse(response.body)
+            expect(body.regions.map(r => r.region)).to.deep.equal(['eu-north-1', 'eu-north-3', 'eu-north-9'])
           })
         })
+      })
 
-        describe('returns a Slack message structure that', function () {
-          def('body', function () {
-            return this.response.then(r => JSON.parse(r.body))
+      describe('when per-account rows are requested with the "groupBy" query parameter', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret'
+          this.event.queryStringParameters = {region: 'eu-north-9', groupBy: 'account'}
+          this.ec2.instances.forEach((instance, index) => instance.account = index % 2 == 0 ? 'production' : 'staging')
+          this.ec2.reservations.forEach(reservation => reservation.account = 'payer')
+        })
+
+        it('returns a summary with one row per family and account', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.regions[0].region).to.equal('eu-north-9')
+            expect(body.regions[0].summary.map(s => [s.family, s.account])).to.deep.equal([
+              ['c6', 'staging'],
+              ['d5', 'production'],
+              ['i9', 'payer'],
+              ['i9', 'production'],
+              ['p7', 'payer'],
+              ['p7', 'staging'],
+            ])
           })
+        })
 
-          it('sets the message to be non-ephemeral', function () {
-            return this.body.then((body) => {
-              expect(body.response_type).to.equal('in_channel')
+        it('returns the pooled totals', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.total.map(s => [s.family, s.running, s.reserved])).to.deep.equal([
+              ['c6', 4, 0],
+              ['d5', 4, 0],
+              ['i9', 8, 24],
+              ['p7', 4, 8],
+            ])
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('includes the account in each row', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^i9 production(?:\s+\d+){7}$/m)
             })
           })
+        })
+      })
 
-          it('sets the message to be Markdown formatted', function () {
-            return this.body.then((body) => {
-              expect(body.mrkdwn).to.equal(true)
+      describe('when per-account rows are requested in the Slack command text', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=accounts%20eu-north-7'
+        })
+
+        it('loads instances and reservations for the specified region', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-7'])
+          })
+        })
+
+        it('returns a summary with per-account rows and the pooled totals', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.regions[0].summary[0]).to.have.property('account')
+            expect(body.total[0]).to.not.have.property('account')
+          })
+        })
+      })
+
+      describe('when costs are requested with the "costs" query parameter', function () {
+        beforeEach(function () {
+          this.env.PRICE_FILE = path.join(__dirname, 'fixtures', 'prices.json')
+          this.event.queryStringParameters = {costs: 'true'}
+        })
+
+        it('returns a summary with the hourly and monthly costs from the price file', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.map(s => [s.family, s.onDemandMonthly, s.wastedMonthly, s.savingsMonthly])).to.deep.equal([
+              ['c6', 0, 0, 0],
+              ['d5', 146, 0, 54.75],
+              ['i9', 0, 350.4, 0],
+              ['p7', 0, null, 0],
+            ])
+            expect(body[1]).to.include({onDemandHourly: 0.2, savingsHourly: 0.075})
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text summary with the monthly costs', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/surplus\s+expiring\s+on-demand\/mo\s+wasted\/mo\s+savings\/mo/)
+              expect(response.body).to.match(/^d5(?:\s+\d+){7}\s+146\.00\s+0\.00\s+54\.75$/m)
+              expect(response.body).to.match(/^p7(?:\s+\d+){7}\s+0\.00\s+unpriced\s+0\.00$/m)
             })
           })
+        })
 
-          it('includes a brief explanation', function () {
-            return this.body.then((body) => {
-              expect(body.text).to.match(/The number of small-equivalents currently running and reserved in eu-north-9/)
+        describe('and the price file cannot be loaded', function () {
+          beforeEach(function () {
+            this.env.PRICE_FILE = path.join(__dirname, 'fixtures', 'missing.json')
+          })
+
+          it('rejects the returned promise', function () {
+            return this.response.then(() => expect.fail(), (error) => {
+              expect(error.message).to.match(/Could not load price file/)
             })
           })
+        })
+      })
 
-          it('contains a plain text table', function () {
-            return this.body.then((body) => {
-              expect(body.text).to.match(/```[\s\S]+```/m)
-              expect(body.text).to.match(/running\s+spot\s+emr\s+reserved\s+reservable\s+surplus/)
-              expect(body.text).to.match(/i9(?:\s+\d+){6}/)
+      describe('when costs are requested in the Slack command text', function () {
+        beforeEach(function () {
+          this.env.PRICE_FILE = path.join(__dirname, 'fixtures', 'prices.json')
+          this.event.body = 'token=secret&text=costs%20eu-north-9'
+        })
+
+        it('returns a summary with costs for the specified region', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-9'])
+            expect(body[1]).to.include({family: 'd5', onDemandMonthly: 146})
+          })
+        })
+      })
+
+      describe('when the RDS service is requested with the "service" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {service: 'rds'}
+        })
+
+        it('loads DB instances and reservations instead of EC2 instances and reservations', function () {
+          return this.response.then(() => {
+            expect(this.rds.requestedInstancesRegions).to.deep.equal(['eu-north-9'])
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal([])
+          })
+        })
+
+        it('returns a summary of the DB instances and reservations', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body).to.deep.equal([
+              {family: 'db.r7', running: 4, spot: 0, emr: 0, reserved: 8, reservable: 0, surplus: 4, expiring: 0},
+            ])
+          })
+        })
+      })
+
+      describe('when an unknown service is requested', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {service: 'dynamodb'}
+        })
+
+        it('reports on EC2', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-9'])
+            expect(this.rds.requestedInstancesRegions).to.deep.equal([])
+          })
+        })
+      })
+
+      describe('when the RDS service is requested in the Slack command text', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=rds%20eu-north-7'
+          this.event.headers['User-Agent'] = 'Slackbot 1.0'
+        })
+
+        it('loads DB instances and reservations for the specified region', function () {
+          return this.response.then(() => {
+            expect(this.rds.requestedInstancesRegions).to.deep.equal(['eu-north-7'])
+          })
+        })
+
+        it('mentions the service in the message', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.text).to.match(/currently running and reserved in eu-north-7 for RDS/)
+          })
+        })
+      })
+
+      describe('when all services are requested with the "service" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {service: 'all'}
+        })
+
+        it('returns one summary per service', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.services.map(s => s.service)).to.deep.equal(['ec2', 'rds'])
+            expect(body.services[0].summary.map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9', 'p7'])
+            expect(body.services[1].summary.map(s => s.family)).to.deep.equal(['db.r7'])
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns one table per service', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^EC2\n\s+running[^\n]+\nc6/m)
+              expect(response.body).to.match(/^RDS\n\s+running[^\n]+\ndb\.r7/m)
+            })
+          })
+        })
+
+        describe('and loading one of the services fails', function () {
+          beforeEach(function () {
+            this.rds.loadInstances = () => Promise.reject(new Error('Not authorized to perform rds:DescribeDBInstances'))
+          })
+
+          it('returns the summaries of the other services, and the error of the service that failed', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.data.services.map(s => s.service)).to.deep.equal(['ec2'])
+              expect(body.failures).to.deep.equal([{service: 'rds', error: 'Not authorized to perform rds:DescribeDBInstances'}])
+            })
+          })
+
+          describe('and the "Accept" header is "text/plain"', function () {
+            beforeEach(function () {
+              this.event.headers = {Accept: 'text/plain'}
+            })
+
+            it('lists the service that failed below the tables', function () {
+              return this.response.then((response) => {
+                expect(response.body).to.match(/^EC2\n/)
+                expect(response.body).to.match(/^failed service\s+error\nRDS\s+Not authorized to perform rds:DescribeDBInstances$/m)
+              })
+            })
+          })
+
+          describe('and the "Accept" header is "text/csv"', function () {
+            beforeEach(function () {
+              this.event.headers = {Accept: 'text/csv'}
+            })
+
+            it('adds a table of the services that failed', function () {
+              return this.response.then((response) => {
+                expect(response.body).to.match(/\r\n\r\nfailed service,error\r\nRDS,Not authorized to perform rds:DescribeDBInstances\r\n$/)
+              })
+            })
+          })
+
+          describe('and the expiring report', function () {
+            beforeEach(function () {
+              this.event.queryStringParameters.report = 'expiring'
+              this.ec2.reservations[0].end = new Date('2018-08-01T00:00:00Z')
+            })
+
+            it('returns the rows of the other services, and the error of the service that failed', function () {
+              return this.response.then((response) => {
+                const body = JSON.parse(response.body)
+                expect(body.data.map(r => r.service)).to.deep.equal(['ec2'])
+                expect(body.failures.map(f => f.service)).to.deep.equal(['rds'])
+              })
+            })
+          })
+        })
+
+        describe('and loading all of the services fails', function () {
+          beforeEach(function () {
+            this.ec2.loadInstances = () => Promise.reject(new Error('Not authorized to perform ec2:DescribeInstances'))
+            this.rds.loadInstances = () => Promise.reject(new Error('Not authorized to perform rds:DescribeDBInstances'))
+          })
+
+          it('fails with the error of the first service', function () {
+            return this.response.then(() => expect.fail('processEvent should have failed'), (error) => {
+              expect(error.message).to.equal('Not authorized to perform ec2:DescribeInstances')
+            })
+          })
+        })
+
+        describe('and the expiring report', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters.report = 'expiring'
+            this.ec2.reservations[0].id = 'r-ec2'
+            this.ec2.reservations[0].end = new Date('2018-08-01T00:00:00Z')
+            this.rds.reservations[0].id = 'r-rds'
+            this.rds.reservations[0].end = new Date('2018-07-01T00:00:00Z')
+          })
+
+          it('returns the reservations of all services, ordered by the number of days left', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.map(r => [r.service, r.id])).to.deep.equal([['rds', 'r-rds'], ['ec2', 'r-ec2']])
             })
           })
         })
       })
-    })
 
-    describe('when the event any non-API Gateway-event', function () {
-      it('returns a summary as an object', function () {
-        return this.response.then((response) => {
-          expect(response.map(s => [s.family, s.running, s.reserved])).to.deep.equal([
-            ['c6', 0 + 4 + 0, 0],
-            ['d5', 4 + 0 + 0, 0],
-            ['i9', 4 + 0 + 4, 18 + 4 + 2],
-            ['p7', 4 + 0 + 0, 8],
-          ])
+      describe('when all services are requested in the Slack command text', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=services'
+          this.event.headers['User-Agent'] = 'Slackbot 1.0'
+        })
+
+        it('mentions that all services are included in the message', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.text).to.match(/currently running and reserved in eu-north-3 for all services/)
+            expect(body.text).to.match(/^RDS$/m)
+          })
+        })
+
+        describe('and loading one of the services fails', function () {
+          beforeEach(function () {
+            this.rds.loadInstances = () => Promise.reject(new Error('Not authorized to perform rds:DescribeDBInstances'))
+          })
+
+          it('mentions the service that failed in the message', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.text).to.match(/^:x: \*One service could not be included:\*\n• RDS: Not authorized to perform rds:DescribeDBInstances$/m)
+            })
+          })
+        })
+      })
+
+      describe('when Savings Plans are enabled with the SAVINGS_PLANS environment variable', function () {
+        beforeEach(function () {
+          this.env.SAVINGS_PLANS = 'true'
+          this.env.PRICE_FILE = path.join(__dirname, 'fixtures', 'prices.json')
+        })
+
+        it('applies the Savings Plan commitments to the reservable instances', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.map(s => [s.family, s.savingsPlan, s.reservable])).to.deep.equal([
+              ['c6', 0, 0],
+              ['d5', 4, 0],
+              ['i9', 0, 0],
+              ['p7', 0, 0],
+            ])
+          })
+        })
+
+        it('does not modify the loaded Savings Plans', function () {
+          return this.response.then(() => {
+            expect(this.savingsPlans.savingsPlans[0]).to.not.have.property('remainingCommitment')
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text summary with a Savings Plan column after the reserved column', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/reserved\s+savings plan\s+reservable/)
+              expect(response.body).to.match(/^d5\s+4\s+0\s+0\s+0\s+4\s+0\s+0\s+0$/m)
+            })
+          })
+        })
+
+        describe('and the recommendations report is requested', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters = {report: 'recommendations'}
+          })
+
+          it('does not recommend reserving the instances covered by Savings Plans', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body)).to.deep.equal([])
+            })
+          })
+        })
+
+        describe('and a simulation is requested', function () {
+          it('applies the whole commitments both before and after the changes', function () {
+            const changes = [{action: 'addReservations', type: 'c6.large'}]
+            return this.reservationUsage.generateReport({report: 'simulation', region: 'eu-north-9', changes}).then((report) => {
+              expect(report.data.before.find(s => s.family == 'd5')).to.include({savingsPlan: 4, reservable: 0})
+              expect(report.data.after.find(s => s.family == 'd5')).to.include({savingsPlan: 4, reservable: 0})
+              expect(report.data.changes.map(c => c.family)).to.deep.equal(['c6'])
+            })
+          })
+        })
+
+        describe('and the RDS service is requested', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters = {service: 'rds'}
+          })
+
+          it('does not load any Savings Plans', function () {
+            return this.response.then(() => {
+              expect(this.savingsPlans.calls).to.equal(0)
+            })
+          })
+        })
+      })
+
+      describe('when Savings Plans are not enabled', function () {
+        it('does not load any Savings Plans', function () {
+          return this.response.then((response) => {
+            expect(this.savingsPlans.calls).to.equal(0)
+            expect(JSON.parse(response.body)[0]).to.not.have.property('savingsPlan')
+          })
+        })
+      })
+
+      describe('when per-AZ rows are requested with the "groupBy" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {groupBy: 'az'}
+          this.event.headers = {Accept: 'text/plain'}
+          this.ec2.instances.forEach(i => i.az = 'eu-north-9a')
+          this.ec2.reservations.forEach(r => r.az = '*')
+          this.ec2.reservations.push({family: 'd5', size: 'large', offeringClass: 'standard', az: 'eu-north-9b', units: 4})
+        })
+
+        it('returns a table with one row per family and AZ, and the regional reservations on rows of their own', function () {
+          return this.response.then((response) => {
+            expect(response.body).to.match(/^i9 Region\s+0\s+0\s+0\s+24\s+0\s+16\s+0$/m)
+            expect(response.body).to.match(/^d5 eu-north-9a\s+4\s+0\s+0\s+0\s+4\s+0\s+0$/m)
+            expect(response.body).to.match(/^d5 eu-north-9b\s+0\s+0\s+0\s+4\s+0\s+4\s+0$/m)
+          })
+        })
+      })
+
+      describe('when per-AZ and per-type rows are requested in the Slack command text', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=zones%20types%20eu-north-7'
+        })
+
+        it('returns a summary with rows per instance type and AZ', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-7'])
+            expect(body.regions[0].summary[0]).to.include.keys('az', 'type')
+          })
+        })
+      })
+
+      describe('when the expiring report is requested with the "report" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {report: 'expiring'}
+          this.ec2.reservations.forEach((reservation, index) => {
+            reservation.id = `r-000${index}`
+            reservation.az = '*'
+            reservation.count = 1
+            reservation.end = new Date(Date.UTC(2018, 6 - index, 1))
+          })
+        })
+
+        it('returns the reservations ordered by the number of days left', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.map(r => [r.id, r.daysRemaining, r.expiring])).to.deep.equal([
+              ['r-0003', -61, true],
+              ['r-0002', -31, true],
+              ['r-0001', 0, true],
+              ['r-0000', 30, false],
+            ])
+          })
+        })
+
+        describe('and an expiry window', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters.expiryWindow = '45'
+          })
+
+          it('marks the reservations that expire within that window', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body[3].expiring).to.equal(true)
+            })
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^id\s+type\s+scope\s+count\s+units\s+end\s+days left$/m)
+              expect(response.body).to.match(/^r-0000\s+p7\.small\s+Region\s+1\s+8\s+2018-07-01\s+30$/m)
+            })
+          })
+        })
+      })
+
+      describe('when the recommendations report is requested with the "report" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {report: 'recommendations', headroom: '0'}
+        })
+
+        it('returns the reservations that would cover the reservable instances', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body).to.deep.equal([
+              {type: 'd5.large', family: 'd5', size: 'large', platform: 'Linux/UNIX', tenancy: 'default', scope: 'Region', offeringClass: 'standard', count: 1, units: 4},
+            ])
+          })
+        })
+
+        describe('and a headroom that is not between 0 and 100', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters.headroom = '-50'
+            this.env.RECOMMENDATION_HEADROOM = '0'
+          })
+
+          it('uses the configured headroom instead', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body)).to.deep.equal([
+                {type: 'd5.large', family: 'd5', size: 'large', platform: 'Linux/UNIX', tenancy: 'default', scope: 'Region', offeringClass: 'standard', count: 1, units: 4},
+              ])
+            })
+          })
+        })
+
+        describe('and an offering class', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters.offeringClass = 'convertible'
+          })
+
+          it('recommends reservations of that offering class', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body)[0].offeringClass).to.equal('convertible')
+            })
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^type\s+platform\s+tenancy\s+scope\s+offering class\s+count\s+units$/m)
+              expect(response.body).to.match(/^d5\.large\s+Linux\/UNIX\s+default\s+Region\s+standard\s+1\s+4$/m)
+            })
+          })
+        })
+      })
+
+      describe('when the exchanges report is requested with the "report" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {report: 'exchanges'}
+          this.ec2.reservations.forEach((reservation, index) => {
+            reservation.id = `r-000${index}`
+            reservation.az = '*'
+            reservation.count = 1
+          })
+        })
+
+        it('returns proposed exchanges of surplus convertible reservations', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.map(p => [p.action, p.reservationIds, p.surplus, p.to.map(t => [t.type, t.count])])).to.deep.equal([
+              ['exchange', ['r-0001'], 10, [['d5.large', 1]]],
+            ])
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^action\s+reservation\s+from\s+surplus\s+to\s+count\s+units$/m)
+              expect(response.body).to.match(/^exchange\s+r-0001\s+i9\.small Region\s+10\s+d5\.large Region\s+1\s+4$/m)
+            })
+          })
+        })
+      })
+
+      describe('when the tags report is requested with the "report" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {report: 'tags'}
+          this.ec2.instances[0].tags = {team: 'search', service: 'indexer'}
+          this.ec2.instances[1].tags = {team: 'ads'}
+          this.ec2.instances[2].tags = {team: 'search'}
+        })
+
+        it('returns the running, covered and reservable units for each value of the "team" tag', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body).to.deep.equal([
+              {tagKey: 'team', tagValue: 'ads', running: 4, covered: 4, reservable: 0},
+              {tagKey: 'team', tagValue: 'search', running: 8, covered: 4, reservable: 4},
+              {tagKey: 'team', tagValue: null, running: 8, covered: 4, reservable: 0},
+            ])
+          })
+        })
+
+        describe('and a tag key', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters.tag = 'service'
+          })
+
+          it('groups the instances by that tag', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.map(r => [r.tagKey, r.tagValue, r.running])).to.deep.equal([
+                ['service', 'indexer', 4],
+                ['service', null, 16],
+              ])
+            })
+          })
+        })
+
+        describe('and the TAG_KEY environment variable is set', function () {
+          beforeEach(function () {
+            this.env.TAG_KEY = 'service'
+          })
+
+          it('groups the instances by that tag', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body)[0]).to.include({tagKey: 'service', tagValue: 'indexer'})
+            })
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^team\s+running\s+covered\s+reservable$/m)
+              expect(response.body).to.match(/^search\s+8\s+4\s+4$/m)
+              expect(response.body).to.match(/^\(untagged\)\s+8\s+4\s+0$/m)
+            })
+          })
+        })
+      })
+
+      describe('when the reservations report is requested with the "report" query parameter', function () {
+        beforeEach(function () {
+          this.event.queryStringParameters = {report: 'reservations'}
+          this.ec2.instances.forEach((instance, index) => instance.id = `i-000${index}`)
+          this.ec2.reservations.forEach((reservation, index) => {
+            reservation.id = `r-000${index}`
+            reservation.az = '*'
+            reservation.count = 1
+          })
+        })
+
+        it('returns every reservation with its consumed and remaining units, and the instances that consumed it', function () {
+          return this.response.then((response) => {
+            const body = JSON.parse(response.body)
+            expect(body.map(r => [r.id, r.type, r.units, r.consumedUnits, r.remainingUnits, r.instances.map(i => i.id)])).to.deep.equal([
+              ['r-0001', 'i9.small', 18, 8, 10, ['i-0000', 'i-0004']],
+              ['r-0000', 'p7.small', 8, 4, 4, ['i-0001']],
+              ['r-0002', 'i9.small', 4, 0, 4, []],
+              ['r-0003', 'i9.small', 2, 0, 2, []],
+            ])
+          })
+        })
+
+        describe('and the "Accept" header is "text/plain"', function () {
+          beforeEach(function () {
+            this.event.headers = {Accept: 'text/plain'}
+          })
+
+          it('returns a plain text table', function () {
+            return this.response.then((response) => {
+              expect(response.body).to.match(/^id\s+type\s+scope\s+offering class\s+units\s+consumed\s+remaining\s+instances$/m)
+              expect(response.body).to.match(/^r-0001\s+i9\.small\s+Region\s+convertible\s+18\s+8\s+10\s+i-0000, i-0004$/m)
+              expect(response.body).to.match(/^r-0002\s+i9\.small\s+Region\s+convertible\s+4\s+0\s+4$/m)
+            })
+          })
+        })
+
+        describe('and the request comes from Slack', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=reservations'
+            this.event.headers['User-Agent'] = 'Slackbot 1.0'
+            delete this.event.queryStringParameters
+          })
+
+          it('returns a table of the reservations', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.text).to.match(/Reservations in eu-north-3, how many of their units are used, and by which instances/)
+              expect(body.text).to.match(/```[\s\S]+r-0000\s+p7\.small[\s\S]+```/)
+            })
+          })
+        })
+      })
+
+      describe('when the command contains something that is not understood, and the request is not from Slack', function () {
+        beforeEach(function () {
+          this.event.body = 'token=secret&text=--colour%20red'
+        })
+
+        it('returns a 400 error response', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(400)
+            expect(response.body).to.equal('Unknown option "--colour"')
+          })
+        })
+      })
+
+      describe('when the "Accept" header is "text/plain"', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'text/plain'}
+        })
+
+        it('returns a plain text summary', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.headers['Content-Type']).to.equal('text/plain; charset=UTF-8')
+            expect(response.body).to.match(/running\s+spot\s+emr\s+reserved\s+reservable\s+surplus/)
+          })
+        })
+      })
+
+      describe('when the "Accept" header is "text/plain" and there are instances of unknown sizes', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'text/plain'}
+          this.ec2.instances.push({family: 'mac9', size: 'metal', units: null, spot: false, emr: false})
+        })
+
+        it('lists them below the summary', function () {
+          return this.response.then((response) => {
+            expect(response.body).to.match(/\n\nunclassified\s+instances\s+reservations\nmac9\.metal\s+1\s+0\n$/)
+          })
+        })
+
+        it('lists them below the recommendations', function () {
+          this.event.queryStringParameters = {report: 'recommendations'}
+          return this.response.then((response) => {
+            expect(response.body).to.match(/\n\nunclassified\s+instances\s+reservations\nmac9\.metal\s+1\s+0\n$/)
+          })
+        })
+
+        it('lists them in a section of their own in CSV', function () {
+          this.event.headers = {Accept: 'text/csv'}
+          return this.response.then((response) => {
+            expect(response.body).to.match(/\r\n\r\nunclassified,instances,reservations\r\nmac9\.metal,1,0\r\n$/)
+          })
+        })
+
+        it('shows the units of reservations of unknown sizes as unknown', function () {
+          this.ec2.reservations.push({id: 'r-mac', family: 'mac9', size: 'metal', az: '*', offeringClass: 'standard', count: 1, units: null})
+          this.event.queryStringParameters = {report: 'reservations'}
+          return this.response.then((response) => {
+            expect(response.body).to.match(/^r-mac\s+mac9\.metal\s+Region\s+standard\s+unknown\s+unknown\s+unknown\s*$/m)
+          })
+        })
+      })
+
+      describe('when the "Accept" header is "text/csv"', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'text/csv'}
+        })
+
+        it('returns the summary as CSV', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.headers['Content-Type']).to.equal('text/csv; charset=UTF-8')
+            expect(response.body.split('\r\n')[0]).to.equal('family,running,spot,emr,reserved,reservable,surplus,expiring')
+            expect(response.body).to.contain('\r\ni9,8,0,4,24,0,16,0\r\n')
+          })
+        })
+      })
+
+      describe('when the "Accept" header is "text/markdown"', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'text/markdown'}
+        })
+
+        it('returns the summary as a Markdown table', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.headers['Content-Type']).to.equal('text/markdown; charset=UTF-8')
+            expect(response.body.split('\n').slice(0, 2)).to.deep.equal([
+              '| family | running | spot | emr | reserved | reservable | surplus | expiring |',
+              '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+            ])
+            expect(response.body).to.contain('\n| i9 | 8 | 0 | 4 | 24 | 0 | 16 | 0 |\n')
+          })
+        })
+
+        describe('and the report is a detail report', function () {
+          beforeEach(function () {
+            this.event.queryStringParameters = {report: 'expiring'}
+            this.event.body = 'token=secret&text=eu-north-9'
+          })
+
+          it('returns the report as a Markdown table', function () {
+            return this.response.then((response) => {
+              expect(response.statusCode).to.equal(200)
+              expect(response.body).to.match(/^\| [a-z]/)
+            })
+          })
+        })
+      })
+
+      describe('when the "Accept" header lists several media types', function () {
+        const negotiations = {
+          'text/markdown;q=0.5, text/csv': 'text/csv; charset=UTF-8',
+          'text/csv;q=0.2, text/markdown;q=0.9, */*;q=0.1': 'text/markdown; charset=UTF-8',
+          'text/*': 'text/plain; charset=UTF-8',
+          'text/*, text/plain;q=0': 'text/csv; charset=UTF-8',
+          'image/png, text/markdown;q=0.3': 'text/markdown; charset=UTF-8',
+          '*/*': 'application/json',
+          'application/*;q=0.8, text/csv': 'text/csv; charset=UTF-8',
+          'TEXT/CSV; charset=utf-8': 'text/csv; charset=UTF-8',
+        }
+
+        Object.keys(negotiations).forEach((accept) => {
+          it(`responds to "${accept}" with ${negotiations[accept]}`, function () {
+            this.event.headers = {accept}
+            return this.response.then((response) => {
+              expect(response.statusCode).to.equal(200)
+              expect(response.headers['Content-Type']).to.equal(negotiations[accept])
+            })
+          })
+        })
+      })
+
+      describe('when the "Accept" header does not include a supported media type', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'application/xml, text/html;q=0.9, text/csv;q=0'}
+        })
+
+        it('returns a 406 error response', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(406)
+            expect(response.headers['Content-Type']).to.equal('text/plain')
+            expect(response.body).to.equal('Not acceptable, use one of application/json, text/plain, text/csv, text/markdown')
+          })
+        })
+
+        it('does not load anything before responding', function () {
+          return this.response.then(() => {
+            expect(this.ec2.requestedInstancesRegions).to.deep.equal([])
+            expect(this.ec2.requestedReservationRegions).to.deep.equal([])
+          })
+        })
+      })
+
+      describe('when the "format" query parameter is set', function () {
+        beforeEach(function () {
+          this.event.headers = {Accept: 'application/json'}
+          this.event.queryStringParameters = {format: 'csv'}
+        })
+
+        it('uses the format, regardless of the "Accept" header', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.headers['Content-Type']).to.equal('text/csv; charset=UTF-8')
+          })
+        })
+
+        it('accepts a media type', function () {
+          this.event.queryStringParameters = {format: 'text/markdown'}
+          return this.response.then((response) => {
+            expect(response.headers['Content-Type']).to.equal('text/markdown; charset=UTF-8')
+          })
+        })
+
+        it('returns a 406 error response for an unsupported format', function () {
+          this.event.queryStringParameters = {format: 'xlsx'}
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(406)
+          })
+        })
+      })
+
+      describe('when the user agent indicates that the request comes from Slack', function () {
+        beforeEach(function () {
+          this.event.headers = {
+            'Accept': 'text/plain, application/json, */*',
+            'User-Agent': 'Slackbot 1.0',
+          }
+        })
+
+        it('returns an API Gateway response with an embedded Slack message structure', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.headers['Content-Type']).to.equal('application/json')
+            expect(response.body).to.match(/^\{.+\}$/m)
+          })
+        })
+
+        describe('returns a Slack message structure that', function () {
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('sets the message to be non-ephemeral', function () {
+            return this.body.then((body) => {
+              expect(body.response_type).to.equal('in_channel')
+            })
+          })
+
+          it('sets the message to be Markdown formatted', function () {
+            return this.body.then((body) => {
+              expect(body.mrkdwn).to.equal(true)
+            })
+          })
+
+          it('includes a brief explanation', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/The number of small-equivalents currently running and reserved in eu-north-9/)
+            })
+          })
+
+          it('contains a plain text table', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```[\s\S]+```/m)
+              expect(body.text).to.match(/running\s+spot\s+emr\s+reserved\s+reservable\s+surplus/)
+              expect(body.text).to.match(/i9(?:\s+\d+){6}/)
+            })
+          })
+
+          it('contains blocks that start with the explanation', function () {
+            return this.body.then((body) => {
+              expect(body.blocks[0]).to.deep.equal({type: 'section', text: {type: 'mrkdwn', text: 'The number of small-equivalents currently running and reserved in eu-north-9'}})
+            })
+          })
+
+          it('contains a section per family, with an indicator of surplus or reservable units', function () {
+            return this.body.then((body) => {
+              const sections = body.blocks.slice(1).filter(b => b.type == 'section')
+              expect(sections.map(s => s.text.text)).to.deep.equal([
+                ':large_green_circle: *c6*',
+                ':large_yellow_circle: *d5*',
+                ':red_circle: *i9*',
+                ':red_circle: *p7*',
+              ])
+              expect(sections[2].fields.map(f => f.text)).to.deep.equal(['*Running*\n8', '*Reserved*\n24', '*Reservable*\n0', '*Surplus*\n16'])
+            })
+          })
+
+          it('contains buttons for drilling into the zones and reservations of each family', function () {
+            return this.body.then((body) => {
+              const actions = body.blocks.filter(b => b.type == 'actions')
+              expect(actions.length).to.equal(4)
+              expect(actions[2].elements).to.deep.equal([
+                {type: 'button', text: {type: 'plain_text', text: 'Zones'}, action_id: 'drill_down_zones', value: '{"report":"summary","groupBy":"az","family":"i9","region":"eu-north-9","service":"ec2"}'},
+                {type: 'button', text: {type: 'plain_text', text: 'Reservations'}, action_id: 'drill_down_reservations', value: '{"report":"reservations","family":"i9","region":"eu-north-9","service":"ec2"}'},
+              ])
+            })
+          })
+        })
+
+        describe('and help is requested', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&command=%2Fri&text=help'
+          })
+
+          it('responds with the usage, only to the user', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.response_type).to.equal('ephemeral')
+              expect(body.text).to.match(/^Usage: `\/ri \[report\] \[regions\] \[options\]`/)
+            })
+          })
+
+          it('does not load anything', function () {
+            return this.response.then(() => {
+              expect(this.ec2.requestedInstancesRegions).to.deep.equal([])
+            })
+          })
+        })
+
+        describe('and the command contains something that is not understood', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=summary%20eu-west'
+          })
+
+          it('responds with what was not understood and the usage, only to the user', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(response.statusCode).to.equal(200)
+              expect(body.response_type).to.equal('ephemeral')
+              expect(body.text).to.match(/^I don't understand "eu-west"\n\nUsage: `\/reservations/)
+            })
+          })
+
+          it('does not load anything', function () {
+            return this.response.then(() => {
+              expect(this.ec2.requestedInstancesRegions).to.deep.equal([])
+            })
+          })
+        })
+
+        describe('and a report is requested for a family', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=reservations%20eu-north-9%20--family%20p7'
+          })
+
+          it('responds with the report for that family', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.text).to.match(/Reservations in eu-north-9 \(p7 only\)/)
+              expect(body.text).to.not.match(/i9\.small/)
+            })
+          })
+        })
+
+        describe('and there are too many rows for the blocks of a message', function () {
+          beforeEach(function () {
+            for (let i = 0; i < 30; i++) {
+              this.ec2.instances.push({family: `x${i}`, size: 'large', units: 4, spot: false, emr: false})
+            }
+          })
+
+          it('only contains the text', function () {
+            return this.response.then((response) => {
+              const body = JSON.parse(response.body)
+              expect(body.text).to.match(/x29/)
+              expect(body).to.not.have.property('blocks')
+            })
+          })
+        })
+
+        describe('and another report than the summary is requested', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=reservations'
+          })
+
+          it('only contains the text', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body)).to.not.have.property('blocks')
+            })
+          })
+        })
+
+        describe('and the request is an interactive payload from a button', function () {
+          beforeEach(function () {
+            this.posts = []
+            this.post = (url, body) => {
+              this.posts.push([url, body])
+              return Promise.resolve()
+            }
+            this.invocations = []
+            this.invoke = (functionName, payload) => {
+              this.invocations.push([functionName, payload])
+              return Promise.resolve()
+            }
+            this.env.AWS_LAMBDA_FUNCTION_NAME = 'reservation-usage'
+          })
+
+          beforeEach(function () {
+            this.payload = {
+              type: 'block_actions',
+              token: 'secret',
+              response_url: 'https://hooks.slack.com/actions/T1/1/abc',
+              actions: [{action_id: 'drill_down_zones', value: '{"report":"summary","groupBy":"az","family":"i9","region":"eu-north-9","service":"ec2"}'}],
+            }
+            this.ec2.instances.forEach((instance, index) => instance.az = `eu-north-9${'abcde'[index]}`)
+            this.ec2.reservations.forEach(reservation => reservation.az = '*')
+          })
+
+          def('reservationUsage', function () {
+            return new ReservationUsage(this.env, this.ec2, this.clock, {rds: this.rds}, this.savingsPlans, this.historyStore, this.notifier, this.post, this.invoke)
+          })
+
+          def('response', function () {
+            this.event.body = `payload=${encodeURIComponent(JSON.stringify(this.payload))}`
+            return this.reservationUsage.processEvent(this.event)
+          })
+
+          def('followUp', function () {
+            return this.response.then(() => this.reservationUsage.processEvent(this.invocations[0][1]))
+          })
+
+          it('acknowledges the request with an empty response', function () {
+            return this.response.then((response) => {
+              expect(response.statusCode).to.equal(200)
+              expect(response.body).to.equal('')
+            })
+          })
+
+          it('invokes the function asynchronously to create the report, without waiting for it', function () {
+            return this.response.then(() => {
+              expect(this.invocations.length).to.equal(1)
+              expect(this.invocations[0][0]).to.equal('reservation-usage')
+              expect(this.invocations[0][1].detail).to.deep.equal({
+                parameters: {report: 'summary', groupBy: 'az', family: 'i9', region: 'eu-north-9', service: 'ec2'},
+                responseUrl: 'https://hooks.slack.com/actions/T1/1/abc',
+              })
+              expect(this.posts).to.deep.equal([])
+            })
+          })
+
+          it('posts the report to the response URL, as an ephemeral message that does not replace the original', function () {
+            return this.followUp.then(() => {
+              expect(this.posts.length).to.equal(1)
+              expect(this.posts[0][0]).to.equal('https://hooks.slack.com/actions/T1/1/abc')
+              expect(this.posts[0][1]).to.include({response_type: 'ephemeral', replace_original: false})
+            })
+          })
+
+          it('reports on the family of the button, broken down by availability zone', function () {
+            return this.followUp.then(() => {
+              const message = this.posts[0][1]
+              expect(message.text).to.match(/reserved in eu-north-9 \(i9 only\)/)
+              expect(message.blocks.slice(1).map(b => b.text.text)).to.deep.equal([
+                ':red_circle: *i9 · Region*',
+                ':large_green_circle: *i9 · eu-north-9a*',
+                ':large_green_circle: *i9 · eu-north-9e*',
+              ])
+            })
+          })
+
+          it('does not add buttons to drill further', function () {
+            return this.followUp.then(() => {
+              expect(this.posts[0][1].blocks.filter(b => b.type == 'actions')).to.deep.equal([])
+            })
+          })
+
+          it('does not save a snapshot of the partial summary', function () {
+            return this.followUp.then(() => {
+              expect(this.historyStore.saved).to.deep.equal([])
+            })
+          })
+
+          describe('for the reservations of a family', function () {
+            beforeEach(function () {
+              this.payload.actions[0].value = '{"report":"reservations","family":"p7","region":"eu-north-9","service":"ec2"}'
+            })
+
+            it('posts the reservations report for that family', function () {
+              return this.followUp.then(() => {
+                const message = this.posts[0][1]
+                expect(message.text).to.match(/Reservations in eu-north-9 \(p7 only\)/)
+                expect(message.text).to.match(/p7\.small/)
+                expect(message.text).to.not.match(/i9\.small/)
+              })
+            })
+          })
+
+          describe('and creating the report fails', function () {
+            beforeEach(function () {
+              this.payload.actions[0].value = '{"report":"simulation","region":"eu-north-9","service":"all"}'
+            })
+
+            it('posts the error to the response URL', function () {
+              return this.followUp.then(() => {
+                expect(this.posts[0][1]).to.include({response_type: 'ephemeral', replace_original: false})
+                expect(this.posts[0][1].text).to.equal('The report could not be created: Simulations can only be run for EC2')
+              })
+            })
+          })
+
+          describe('and the payload is not a button action', function () {
+            beforeEach(function () {
+              this.payload.type = 'view_submission'
+              delete this.payload.actions
+            })
+
+            it('acknowledges the request without creating a report', function () {
+              return this.response.then((response) => {
+                expect(response.statusCode).to.equal(200)
+                expect(this.invocations).to.deep.equal([])
+                expect(this.posts).to.deep.equal([])
+              })
+            })
+          })
+
+          describe('and the token in the payload is wrong', function () {
+            beforeEach(function () {
+              this.payload.token = 'wrong'
+            })
+
+            it('returns a 401 error response without posting anything', function () {
+              return this.response.then((response) => {
+                expect(response.statusCode).to.equal(401)
+                expect(this.invocations).to.deep.equal([])
+              })
+            })
+          })
+        })
+
+        describe('and there are reservations that expire soon', function () {
+          beforeEach(function () {
+            this.ec2.reservations[0].id = 'r-0001'
+            this.ec2.reservations[0].count = 2
+            this.ec2.reservations[0].az = '*'
+            this.ec2.reservations[0].end = new Date('2018-06-13T00:00:00Z')
+            this.ec2.reservations[1].id = 'r-0002'
+            this.ec2.reservations[1].end = new Date('2018-09-01T00:00:00Z')
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('highlights the reservations that expire within 30 days', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```\n:warning: \*1 reservation expires within 30 days:\*\n/)
+              expect(body.text).to.match(/`r-0001`: 2 × p7\.small \(Region\) expires on 2018-06-13, \*12 days\* left/)
+              expect(body.text).to.not.match(/r-0002/)
+            })
+          })
+        })
+
+        describe('and there are instances of unknown sizes', function () {
+          beforeEach(function () {
+            this.ec2.instances.push({family: 'mac9', size: 'metal', units: null, spot: false, emr: false})
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('lists them below the summary', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```\n:grey_question: \*1 instance type is not included because its size is unknown:\*\n• `mac9\.metal`: 1 running, 0 reserved$/)
+              expect(body.blocks[body.blocks.length - 1].text.text).to.match(/^:grey_question:/)
+            })
+          })
+        })
+
+        describe('and the expiring report is requested', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=expiring%2060d%20eu-north-9'
+            this.ec2.reservations[0].id = 'r-0001'
+            this.ec2.reservations[0].end = new Date('2018-06-13T00:00:00Z')
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('includes a brief explanation', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/Reservations in eu-north-9 and the number of days until they expire/)
+            })
+          })
+
+          it('contains a table of reservations and the days left', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/id\s+type\s+scope\s+count\s+units\s+end\s+days left/)
+              expect(body.text).to.match(/r-0001\s+p7\.small/)
+            })
+          })
+        })
+
+        describe('and the trends report is requested with a number of days', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=trends%2090d'
+            this.historyStore.snapshots = [
+              {createdAt: '2018-05-20T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 12, reservable: 8}]},
+            ]
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('loads the snapshots from that number of days', function () {
+            return this.body.then(() => {
+              expect(this.historyStore.loads[0][2]).to.equal('2018-03-03T00:00:00.000Z')
+            })
+          })
+
+          it('includes a brief explanation that mentions the period', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/running and reservable units in eu-north-3 over the last 90 days/)
+            })
+          })
+
+          it('contains a table of the trends', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/family\s+platform\s+snapshots\s+running min\s+avg\s+max\s+reservable min\s+avg\s+max/)
+              expect(body.text).to.match(/d5\s+Linux\/UNIX\s+1\s+12\s+12\s+12\s+8\s+8\s+8/)
+            })
+          })
+
+          describe('and there are no snapshots', function () {
+            beforeEach(function () {
+              this.historyStore.snapshots = []
+            })
+
+            it('says so', function () {
+              return this.body.then((body) => {
+                expect(body.text).to.equal('There are no snapshots of eu-north-3 from the last 90 days')
+              })
+            })
+          })
+        })
+
+        describe('and recommendations based on the minimum baseline are requested', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=recommendations%20baseline%2014d%200%25'
+            this.historyStore.snapshots = [
+              {createdAt: '2018-05-20T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 12, reservable: 8}]},
+            ]
+          })
+
+          it('mentions the baseline in the explanation', function () {
+            return this.response.then((response) => {
+              expect(JSON.parse(response.body).text).to.match(/leaving 0% headroom, based on the lowest number of reservable units in the last 14 days/)
+            })
+          })
+        })
+
+        describe('and the tags report is requested with a tag key', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=tags%20tag%3Dservice'
+            this.ec2.instances[0].tags = {service: 'indexer'}
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('includes a brief explanation that mentions the tag key', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/small-equivalents currently running in eu-north-3 by the `service` tag/)
+            })
+          })
+
+          it('contains a table of tag values', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```[\s\S]+indexer\s+4\s+4\s+0[\s\S]+```/)
+            })
+          })
+        })
+
+        describe('and the recommendations report is requested', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=recommendations%200%25'
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('includes a brief explanation that mentions the headroom', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/Reservations to buy to cover the reservable instances in eu-north-3, leaving 0% headroom/)
+            })
+          })
+
+          it('contains a table of reservations to buy', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```[\s\S]+d5\.large\s+Linux\/UNIX[\s\S]+```/)
+            })
+          })
+
+          describe('and there is nothing to reserve', function () {
+            beforeEach(function () {
+              this.ec2.instances = this.ec2.instances.filter(i => i.family != 'd5')
+            })
+
+            it('says so', function () {
+              return this.body.then((body) => {
+                expect(body.text).to.match(/There are no reservable instances in eu-north-3/)
+              })
+            })
+          })
+
+          describe('and all reservable units are within the headroom', function () {
+            beforeEach(function () {
+              this.event.body = 'token=secret&text=recommendations%20100%25'
+            })
+
+            it('says that there are reservable units, but that the headroom leaves nothing to reserve', function () {
+              return this.body.then((body) => {
+                expect(body.text).to.equal('There are 4 reservable units in eu-north-3, but nothing to reserve after leaving 100% headroom')
+              })
+            })
+          })
+        })
+
+        describe('and multiple regions are specified', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=eu-north-9,eu-north-7'
+          })
+
+          def('body', function () {
+            return this.response.then(r => JSON.parse(r.body))
+          })
+
+          it('mentions all of the regions in the explanation', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/currently running and reserved in eu-north-9, eu-north-7/)
+            })
+          })
+
+          it('contains a plain text table for each region and the total', function () {
+            return this.body.then((body) => {
+              expect(body.text).to.match(/```\neu-north-9\n[\s\S]+eu-north-7\n[\s\S]+total\n[\s\S]+```/m)
+            })
+          })
+        })
+
+        describe('and the same region is given as a word and as an option', function () {
+          beforeEach(function () {
+            this.event.body = 'token=secret&text=eu-north-9 --region eu-north-9'
+          })
+
+          it('only reports on the region once', function () {
+            return this.response.then((response) => {
+              expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-9'])
+              expect(JSON.parse(response.body).text).to.match(/currently running and reserved in eu-north-9\b/)
+              expect(JSON.parse(response.body).text).not.to.match(/eu-north-9, eu-north-9/)
+            })
+          })
+        })
+      })
+
+      describe('when the user agent header of a request from Slack is in lowercase', function () {
+        beforeEach(function () {
+          this.event.headers = {'user-agent': 'Slackbot 1.0'}
+        })
+
+        it('returns a Slack message', function () {
+          return this.response.then((response) => {
+            expect(response.headers['Content-Type']).to.equal('application/json')
+            expect(JSON.parse(response.body).response_type).to.equal('in_channel')
+          })
+        })
+      })
+
+      describe('when the request has no headers', function () {
+        beforeEach(function () {
+          delete this.event.headers
+        })
+
+        it('returns a report', function () {
+          return this.response.then((response) => {
+            expect(response.statusCode).to.equal(200)
+            expect(response.body).to.match(/i9/)
+          })
+        })
+      })
+    })
+
+    describe('when the event any non-API Gateway-event', function () {
+      it('loads instances and reservations for the region specified in the AWS_DEFAULT_REGION environment variable', function () {
+        return this.response.then(() => {
+          expect(this.ec2.requestedReservationRegion).to.equal('eu-north-3')
+          expect(this.ec2.requestedInstancesRegion).to.equal('eu-north-3')
+        })
+      })
+
+      it('saves a snapshot of the summary of each region, broken down by platform', function () {
+        return this.response.then(() => {
+          expect(this.historyStore.saved.map(s => [s.createdAt, s.service, s.region])).to.deep.equal([['2018-06-01T00:00:00.000Z', 'ec2', 'eu-north-3']])
+          expect(this.historyStore.saved[0].summary.map(s => [s.family, s.platform, s.running, s.reservable])).to.deep.equal([
+            ['c6', 'Linux/UNIX', 4, 0],
+            ['d5', 'Linux/UNIX', 4, 4],
+            ['i9', 'Linux/UNIX', 8, 0],
+            ['p7', 'Linux/UNIX', 4, 0],
+          ])
+        })
+      })
+
+      describe('and the snapshot cannot be saved', function () {
+        beforeEach(function () {
+          this.warnings = []
+          this.originalWarn = console.warn
+          console.warn = (message) => this.warnings.push(message)
+          this.historyStore.save = () => Promise.reject(new Error('Access Denied'))
+        })
+
+        afterEach(function () {
+          console.warn = this.originalWarn
+        })
+
+        it('still responds with the summary', function () {
+          return this.response.then((response) => {
+            expect(response.map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9', 'p7'])
+          })
+        })
+
+        it('logs a warning', function () {
+          return this.response.then(() => {
+            expect(this.warnings).to.deep.equal(['Could not save the snapshot of eu-north-3: Access Denied'])
+          })
+        })
+      })
+
+      describe('that specifies a family', function () {
+        beforeEach(function () {
+          this.event = {family: 'i9'}
+        })
+
+        it('only reports on the instances and reservations of that family', function () {
+          return this.response.then((response) => {
+            expect(response.map(s => [s.family, s.running, s.reserved])).to.deep.equal([['i9', 8, 24]])
+          })
+        })
+
+        it('does not save a snapshot', function () {
+          return this.response.then(() => {
+            expect(this.historyStore.saved).to.deep.equal([])
+          })
+        })
+      })
+
+      describe('that requests another report than the summary', function () {
+        beforeEach(function () {
+          this.event = {report: 'expiring'}
+        })
+
+        it('does not save a snapshot', function () {
+          return this.response.then(() => {
+            expect(this.historyStore.saved).to.deep.equal([])
+          })
+        })
+      })
+
+      describe('that requests the trends report', function () {
+        beforeEach(function () {
+          this.event = {report: 'trends'}
+          this.historyStore.snapshots = [
+            {createdAt: '2018-05-20T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 12, reservable: 8}]},
+            {createdAt: '2018-05-30T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 8, reservable: 4}]},
+          ]
+        })
+
+        it('loads the snapshots from the last 30 days', function () {
+          return this.response.then(() => {
+            expect(this.historyStore.loads).to.deep.equal([['ec2', 'eu-north-3', '2018-05-02T00:00:00.000Z']])
+          })
+        })
+
+        it('returns the lowest, average, and highest number of running and reservable units', function () {
+          return this.response.then((response) => {
+            expect(response).to.deep.equal([
+              {family: 'd5', platform: 'Linux/UNIX', snapshots: 2, runningMin: 8, runningAvg: 10, runningMax: 12, reservableMin: 4, reservableAvg: 6, reservableMax: 8},
+            ])
+          })
+        })
+
+        describe('and a period', function () {
+          beforeEach(function () {
+            this.event.period = 7
+          })
+
+          it('loads the snapshots from that number of days', function () {
+            return this.response.then(() => {
+              expect(this.historyStore.loads[0][2]).to.equal('2018-05-25T00:00:00.000Z')
+            })
+          })
+        })
+
+        describe('and the TREND_PERIOD_DAYS environment variable is set', function () {
+          beforeEach(function () {
+            this.env.TREND_PERIOD_DAYS = '90'
+          })
+
+          it('loads the snapshots from that number of days', function () {
+            return this.response.then(() => {
+              expect(this.historyStore.loads[0][2]).to.equal('2018-03-03T00:00:00.000Z')
+            })
+          })
+        })
+      })
+
+      describe('when there are instances and reservations of unknown sizes', function () {
+        beforeEach(function () {
+          this.ec2.instances.push({family: 'mac9', size: 'metal', units: null, spot: false, emr: false})
+          this.ec2.instances.push({family: 'mac9', size: 'metal', units: null, spot: false, emr: false})
+          this.ec2.reservations.push({family: 'mac9', size: 'metal', offeringClass: 'standard', count: 3, units: null})
+        })
+
+        it('leaves them out of the summary, and lists them next to it', function () {
+          return this.response.then((response) => {
+            expect(response.data.map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9', 'p7'])
+            expect(response.unclassified).to.deep.equal([{type: 'mac9.metal', instances: 2, reservations: 3}])
+          })
+        })
+
+        it('lists them as unclassified in the report', function () {
+          return this.reservationUsage.generateReport({}).then((report) => {
+            expect(report.unclassified).to.deep.equal([{type: 'mac9.metal', instances: 2, reservations: 3}])
+          })
+        })
+
+        it('lists them by region when the report has several regions', function () {
+          return this.reservationUsage.generateReport({region: 'eu-north-9,eu-north-7'}).then((report) => {
+            expect(report.unclassified).to.deep.equal([
+              {region: 'eu-north-9', type: 'mac9.metal', instances: 2, reservations: 3},
+              {region: 'eu-north-7', type: 'mac9.metal', instances: 2, reservations: 3},
+            ])
+          })
+        })
+
+        it('lists them by service when the report has all services', function () {
+          return this.reservationUsage.generateReport({service: 'all'}).then((report) => {
+            expect(report.unclassified).to.deep.equal([{service: 'ec2', type: 'mac9.metal', instances: 2, reservations: 3}])
+          })
+        })
+
+        it('only lists the family of the report', function () {
+          return this.reservationUsage.generateReport({family: 'i9'}).then((report) => {
+            expect(report.unclassified).to.deep.equal([])
+          })
+        })
+
+        it('lists them as unclassified in the other reports that count units', function () {
+          return Promise.all(['recommendations', 'exchanges', 'tags'].map(report => this.reservationUsage.generateReport({report}))).then((reports) => {
+            reports.forEach(report => expect(report.unclassified).to.deep.equal([{type: 'mac9.metal', instances: 2, reservations: 3}]))
+          })
+        })
+
+        it('lists them by service in the other reports when the report has all services', function () {
+          return this.reservationUsage.generateReport({report: 'recommendations', service: 'all'}).then((report) => {
+            expect(report.unclassified).to.deep.equal([{service: 'ec2', type: 'mac9.metal', instances: 2, reservations: 3}])
+          })
+        })
+
+        it('includes the reservations without units in the expiring report', function () {
+          this.ec2.reservations[this.ec2.reservations.length - 1].end = new Date('2018-06-13T00:00:00Z')
+          return this.reservationUsage.generateReport({report: 'expiring'}).then((report) => {
+            expect(report.data.map(r => [r.type, r.units])).to.deep.include(['mac9.metal', null])
+            expect(report).to.not.have.property('unclassified')
+          })
+        })
+
+        it('includes the reservations without units in the reservations report', function () {
+          return this.reservationUsage.generateReport({report: 'reservations'}).then((report) => {
+            const row = report.data.find(r => r.type == 'mac9.metal')
+            expect(row).to.include({count: 3, units: null, consumedUnits: null, remainingUnits: null})
+            expect(row.instances).to.deep.equal([])
+          })
+        })
+      })
+
+      describe('that requests a simulation', function () {
+        beforeEach(function () {
+          this.event = {
+            report: 'simulation',
+            changes: [
+              {action: 'addReservations', type: 'd5.large'},
+              {action: 'removeInstances', type: 'p7.large'},
+            ],
+          }
+        })
+
+        it('returns the summary before and after the changes', function () {
+          return this.response.then((response) => {
+            expect(response.before.map(s => [s.family, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+              ['c6', 4, 0, 0, 0],
+              ['d5', 4, 0, 4, 0],
+              ['i9', 8, 24, 0, 16],
+              ['p7', 4, 8, 0, 4],
+            ])
+            expect(response.after.map(s => [s.family, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+              ['c6', 4, 0, 0, 0],
+              ['d5', 4, 4, 0, 0],
+              ['i9', 8, 24, 0, 16],
+              ['p7', 0, 8, 0, 8],
+            ])
+          })
+        })
+
+        it('returns the change for each family that changed', function () {
+          return this.response.then((response) => {
+            expect(response.changes).to.deep.equal([
+              {family: 'd5', running: 0, spot: 0, emr: 0, reserved: 4, reservable: -4, surplus: 0, expiring: 0},
+              {family: 'p7', running: -4, spot: 0, emr: 0, reserved: 0, reservable: 0, surplus: 4, expiring: 0},
+            ])
+          })
+        })
+
+        it('does not change the loaded instances and reservations', function () {
+          return this.response.then(() => {
+            expect(this.ec2.instances.map(i => i.family)).to.include('p7')
+            expect(this.ec2.reservations.map(r => r.family)).to.not.include('d5')
+          })
+        })
+
+        it('does not save a snapshot', function () {
+          return this.response.then(() => {
+            expect(this.historyStore.saved).to.deep.equal([])
+          })
+        })
+
+        describe('for a list of regions', function () {
+          beforeEach(function () {
+            this.event.region = 'eu-north-9,eu-north-7'
+            this.event.changes[0].region = 'eu-north-9'
+          })
+
+          it('applies changes without a region to all regions, and the others only to their region', function () {
+            return this.response.then((response) => {
+              expect(response.after.regions.map(r => r.summary.filter(s => s.family == 'd5' || s.family == 'p7').map(s => [s.family, s.running, s.reserved]))).to.deep.equal([
+                [['d5', 4, 4], ['p7', 0, 8]],
+                [['d5', 4, 0], ['p7', 0, 8]],
+              ])
+            })
+          })
+
+          it('returns the change of the total', function () {
+            return this.response.then((response) => {
+              expect(response.changes.map(s => [s.family, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+                ['d5', 0, 4, -4, 0],
+                ['p7', -8, 0, 0, 8],
+              ])
+            })
+          })
+        })
+
+        describe('with a change that is not supported', function () {
+          beforeEach(function () {
+            this.event.changes.push({action: 'buyEverything'})
+          })
+
+          it('fails without loading any instances', function () {
+            return this.response.then(() => expect.fail('processEvent should have failed'), (error) => {
+              expect(error.message).to.equal('Unsupported change: {"action":"buyEverything"}')
+              expect(this.ec2.requestedInstancesRegions).to.deep.equal([])
+            })
+          })
+        })
+
+        describe('for all services', function () {
+          beforeEach(function () {
+            this.event.service = 'all'
+          })
+
+          it('fails', function () {
+            return this.response.then(() => expect.fail('processEvent should have failed'), (error) => {
+              expect(error.message).to.equal('Simulations can only be run for EC2')
+            })
+          })
+        })
+
+        describe('for another service than EC2', function () {
+          beforeEach(function () {
+            this.event.service = 'rds'
+          })
+
+          it('fails, since the changes describe EC2 instances and reservations', function () {
+            return this.response.then(() => expect.fail('processEvent should have failed'), (error) => {
+              expect(error.message).to.equal('Simulations can only be run for EC2')
+              expect(this.rds.requestedInstancesRegions).to.deep.equal([])
+            })
+          })
+        })
+      })
+
+      describe('that requests recommendations based on the minimum baseline', function () {
+        beforeEach(function () {
+          this.event = {report: 'recommendations', headroom: '0', baseline: 'minimum'}
+          this.ec2.instances.push({family: 'd5', size: 'large', units: 4, spot: false, emr: false})
+          this.historyStore.snapshots = [
+            {createdAt: '2018-05-20T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 12, reservable: 12}]},
+            {createdAt: '2018-05-30T00:00:00.000Z', summary: [{family: 'd5', platform: 'Linux/UNIX', running: 4, reservable: 4}]},
+          ]
+        })
+
+        it('recommends reservations for at most the lowest number of reservable units in the snapshots', function () {
+          return this.response.then((response) => {
+            expect(response.map(r => [r.type, r.count])).to.deep.equal([['d5.large', 1]])
+          })
+        })
+
+        describe('and there are no snapshots', function () {
+          beforeEach(function () {
+            this.historyStore.snapshots = []
+          })
+
+          it('recommends reservations for the current reservable units', function () {
+            return this.response.then((response) => {
+              expect(response.map(r => [r.type, r.count])).to.deep.equal([['d5.large', 2]])
+            })
+          })
+        })
+
+        describe('and the baseline is not specified', function () {
+          beforeEach(function () {
+            delete this.event.baseline
+          })
+
+          it('does not load any snapshots', function () {
+            return this.response.then((response) => {
+              expect(this.historyStore.loads).to.deep.equal([])
+              expect(response.map(r => [r.type, r.count])).to.deep.equal([['d5.large', 2]])
+            })
+          })
+        })
+
+        describe('and the RECOMMENDATION_BASELINE environment variable is set instead', function () {
+          beforeEach(function () {
+            delete this.event.baseline
+            this.env.RECOMMENDATION_BASELINE = 'minimum'
+          })
+
+          it('uses the minimum baseline', function () {
+            return this.response.then((response) => {
+              expect(response.map(r => [r.type, r.count])).to.deep.equal([['d5.large', 1]])
+            })
+          })
+        })
+      })
+
+      describe('that specifies a list of regions', function () {
+        beforeEach(function () {
+          this.event = {region: 'eu-north-9,eu-north-7'}
+        })
+
+        describe('and the expiring report', function () {
+          beforeEach(function () {
+            this.event.report = 'expiring'
+            this.ec2.reservations[0].end = new Date('2018-06-13T00:00:00Z')
+          })
+
+          it('includes the region of each reservation', function () {
+            return this.response.then((response) => {
+              expect(response.map(r => r.region)).to.deep.equal(['eu-north-9', 'eu-north-7'])
+            })
+          })
+        })
+
+        describe('where a region is given more than once', function () {
+          beforeEach(function () {
+            this.event = {region: 'eu-north-9,eu-north-7,eu-north-9'}
+          })
+
+          it('only reports on each region once', function () {
+            return this.response.then((response) => {
+              expect(this.ec2.requestedInstancesRegions).to.deep.equal(['eu-north-9', 'eu-north-7'])
+              expect(response.regions.map(r => r.region)).to.deep.equal(['eu-north-9', 'eu-north-7'])
+            })
+          })
+        })
+
+        it('returns one summary per region, and the total', function () {
+          return this.response.then((response) => {
+            expect(response.regions.map(r => r.region)).to.deep.equal(['eu-north-9', 'eu-north-7'])
+            expect(response.total.map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9', 'p7'])
+          })
+        })
+      })
+
+      it('returns a summary as an object', function () {
+        return this.response.then((response) => {
+          expect(response.map(s => [s.family, s.running, s.reserved])).to.deep.equal([
+            ['c6', 0 + 4 + 0, 0],
+            ['d5', 4 + 0 + 0, 0],
+            ['i9', 4 + 0 + 4, 18 + 4 + 2],
+            ['p7', 4 + 0 + 0, 8],
+          ])
+        })
+      })
+    })
+
+    describe('when the event is a scheduled event', function () {
+      beforeEach(function () {
+        this.event = {'source': 'aws.events', 'detail-type': 'Scheduled Event', 'region': 'eu-north-3', 'detail': {}}
+        this.env.ALERT_RULES = 'surplus>0, d5:reservable>2, i9:reservable>0'
+      })
+
+      it('notifies about each family where a rule fires', function () {
+        return this.response.then(() => {
+          expect(this.notifier.notified.length).to.equal(1)
+          expect(this.notifier.notified[0].map(a => [a.service, a.region, a.family, a.metric, a.threshold, a.value])).to.deep.equal([
+            ['ec2', 'eu-north-3', 'd5', 'reservable', 2, 4],
+            ['ec2', 'eu-north-3', 'i9', 'surplus', 0, 16],
+            ['ec2', 'eu-north-3', 'p7', 'surplus', 0, 4],
+          ])
+        })
+      })
+
+      it('returns the alerts that fire and the ones that were notified', function () {
+        return this.response.then((response) => {
+          expect(response.alerts.map(a => a.family)).to.deep.equal(['d5', 'i9', 'p7'])
+          expect(response.notified).to.deep.equal(response.alerts)
+        })
+      })
+
+      it('saves a snapshot of the summary', function () {
+        return this.response.then(() => {
+          expect(this.historyStore.saved.map(s => s.region)).to.deep.equal(['eu-north-3'])
+        })
+      })
+
+      it('remembers the alerts that fire', function () {
+        return this.response.then((response) => {
+          expect(this.historyStore.alerts).to.deep.equal({ec2: response.alerts})
+        })
+      })
+
+      describe('and the same rules fired in the previous run', function () {
+        beforeEach(function () {
+          return this.reservationUsage.processEvent(this.event).then(() => this.notifier.notified.splice(0))
+        })
+
+        it('does not notify about them again', function () {
+          return this.response.then((response) => {
+            expect(this.notifier.notified).to.deep.equal([[]])
+            expect(response.alerts.length).to.equal(3)
+            expect(response.notified).to.deep.equal([])
+          })
+        })
+
+        describe('and a rule has stopped firing in between', function () {
+          beforeEach(function () {
+            this.ec2.instances.push({family: 'p7', size: 'large', units: 4, spot: false, emr: false})
+            return this.reservationUsage.processEvent(this.event).then(() => {
+              this.ec2.instances.pop()
+              this.notifier.notified.splice(0)
+            })
+          })
+
+          it('notifies about it again when it fires again', function () {
+            return this.response.then(() => {
+              expect(this.notifier.notified[0].map(a => a.family)).to.deep.equal(['p7'])
+            })
+          })
+        })
+      })
+
+      describe('and the notification fails', function () {
+        beforeEach(function () {
+          this.notifier.notify = () => Promise.reject(new Error('Webhook error'))
+        })
+
+        it('does not remember the alerts, so that they are notified in the next run', function () {
+          return this.response.then(() => expect.fail(), (error) => {
+            expect(error.message).to.equal('Webhook error')
+            expect(this.historyStore.alerts).to.deep.equal({})
+          })
+        })
+      })
+
+      describe('and the regions and service are configured with ALERT_REGIONS and ALERT_SERVICE', function () {
+        beforeEach(function () {
+          this.env.ALERT_REGIONS = 'eu-north-1,eu-north-9'
+          this.env.ALERT_SERVICE = 'rds'
+          this.env.ALERT_RULES = 'reserved>0'
+        })
+
+        it('evaluates the rules for each region of that service', function () {
+          return this.response.then((response) => {
+            expect(response.alerts.map(a => [a.service, a.region, a.family, a.value])).to.deep.equal([
+              ['rds', 'eu-north-1', 'db.r7', 8],
+              ['rds', 'eu-north-9', 'db.r7', 8],
+            ])
+            expect(this.historyStore.alerts).to.have.keys('rds')
+          })
+        })
+      })
+
+      describe('and all services are configured with ALERT_SERVICE', function () {
+        beforeEach(function () {
+          this.env.ALERT_SERVICE = 'all'
+          this.env.ALERT_RULES = 'surplus>0'
+        })
+
+        it('evaluates the rules for each service', function () {
+          return this.response.then((response) => {
+            expect(response.alerts.map(a => [a.service, a.family])).to.deep.equal([
+              ['ec2', 'i9'],
+              ['ec2', 'p7'],
+              ['rds', 'db.r7'],
+            ])
+            expect(this.historyStore.alerts).to.have.keys('ec2', 'rds')
+          })
+        })
+      })
+
+      describe('and the rules are configured in a file', function () {
+        beforeEach(function () {
+          this.env.ALERT_RULES_FILE = path.join(__dirname, 'fixtures', 'alert_rules.json')
+        })
+
+        it('uses the rules in the file', function () {
+          return this.response.then((response) => {
+            expect(response.alerts.map(a => [a.family, a.metric])).to.deep.equal([['i9', 'surplus']])
+          })
+        })
+      })
+
+      describe('and a rule is invalid', function () {
+        beforeEach(function () {
+          this.env.ALERT_RULES = 'wasted>0'
+        })
+
+        it('fails', function () {
+          return this.response.then(() => expect.fail(), (error) => {
+            expect(error.message).to.match(/Unsupported alert rule: "wasted>0"/)
+          })
+        })
+      })
+
+      describe('and there are no rules', function () {
+        beforeEach(function () {
+          delete this.env.ALERT_RULES
+        })
+
+        it('does not notify about anything', function () {
+          return this.response.then((response) => {
+            expect(response).to.deep.equal({alerts: [], notified: []})
+          })
         })
       })
     })
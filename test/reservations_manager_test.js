@@ -47,17 +47,23 @@ describe('ReservationManager', function () {
 
     it('returns reservations that have remaining capacity', function () {
       expect(this.reservationManager.unusedReservedCapacity().length).to.equal(4)
-      this.reservationManager.consumeReservedCapacity(this.instance)
+      this.reservationManager.matchInstances([this.instance])
       expect(this.reservationManager.unusedReservedCapacity().length).to.equal(4)
-      this.reservationManager.consumeReservedCapacity(this.instance)
+      this.reservationManager.matchInstances([this.instance])
       expect(this.reservationManager.unusedReservedCapacity().length).to.equal(3)
       expect(this.reservationManager.unusedReservedCapacity().find(r => r.family === 'i9' && r.offeringClass == 'standard' && r.size == 'large' && r.az == '*')).to.not.be.undefined
       expect(this.reservationManager.unusedReservedCapacity().find(r => r.family === 'i9' && r.offeringClass == 'standard' && r.size == 'large' && r.az == 'eu-north-9g')).to.be.undefined
     })
   })
 
-  describe('#consumeReservedCapacity', function () {
+  describe('#matchInstances', function () {
     beforeEach(function () {
+      this.matchInstance = function (instance = this.instance) {
+        return this.reservationManager.matchInstances([instance])[0]
+      }
+      this.coveringReservation = function () {
+        return this.reservationManager.reservations.find(r => r.instances.length > 0) || null
+      }
       this.findUnusedReservedCapacity = function (properties) {
         return this.reservationManager.unusedReservedCapacity().find((r) => {
           return r.family == properties.family
@@ -70,12 +76,12 @@ describe('ReservationManager', function () {
     })
 
     describe('when there are no reservations', function () {
-      it('returns null', function () {
-        expect(this.reservationManager.consumeReservedCapacity(this.instance)).to.be.null
+      it('does not cover the instance', function () {
+        expect(this.matchInstance().covered).to.be.null
       })
     })
 
-    describe('when the instances is a spot instance', function () {
+    describe('when the instance is a spot instance', function () {
       beforeEach(function () {
         this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9g', units: 8})
       })
@@ -84,8 +90,8 @@ describe('ReservationManager', function () {
         this.instance.spot = true
       })
 
-      it('returns null', function () {
-        expect(this.reservationManager.consumeReservedCapacity(this.instance)).to.be.null
+      it('does not cover the instance', function () {
+        expect(this.matchInstance().covered).to.be.null
       })
     })
 
@@ -94,8 +100,9 @@ describe('ReservationManager', function () {
         this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9g', units: 8})
       })
 
-      it('returns that reservation', function () {
-        const reservation = this.reservationManager.consumeReservedCapacity(this.instance)
+      it('applies that reservation', function () {
+        this.matchInstance()
+        const reservation = this.coveringReservation()
         expect(reservation.family).to.equal('i9')
         expect(reservation.size).to.equal('large')
         expect(reservation.offeringClass).to.equal('standard')
@@ -104,9 +111,18 @@ describe('ReservationManager', function () {
       })
 
       it('decrements the number of remaining units of the reservation', function () {
-        const reservation = this.reservationManager.consumeReservedCapacity(this.instance)
+        this.matchInstance()
+        const reservation = this.coveringReservation()
         expect(reservation.remainingUnits).to.equal(reservation.units - this.instance.units)
       })
+
+      it('records which instances consumed the reservation', function () {
+        const otherInstance = Object.assign({}, this.instance)
+        this.reservationManager.matchInstances([this.instance, otherInstance])
+        const reservation = this.coveringReservation()
+        expect(reservation.instances).to.deep.equal([this.instance, otherInstance])
+        expect(reservation.instances[0]).to.equal(this.instance)
+      })
     })
 
     describe('when there exists an az-specific standard reservation with a matching family and size', function () {
@@ -117,7 +133,7 @@ describe('ReservationManager', function () {
       })
 
       it('consumes capacity from that reservation', function () {
-        this.reservationManager.consumeReservedCapacity(this.instance)
+        this.matchInstance()
         expect(this.findUnusedReservedCapacity(this.reservations[1]).remainingUnits).to.equal(this.reservations[1].units - this.instance.units)
       })
 
@@ -127,7 +143,7 @@ describe('ReservationManager', function () {
         })
 
         it('consumes capacity from the az-specific reservation', function () {
-          this.reservationManager.consumeReservedCapacity(this.instance)
+          this.matchInstance()
           expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units - this.instance.units)
         })
 
@@ -137,7 +153,7 @@ describe('ReservationManager', function () {
           })
 
           it('consumes from the region-wide reservation', function () {
-            this.reservationManager.consumeReservedCapacity(this.instance)
+            this.matchInstance()
             expect(this.findUnusedReservedCapacity(this.reservations[0]).remainingUnits).to.equal(this.reservations[0].units - this.instance.units)
           })
         })
@@ -148,8 +164,8 @@ describe('ReservationManager', function () {
           this.reservations.unshift({family: 'i9', size: 'large', offeringClass: 'convertible', az: '*', units: 8})
         })
 
-        it('returns the standard reservation', function () {
-          this.reservationManager.consumeReservedCapacity(this.instance)
+        it('consumes from the standard reservation', function () {
+          this.matchInstance()
           expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units - this.instance.units)
         })
 
@@ -159,7 +175,7 @@ describe('ReservationManager', function () {
           })
 
           it('consumes from the convertible reservation', function () {
-            this.reservationManager.consumeReservedCapacity(this.instance)
+            this.matchInstance()
             expect(this.findUnusedReservedCapacity(this.reservations[0]).remainingUnits).to.equal(this.reservations[0].units - this.instance.units)
           })
         })
@@ -170,8 +186,8 @@ describe('ReservationManager', function () {
           this.reservations[1].units = 2
         })
 
-        it('returns null', function () {
-          expect(this.reservationManager.consumeReservedCapacity(this.instance)).to.be.null
+        it('does not cover the instance', function () {
+          expect(this.matchInstance().covered).to.be.null
         })
 
         it('consumes from no reservation', function () {
@@ -179,8 +195,6 @@ describe('ReservationManager', function () {
           expect(this.findUnusedReservedCapacity(this.reservations[1]).remainingUnits).to.equal(this.reservations[1].units)
           expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units)
         })
-
-        it('should consume all remaining units (but what should it return to indicate that the instance is only partially covered?)')
       })
     })
 
@@ -192,7 +206,7 @@ describe('ReservationManager', function () {
       })
 
       it('consumes from that reservation', function () {
-        this.reservationManager.consumeReservedCapacity(this.instance)
+        this.matchInstance()
         expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units - this.instance.units)
       })
 
@@ -202,7 +216,7 @@ describe('ReservationManager', function () {
         })
 
         it('consumes from the reservation of the same size', function () {
-          this.reservationManager.consumeReservedCapacity(this.instance)
+          this.matchInstance()
           expect(this.findUnusedReservedCapacity(this.reservations[3]).remainingUnits).to.equal(this.reservations[3].units - this.instance.units)
         })
       })
@@ -215,9 +229,9 @@ describe('ReservationManager', function () {
         this.reservations.push({family: 'i9', size: 'xlarge', offeringClass: 'standard', az: '*', units: 8})
       })
 
-      it('consumes from that reservation', function () {
-        this.reservationManager.consumeReservedCapacity(this.instance)
-        expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units - this.instance.units)
+      it('consumes from those reservations, in order', function () {
+        this.matchInstance()
+        expect(this.reservationManager.reservations.map(r => r.remainingUnits)).to.deep.equal([7, 0, 6])
       })
     })
 
@@ -229,7 +243,7 @@ describe('ReservationManager', function () {
       })
 
       it('consumes from that reservation', function () {
-        this.reservationManager.consumeReservedCapacity(this.instance)
+        this.matchInstance()
         expect(this.findUnusedReservedCapacity(this.reservations[1]).remainingUnits).to.equal(this.reservations[1].units - this.instance.units)
       })
 
@@ -238,8 +252,8 @@ describe('ReservationManager', function () {
           this.reservations.unshift({family: 'i9', size: 'medium', offeringClass: 'convertible', az: '*', units: 100})
         })
 
-        it('returns the reservation with the same size', function () {
-          this.reservationManager.consumeReservedCapacity(this.instance)
+        it('consumes from the reservation with the same size', function () {
+          this.matchInstance()
           expect(this.findUnusedReservedCapacity(this.reservations[2]).remainingUnits).to.equal(this.reservations[2].units - this.instance.units)
         })
 
@@ -249,11 +263,148 @@ describe('ReservationManager', function () {
           })
 
           it('consumes from the reservation of the other size', function () {
-            this.reservationManager.consumeReservedCapacity(this.instance)
+            this.matchInstance()
             expect(this.findUnusedReservedCapacity(this.reservations[0]).remainingUnits).to.equal(this.reservations[0].units - this.instance.units)
           })
         })
       })
     })
+
+    describe('when there exists a reservation for another platform', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9g', platform: 'Windows', units: 8})
+        this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', platform: 'Windows', units: 8})
+        this.reservations.push({family: 'i9', size: 'large', offeringClass: 'convertible', az: '*', platform: 'Windows', units: 8})
+      })
+
+      it('does not cover the instance', function () {
+        expect(this.matchInstance().covered).to.be.null
+      })
+
+      describe('and the instance runs that platform', function () {
+        beforeEach(function () {
+          this.instance.platform = 'Windows'
+        })
+
+        it('consumes from that reservation', function () {
+          this.matchInstance()
+          const reservation = this.coveringReservation()
+          expect(reservation.platform).to.equal('Windows')
+        })
+      })
+    })
+
+    describe('when there exists a reservation for another tenancy', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', tenancy: 'dedicated', units: 8})
+      })
+
+      it('does not cover the instance', function () {
+        expect(this.matchInstance().covered).to.be.null
+      })
+
+      describe('and the instance has that tenancy', function () {
+        beforeEach(function () {
+          this.instance.tenancy = 'dedicated'
+        })
+
+        it('consumes from that reservation', function () {
+          this.matchInstance()
+          const reservation = this.coveringReservation()
+          expect(reservation.tenancy).to.equal('dedicated')
+        })
+      })
+    })
+
+    describe('when there exists a region-wide reservation for the same family but different size', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'i9', size: 'xlarge', offeringClass: 'standard', az: '*', units: 8})
+        this.reservations.push({family: 'i9', size: 'xlarge', offeringClass: 'convertible', az: '*', units: 8})
+      })
+
+      describe('and the platform is not Linux/UNIX', function () {
+        beforeEach(function () {
+          this.reservations.forEach(r => r.platform = 'Windows')
+          this.instance.platform = 'Windows'
+        })
+
+        it('does not cover the instance, since only Linux/UNIX reservations are size flexible', function () {
+          expect(this.matchInstance().covered).to.be.null
+        })
+      })
+
+      describe('and the tenancy is not "default"', function () {
+        beforeEach(function () {
+          this.reservations.forEach(r => r.tenancy = 'dedicated')
+          this.instance.tenancy = 'dedicated'
+        })
+
+        it('does not cover the instance, since only default tenancy reservations are size flexible', function () {
+          expect(this.matchInstance().covered).to.be.null
+        })
+      })
+    })
+
+    describe('when there exists a reservation that is explicitly marked as size flexible', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'db.i9', size: 'xlarge', offeringClass: 'standard', az: '*', platform: 'postgres', sizeFlexible: true, units: 8})
+        this.instance.family = 'db.i9'
+        this.instance.platform = 'postgres'
+      })
+
+      it('consumes from that reservation even though the platform is not Linux/UNIX', function () {
+        this.matchInstance()
+        const reservation = this.coveringReservation()
+        expect(reservation.size).to.equal('xlarge')
+      })
+
+      describe('and the instance is Multi-AZ', function () {
+        beforeEach(function () {
+          this.instance.multiAz = true
+          this.instance.units = 8
+        })
+
+        it('consumes twice the units from that reservation', function () {
+          this.matchInstance()
+          const reservation = this.coveringReservation()
+          expect(reservation.remainingUnits).to.equal(0)
+        })
+      })
+    })
+
+    describe('when there exists a Multi-AZ reservation that is not size flexible', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'db.i9', size: 'large', offeringClass: 'standard', az: '*', platform: 'sqlserver-se(li)', sizeFlexible: false, multiAz: true, units: 8})
+        this.instance.family = 'db.i9'
+        this.instance.platform = 'sqlserver-se(li)'
+      })
+
+      it('does not cover a single-AZ instance', function () {
+        expect(this.matchInstance().covered).to.be.null
+      })
+
+      describe('and the instance is Multi-AZ', function () {
+        beforeEach(function () {
+          this.instance.multiAz = true
+          this.instance.units = 8
+        })
+
+        it('consumes from that reservation', function () {
+          this.matchInstance()
+          const reservation = this.coveringReservation()
+          expect(reservation.multiAz).to.be.true
+        })
+      })
+    })
+
+    describe('when there exists a Linux/UNIX reservation that is explicitly marked as not size flexible', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'i9', size: 'xlarge', offeringClass: 'standard', az: '*', sizeFlexible: false, units: 8})
+      })
+
+      it('does not cover the instance', function () {
+        expect(this.matchInstance().covered).to.be.null
+      })
+    })
   })
 })
@@ -0,0 +1,68 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const SavingsPlans = require('../lib/savings_plans')
+
+describe('SavingsPlans', function () {
+  beforeEach(function () {
+    this.savingsPlansClient = {}
+  })
+
+  beforeEach(function () {
+    const ctx = this
+    const savingsPlansClientFactory = function (config) {
+      ctx.savingsPlansConfig = config
+      return ctx.savingsPlansClient
+    }
+    this.savingsPlans = new SavingsPlans(savingsPlansClientFactory, {}, {}, {now: 0}, () => Promise.resolve(), null, null, 'http://localhost:4566')
+  })
+
+  describe('#loadSavingsPlans', function () {
+    beforeEach(function () {
+      this.requests = []
+      this.savingsPlansClient.describeSavingsPlans = (params) => {
+        this.requests.push(params)
+        if (params.nextToken) {
+          return {promise: () => Promise.resolve({savingsPlans: [
+            {savingsPlanId: 'sp-3', savingsPlanType: 'SageMaker', commitment: '1.0'},
+          ]})}
+        } else {
+          return {promise: () => Promise.resolve({nextToken: 't1', savingsPlans: [
+            {savingsPlanId: 'sp-1', savingsPlanType: 'Compute', commitment: '2.5', end: '2019-01-01T00:00:00.000Z'},
+            {savingsPlanId: 'sp-2', savingsPlanType: 'EC2Instance', commitment: '0.75', ec2InstanceFamily: 'i9', region: 'eu-north-9'},
+          ]})}
+        }
+      }
+    })
+
+    beforeEach(function () {
+      this.result = this.savingsPlans.loadSavingsPlans()
+    })
+
+    it('creates a client for the global Savings Plans endpoint, or the configured one', function () {
+      return this.result.then(() => {
+        expect(this.savingsPlansConfig).to.deep.equal({region: 'us-east-1', endpoint: 'http://localhost:4566'})
+      })
+    })
+
+    it('requests the active Savings Plans, and loads all pages', function () {
+      return this.result.then(() => {
+        expect(this.requests).to.deep.equal([{states: ['active']}, {states: ['active'], nextToken: 't1'}])
+      })
+    })
+
+    it('returns the Savings Plans that apply to EC2, with the hourly commitment as a number', function () {
+      return this.result.then((savingsPlans) => {
+        expect(savingsPlans).to.deep.equal([
+          {id: 'sp-1', type: 'Compute', family: null, region: null, commitment: 2.5, end: new Date('2019-01-01T00:00:00Z'), account: null},
+          {id: 'sp-2', type: 'EC2Instance', family: 'i9', region: 'eu-north-9', commitment: 0.75, end: null, account: null},
+        ])
+      })
+    })
+
+    it('caches the result', function () {
+      return this.result.then(() => {
+        expect(this.savingsPlans.loadSavingsPlans()).to.equal(this.result)
+      })
+    })
+  })
+})
@@ -0,0 +1,233 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const path = require('path')
+const Simulation = require('../lib/simulation')
+
+require('mocha-define') /* global def */
+
+describe('Simulation', function () {
+  def('simulated', function () {
+    return new Simulation(this.changes).apply(this.loaded)
+  })
+
+  beforeEach(function () {
+    this.loaded = {
+      region: 'eu-north-9',
+      instances: [
+        {id: 'i-1', family: 'i9', size: 'large', az: 'eu-north-9a', units: 4, spot: false, emr: false},
+        {id: 'i-2', family: 'i9', size: 'large', az: 'eu-north-9b', units: 4, spot: false, emr: false},
+        {id: 'i-3', family: 'i9', size: 'large', az: 'eu-north-9b', units: 4, spot: false, emr: false},
+        {id: 'i-4', family: 'd5', size: 'xlarge', az: 'eu-north-9a', units: 8, spot: false, emr: false},
+      ],
+      reservations: [
+        {id: 'ri-1', family: 'i9', size: 'large', az: '*', count: 2, units: 8, end: new Date('2018-07-01T00:00:00Z')},
+        {id: 'ri-2', family: 'd5', size: 'xlarge', az: 'eu-north-9a', count: 1, units: 8, end: new Date('2019-07-01T00:00:00Z')},
+      ],
+    }
+  })
+
+  describe('#apply', function () {
+    describe('with a change that adds reservations', function () {
+      beforeEach(function () {
+        this.changes = [{action: 'addReservations', type: 'c6.xlarge', count: 3, end: '2019-06-01T00:00:00Z'}]
+      })
+
+      it('adds a regional reservation of the type', function () {
+        expect(this.simulated.reservations.slice(2)).to.deep.equal([
+          {id: 'simulated-1', family: 'c6', size: 'xlarge', offeringClass: 'standard', az: '*', platform: 'Linux/UNIX', tenancy: 'default', count: 3, end: new Date('2019-06-01T00:00:00Z'), account: null, units: 24},
+        ])
+      })
+
+      it('uses the availability zone, platform, tenancy, and offering class of the change', function () {
+        Object.assign(this.changes[0], {az: 'eu-north-9c', platform: 'Windows', tenancy: 'dedicated', offeringClass: 'convertible'})
+        expect(this.simulated.reservations[2]).to.include({az: 'eu-north-9c', platform: 'Windows', tenancy: 'dedicated', offeringClass: 'convertible'})
+      })
+
+      it('accepts RDS instance classes', function () {
+        this.changes = [{action: 'addReservations', type: 'db.r7.large'}]
+        expect(this.simulated.reservations[2]).to.include({family: 'db.r7', size: 'large', count: 1, end: null, units: 4})
+      })
+    })
+
+    describe('with a change that removes reservations', function () {
+      it('removes the reservation with the ID', function () {
+        this.changes = [{action: 'removeReservations', id: 'ri-1'}]
+        expect(this.simulated.reservations.map(r => r.id)).to.deep.equal(['ri-2'])
+      })
+
+      it('removes all reservations of the type', function () {
+        this.changes = [{action: 'removeReservations', type: 'd5.xlarge'}]
+        expect(this.simulated.reservations.map(r => r.id)).to.deep.equal(['ri-1'])
+      })
+
+      it('only removes the given number of reserved instances, reducing the count of a reservation', function () {
+        this.changes = [{action: 'removeReservations', id: 'ri-1', count: 1}]
+        expect(this.simulated.reservations.map(r => [r.id, r.count, r.units])).to.deep.equal([['ri-1', 1, 4], ['ri-2', 1, 8]])
+      })
+
+      it('removes whole reservations until the count is reached', function () {
+        this.loaded.reservations.push({id: 'ri-3', family: 'd5', size: 'xlarge', az: '*', count: 2, units: 16})
+        this.changes = [{action: 'removeReservations', type: 'd5.xlarge', count: 2}]
+        expect(this.simulated.reservations.map(r => [r.id, r.count, r.units])).to.deep.equal([['ri-1', 2, 8], ['ri-3', 1, 8]])
+      })
+    })
+
+    describe('with a change that expires reservations', function () {
+      it('removes the reservations that end before the date', function () {
+        this.changes = [{action: 'expireReservations', date: '2019-01-01'}]
+        expect(this.simulated.reservations.map(r => r.id)).to.deep.equal(['ri-2'])
+      })
+    })
+
+    describe('with a change that adds instances', function () {
+      beforeEach(function () {
+        this.changes = [{action: 'addInstances', type: 'i9.xlarge', count: 2}]
+      })
+
+      it('adds on demand instances of the type, in the first availability zone of the region', function () {
+        expect(this.simulated.instances.slice(4)).to.deep.equal([
+          {id: 'simulated-1', family: 'i9', size: 'xlarge', az: 'eu-north-9a', platform: 'Linux/UNIX', tenancy: 'default', emr: false, spot: false, tags: {}, account: null, units: 8},
+          {id: 'simulated-2', family: 'i9', size: 'xlarge', az: 'eu-north-9a', platform: 'Linux/UNIX', tenancy: 'default', emr: false, spot: false, tags: {}, account: null, units: 8},
+        ])
+      })
+
+      it('uses the availability zone of the change', function () {
+        this.changes[0].az = 'eu-north-9c'
+        expect(this.simulated.instances[4].az).to.equal('eu-north-9c')
+      })
+    })
+
+    describe('with a change that removes instances', function () {
+      it('removes the instance with the ID', function () {
+        this.changes = [{action: 'removeInstances', id: 'i-2'}]
+        expect(this.simulated.instances.map(i => i.id)).to.deep.equal(['i-1', 'i-3', 'i-4'])
+      })
+
+      it('removes the specified number of instances of the type', function () {
+        this.changes = [{action: 'removeInstances', type: 'i9.large', count: 2}]
+        expect(this.simulated.instances.map(i => i.id)).to.deep.equal(['i-3', 'i-4'])
+      })
+
+      it('removes only instances in the availability zone of the change', function () {
+        this.changes = [{action: 'removeInstances', type: 'i9.large', az: 'eu-north-9b'}]
+        expect(this.simulated.instances.map(i => i.id)).to.deep.equal(['i-1', 'i-4'])
+      })
+    })
+
+    describe('with a change that resizes instances', function () {
+      it('changes the type of all instances of the type', function () {
+        this.changes = [{action: 'resizeInstances', type: 'i9.large', to: 'i9.2xlarge'}]
+        expect(this.simulated.instances.map(i => [i.id, i.family, i.size, i.units])).to.deep.equal([
+          ['i-1', 'i9', '2xlarge', 16],
+          ['i-2', 'i9', '2xlarge', 16],
+          ['i-3', 'i9', '2xlarge', 16],
+          ['i-4', 'd5', 'xlarge', 8],
+        ])
+      })
+
+      it('can move instances to another family', function () {
+        this.changes = [{action: 'resizeInstances', id: 'i-4', to: 'c6.xlarge'}]
+        expect(this.simulated.instances[3]).to.include({id: 'i-4', family: 'c6', size: 'xlarge', az: 'eu-north-9a', units: 8})
+      })
+    })
+
+    describe('with changes for other regions', function () {
+      it('only applies the changes for the region', function () {
+        this.changes = [
+          {action: 'removeInstances', id: 'i-1', region: 'eu-north-9'},
+          {action: 'removeInstances', id: 'i-2', region: 'eu-north-7'},
+        ]
+        expect(this.simulated.instances.map(i => i.id)).to.deep.equal(['i-2', 'i-3', 'i-4'])
+      })
+    })
+
+    it('applies the changes in order', function () {
+      this.changes = [
+        {action: 'resizeInstances', type: 'i9.large', to: 'i9.xlarge'},
+        {action: 'removeInstances', type: 'i9.xlarge', count: 1},
+      ]
+      expect(this.simulated.instances.map(i => [i.id, i.size])).to.deep.equal([['i-2', 'xlarge'], ['i-3', 'xlarge'], ['i-4', 'xlarge']])
+    })
+
+    it('does not change the loaded instances and reservations', function () {
+      this.changes = [{action: 'resizeInstances', type: 'i9.large', to: 'i9.xlarge'}, {action: 'removeReservations', id: 'ri-1'}]
+      expect(this.simulated.instances[0].size).to.equal('xlarge')
+      expect(this.loaded.instances[0].size).to.equal('large')
+      expect(this.loaded.reservations.length).to.equal(2)
+    })
+  })
+
+  describe('#constructor', function () {
+    const invalid = {
+      'an unknown action': {action: 'buyEverything'},
+      'a reservation without a type': {action: 'addReservations', count: 1},
+      'a count that is not a positive integer': {action: 'addInstances', type: 'i9.large', count: 0},
+      'a resize without a new type': {action: 'resizeInstances', id: 'i-1'},
+      'a removal without an ID or type': {action: 'removeInstances'},
+      'an expiry without a date': {action: 'expireReservations', date: 'soon'},
+    }
+    Object.keys(invalid).forEach((description) => {
+      it(`throws an error for ${description}`, function () {
+        expect(() => new Simulation([invalid[description]])).to.throw(`Unsupported change: ${JSON.stringify(invalid[description])}`)
+      })
+    })
+
+    it('throws an error when the changes are not a list', function () {
+      expect(() => new Simulation({action: 'addInstances', type: 'i9.large'})).to.throw('The changes must be a list')
+    })
+  })
+
+  describe('.compare', function () {
+    it('returns the difference of each column for the families that changed', function () {
+      const before = [
+        {family: 'c6', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0},
+        {family: 'i9', running: 8, spot: 0, emr: 0, reserved: 8, reservable: 0, surplus: 0, expiring: 8},
+      ]
+      const after = [
+        {family: 'c6', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0},
+        {family: 'i9', running: 8, spot: 0, emr: 0, reserved: 0, reservable: 8, surplus: 0, expiring: 0},
+        {family: 'm8', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0},
+      ]
+      expect(Simulation.compare(before, after)).to.deep.equal([
+        {family: 'i9', running: 0, spot: 0, emr: 0, reserved: -8, reservable: 8, surplus: 0, expiring: -8},
+        {family: 'm8', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0},
+      ])
+    })
+
+    it('pools rows by family and platform, and includes costs', function () {
+      const before = [
+        {family: 'i9', platform: 'Linux/UNIX', az: 'eu-north-9a', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0, onDemandMonthly: 100.5, wastedMonthly: 0},
+        {family: 'i9', platform: 'Linux/UNIX', az: 'eu-north-9b', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0, onDemandMonthly: 100.5, wastedMonthly: 0},
+      ]
+      const after = [
+        {family: 'i9', platform: 'Linux/UNIX', az: '*', running: 8, spot: 0, emr: 0, reserved: 8, reservable: 0, surplus: 0, expiring: 0, onDemandMonthly: 0, wastedMonthly: 0},
+      ]
+      expect(Simulation.compare(before, after)).to.deep.equal([
+        {family: 'i9', platform: 'Linux/UNIX', running: 0, spot: 0, emr: 0, reserved: 8, reservable: -8, surplus: 0, expiring: 0, onDemandMonthly: -201, wastedMonthly: 0},
+      ])
+    })
+
+    it('leaves the difference of costs that are unpriced before or after unpriced', function () {
+      const before = [
+        {family: 'x9', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0, onDemandMonthly: null, wastedMonthly: 0},
+      ]
+      const after = [
+        {family: 'x9', running: 4, spot: 0, emr: 0, reserved: 8, reservable: 0, surplus: 4, expiring: 0, onDemandMonthly: 0, wastedMonthly: null},
+      ]
+      expect(Simulation.compare(before, after)).to.deep.equal([
+        {family: 'x9', running: 0, spot: 0, emr: 0, reserved: 8, reservable: -4, surplus: 4, expiring: 0, onDemandMonthly: null, wastedMonthly: null},
+      ])
+    })
+  })
+
+  describe('.loadChanges', function () {
+    it('reads the changes from a JSON file', function () {
+      const changes = Simulation.loadChanges(path.join(__dirname, 'fixtures', 'changes.json'))
+      expect(changes.map(c => c.action)).to.deep.equal(['addReservations', 'resizeInstances', 'removeInstances', 'expireReservations'])
+    })
+
+    it('throws an error when the file can not be read', function () {
+      expect(() => Simulation.loadChanges('/does/not/exist.json')).to.throw('Could not load changes file "/does/not/exist.json"')
+    })
+  })
+})
@@ -0,0 +1,156 @@
+const {describe, it} = require('mocha')
+const {expect} = require('chai')
+const {SlackCommand, UsageError} = require('../lib/slack_command')
+
+require('mocha-define') /* global def */
+
+describe('SlackCommand', function () {
+  def('command', function () {
+    return new SlackCommand(['ec2', 'rds'])
+  })
+
+  def('parameters', function () {
+    return this.command.parse(this.text)
+  })
+
+  def('error', function () {
+    try {
+      this.command.parse(this.text)
+    } catch (error) {
+      return error
+    }
+    return null
+  })
+
+  describe('#parse', function () {
+    it('returns no parameters for an empty command', function () {
+      this.text = ''
+      expect(this.parameters).to.deep.equal({})
+    })
+
+    it('returns no parameters for a missing command', function () {
+      this.text = undefined
+      expect(this.parameters).to.deep.equal({})
+    })
+
+    it('parses a report and a region', function () {
+      this.text = 'summary eu-west-1'
+      expect(this.parameters).to.deep.equal({report: 'summary', region: 'eu-west-1'})
+    })
+
+    it('parses a list of regions, separated by commas, spaces, or both', function () {
+      this.text = 'us-east-1, eu-west-1,ap-southeast-2 us-gov-west-1'
+      expect(this.parameters).to.deep.equal({region: 'us-east-1,,eu-west-1,ap-southeast-2,us-gov-west-1'})
+    })
+
+    it('parses "all" as a region', function () {
+      this.text = 'all'
+      expect(this.parameters).to.deep.equal({region: 'all'})
+    })
+
+    it('parses options with a separate value', function () {
+      this.text = 'reservations us-east-1 --family c5'
+      expect(this.parameters).to.deep.equal({report: 'reservations', region: 'us-east-1', family: 'c5'})
+    })
+
+    it('parses options with an inline value', function () {
+      this.text = 'tags --tag=cost-center --service=rds --days=14 --headroom=20 --group-by=account --region=eu-west-1'
+      expect(this.parameters).to.deep.equal({report: 'tags', tag: 'cost-center', service: 'rds', days: '14', headroom: '20', groupBy: 'account', region: 'eu-west-1'})
+    })
+
+    it('parses the short forms of the options', function () {
+      this.text = 'expiring 60d 20% rds baseline costs tag=team accounts zones'
+      expect(this.parameters).to.deep.equal({report: 'expiring', days: '60d', headroom: '20%', service: 'rds', baseline: 'minimum', costs: 'true', tag: 'team', groupBy: 'account,az'})
+    })
+
+    it('parses "services" as all services', function () {
+      this.text = 'services'
+      expect(this.parameters).to.deep.equal({service: 'all'})
+    })
+
+    it('returns a help request for "help"', function () {
+      this.text = 'summary help'
+      expect(this.parameters).to.deep.equal({help: true})
+    })
+
+    it('throws a usage error for a word it does not understand', function () {
+      this.text = 'summary eu-wset'
+      expect(this.error).to.be.an.instanceof(UsageError)
+      expect(this.error.message).to.equal('I don\'t understand "eu-wset"')
+    })
+
+    it('throws a usage error for a report that is only available on the command line', function () {
+      this.text = 'simulation'
+      expect(this.error.message).to.equal('I don\'t understand "simulation"')
+    })
+
+    it('includes the usage in the error', function () {
+      this.text = 'foo'
+      expect(this.error.usage).to.equal(this.command.usage())
+    })
+
+    it('throws a usage error for an unknown option', function () {
+      this.text = '--colour red'
+      expect(this.error.message).to.equal('Unknown option "--colour"')
+    })
+
+    it('throws a usage error for an option without a value', function () {
+      this.text = 'reservations --family'
+      expect(this.error.message).to.equal('The option "--family" needs a value')
+    })
+
+    it('throws a usage error for an option followed by another option', function () {
+      this.text = 'reservations --family --tag team'
+      expect(this.error.message).to.equal('The option "--family" needs a value')
+    })
+
+    it('throws a usage error for an unknown service', function () {
+      this.text = '--service dynamodb'
+      expect(this.error.message).to.equal('Unknown service "dynamodb", use one of ec2, rds, or all')
+    })
+
+    it('throws a usage error for a number of days that is not a number', function () {
+      this.text = 'expiring --days soon'
+      expect(this.error.message).to.equal('The option "--days" needs a number, not "soon"')
+    })
+
+    it('throws a usage error for a headroom that is not a percentage', function () {
+      this.text = 'recommendations 150%'
+      expect(this.error.message).to.equal('The headroom must be a percentage between 0 and 100, not "150%"')
+    })
+
+    it('throws a usage error for a region option that is not a region', function () {
+      this.text = '--region westeros'
+      expect(this.error.message).to.equal('"westeros" is not a region')
+    })
+
+    it('throws a usage error for more than one report', function () {
+      this.text = 'summary expiring'
+      expect(this.error.message).to.equal('Only one report can be requested at a time, not both "summary" and "expiring"')
+    })
+  })
+
+  describe('#usage', function () {
+    it('lists the reports', function () {
+      expect(this.command.usage()).to.match(/• `recommendations` – reservations to buy/)
+      expect(this.command.usage()).to.match(/• `help` – shows this message/)
+    })
+
+    it('does not list the reports that are only available on the command line', function () {
+      expect(this.command.usage()).not.to.match(/simulation/)
+    })
+
+    it('lists the services', function () {
+      expect(this.command.usage()).to.match(/ec2, rds, services\s+the service to report on/)
+    })
+
+    it('uses the name of the command', function () {
+      const command = new SlackCommand(['ec2'], '/ri')
+      expect(command.usage()).to.match(/^Usage: `\/ri \[report\] \[regions\] \[options\]`/)
+    })
+
+    it('uses a default name for the command', function () {
+      expect(this.command.usage()).to.match(/^Usage: `\/reservations /)
+    })
+  })
+})
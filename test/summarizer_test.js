@@ -1,6 +1,7 @@
 const {describe, it, beforeEach} = require('mocha')
 const {expect} = require('chai')
 const Summarizer = require('../lib/summarizer')
+const PriceTable = require('../lib/price_table')
 
 require('mocha-define') /* global def */
 
@@ -25,10 +26,10 @@ describe('Summarizer', function () {
       this.instances.push({family: 'd5', size: 'large', units: 4, spot: false, emr: false})
       this.instances.push({family: 'c6', size: 'large', units: 4, spot: true, emr: false})
       this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: true})
-      this.reservations.push({family: 'p7', size: 'small', offeringClass: 'convertible', units: 8})
-      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 18})
-      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 4})
-      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', units: 2})
+      this.reservations.push({family: 'p7', size: 'small', offeringClass: 'convertible', az: '*', units: 8})
+      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 18})
+      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 4})
+      this.reservations.push({family: 'i9', size: 'small', offeringClass: 'convertible', az: '*', units: 2})
     })
 
     describe('returns a summary that', function () {
@@ -96,4 +97,392 @@ describe('Summarizer', function () {
       })
     })
   })
+
+  describe('.combine', function () {
+    beforeEach(function () {
+      this.summaries = [
+        [
+          {family: 'c6', running: 4, spot: 4, emr: 0, reserved: 0, reservable: 0, surplus: 0, expiring: 0},
+          {family: 'i9', running: 8, spot: 0, emr: 4, reserved: 24, reservable: 0, surplus: 16, expiring: 0},
+        ],
+        [
+          {family: 'd5', running: 4, spot: 0, emr: 0, reserved: 0, reservable: 4, surplus: 0, expiring: 0},
+          {family: 'i9', running: 4, spot: 0, emr: 0, reserved: 2, reservable: 2, surplus: 0, expiring: 0},
+        ],
+      ]
+    })
+
+    it('returns the families of all summaries, in alphabetical order', function () {
+      expect(Summarizer.combine(this.summaries).map(s => s.family)).to.deep.equal(['c6', 'd5', 'i9'])
+    })
+
+    it('sums the columns of each family', function () {
+      expect(Summarizer.combine(this.summaries)[2]).to.deep.equal({family: 'i9', running: 12, spot: 0, emr: 4, reserved: 26, reservable: 2, surplus: 16, expiring: 0})
+    })
+  })
+
+  describe('#summarize with grouping by account', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, {groupBy: ['account']})
+    })
+
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, account: 'production'})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, account: 'staging'})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, account: 'staging'})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 12, account: 'payer'})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4, account: 'staging'})
+    })
+
+    it('returns one row per family and account, in alphabetical order', function () {
+      expect(this.summary.map(s => [s.family, s.account])).to.deep.equal([
+        ['i9', 'payer'],
+        ['i9', 'production'],
+        ['i9', 'staging'],
+      ])
+    })
+
+    it('matches reservations against instances in all accounts', function () {
+      expect(this.summary.map(s => [s.account, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+        ['payer', 0, 12, 0, 0],
+        ['production', 4, 0, 0, 0],
+        ['staging', 8, 4, 0, 4],
+      ])
+    })
+
+    it('can be combined into pooled totals', function () {
+      expect(Summarizer.combine([this.summary])).to.deep.equal([
+        {family: 'i9', running: 12, spot: 0, emr: 0, reserved: 16, reservable: 0, surplus: 4, expiring: 0},
+      ])
+    })
+  })
+
+  describe('#summarize with grouping by availability zone', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, {groupBy: ['az']})
+    })
+
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', az: 'eu-north-9a', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', az: 'eu-north-9b', units: 4, spot: false, emr: false})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: 'eu-north-9c', units: 4})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+    })
+
+    it('returns one row per family and AZ, with regional reservations in a row of their own', function () {
+      expect(this.summary.map(s => [s.family, s.az, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+        ['i9', '*', 0, 4, 0, 0],
+        ['i9', 'eu-north-9a', 4, 0, 0, 0],
+        ['i9', 'eu-north-9b', 4, 0, 4, 0],
+        ['i9', 'eu-north-9c', 0, 4, 0, 4],
+      ])
+    })
+
+    it('does not keep the AZs when combined', function () {
+      expect(Summarizer.combine([this.summary])).to.deep.equal([
+        {family: 'i9', running: 8, spot: 0, emr: 0, reserved: 8, reservable: 4, surplus: 4, expiring: 0},
+      ])
+    })
+  })
+
+  describe('#summarize with grouping by instance type', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, {groupBy: ['type']})
+    })
+
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', az: 'eu-north-9a', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'xlarge', az: 'eu-north-9a', units: 8, spot: false, emr: false})
+      this.reservations.push({family: 'i9', size: 'xlarge', offeringClass: 'standard', az: '*', units: 8})
+    })
+
+    it('returns one row per instance type, with the reservations in the row of their type', function () {
+      expect(this.summary.map(s => [s.family, s.type, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+        ['i9', 'i9.large', 4, 0, 4, 0],
+        ['i9', 'i9.xlarge', 8, 8, 0, 0],
+      ])
+    })
+
+    it('keeps the instance types when combined', function () {
+      expect(Summarizer.combine([this.summary, this.summary]).map(s => [s.type, s.running])).to.deep.equal([
+        ['i9.large', 8],
+        ['i9.xlarge', 16],
+      ])
+    })
+  })
+
+  describe('#summarize with instances and reservations for multiple platforms', function () {
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, platform: 'Linux/UNIX'})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, platform: 'Windows'})
+      this.instances.push({family: 'm5', size: 'large', units: 4, spot: false, emr: false})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 8, platform: 'Windows'})
+    })
+
+    it('returns one row per family and platform', function () {
+      expect(this.summary.map(s => [s.family, s.platform, s.running, s.reserved, s.reservable, s.surplus])).to.deep.equal([
+        ['i9', 'Linux/UNIX', 4, 0, 4, 0],
+        ['i9', 'Windows', 4, 8, 0, 4],
+        ['m5', 'Linux/UNIX', 4, 0, 4, 0],
+      ])
+    })
+
+    it('keeps the platforms when combined', function () {
+      expect(Summarizer.combine([this.summary, this.summary]).map(s => [s.family, s.platform, s.running])).to.deep.equal([
+        ['i9', 'Linux/UNIX', 8],
+        ['i9', 'Windows', 8],
+        ['m5', 'Linux/UNIX', 8],
+      ])
+    })
+  })
+
+  describe('#summarize with instances and reservations for a single platform', function () {
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false, platform: 'Windows'})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 8, platform: 'Windows'})
+    })
+
+    it('does not break out the families by platform', function () {
+      expect(this.summary[0]).to.not.have.property('platform')
+    })
+  })
+
+  describe('#summarize with reservations that expire', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, this.options)
+    })
+
+    beforeEach(function () {
+      this.now = new Date('2018-06-01T00:00:00Z').getTime()
+      this.options = {now: this.now}
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4, end: new Date('2018-06-10T00:00:00Z')})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 8, end: new Date('2018-06-30T12:00:00Z')})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 16, end: new Date('2018-07-15T00:00:00Z')})
+      this.reservations.push({family: 'm5', size: 'large', offeringClass: 'standard', az: '*', units: 32})
+    })
+
+    it('contains the number of reserved units that expire within 30 days', function () {
+      expect(this.summary.map(s => [s.family, s.expiring])).to.deep.equal([
+        ['i9', 4 + 8],
+        ['m5', 0],
+      ])
+    })
+
+    describe('and the expiry window is configured', function () {
+      beforeEach(function () {
+        this.options.expiryWindow = 60
+      })
+
+      it('contains the number of reserved units that expire within that window', function () {
+        expect(this.summary.map(s => [s.family, s.expiring])).to.deep.equal([
+          ['i9', 4 + 8 + 16],
+          ['m5', 0],
+        ])
+      })
+    })
+  })
+
+  describe('#summarize with a price table', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, this.options)
+    })
+
+    beforeEach(function () {
+      this.options = {
+        region: 'eu-north-3',
+        costs: true,
+        priceTable: new PriceTable({
+          'eu-north-3': {
+            'i9.large': {'Linux/UNIX': {onDemand: 0.2, reserved: 0.125}},
+            'm5.xlarge': {'Linux/UNIX': {onDemand: 0.192, reserved: 0.12}},
+          },
+          'eu-north-1': {
+            'c6.large': {'Linux/UNIX': {onDemand: 0.1, reserved: 0.05}},
+          },
+        }),
+      }
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'm5', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'c6', size: 'large', units: 4, spot: false, emr: false})
+      this.reservations.push({family: 'm5', size: 'xlarge', offeringClass: 'standard', az: '*', units: 8})
+    })
+
+    it('contains the hourly and monthly on demand spend on reservable instances', function () {
+      expect(this.summary.map(s => [s.family, s.onDemandHourly, s.onDemandMonthly])).to.deep.equal([
+        ['c6', null, null],
+        ['i9', 0.4, 292],
+        ['m5', 0, 0],
+      ])
+    })
+
+    it('contains the hourly and monthly spend on unused reserved capacity', function () {
+      expect(this.summary.map(s => [s.family, s.wastedHourly, s.wastedMonthly])).to.deep.equal([
+        ['c6', 0, 0],
+        ['i9', 0, 0],
+        ['m5', 0.06, 43.8],
+      ])
+    })
+
+    it('contains the hourly and monthly savings from reserving the reservable instances', function () {
+      expect(this.summary.map(s => [s.family, s.savingsHourly, s.savingsMonthly])).to.deep.equal([
+        ['c6', null, null],
+        ['i9', 0.15, 109.5],
+        ['m5', 0, 0],
+      ])
+    })
+
+    it('sums the costs when combined', function () {
+      expect(Summarizer.combine([this.summary, this.summary])[1]).to.include({onDemandHourly: 0.8, onDemandMonthly: 584, savingsMonthly: 219})
+    })
+
+    it('does not sum the costs of rows that are unpriced when combined', function () {
+      expect(Summarizer.combine([this.summary, this.summary])[0]).to.include({onDemandHourly: null, wastedHourly: 0, savingsMonthly: null})
+    })
+
+    describe('and surplus reservations of an instance type that is missing from the price table', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'c6', size: 'xlarge', offeringClass: 'standard', az: '*', units: 16})
+      })
+
+      it('leaves the spend on unused reserved capacity unpriced', function () {
+        expect(this.summary[0]).to.include({family: 'c6', surplus: 12, wastedHourly: null, wastedMonthly: null})
+      })
+    })
+
+    describe('and an instance is partially covered by a size flexible reservation', function () {
+      beforeEach(function () {
+        this.reservations.push({family: 'i9', size: 'medium', offeringClass: 'standard', az: '*', units: 2})
+      })
+
+      it('only counts the uncovered part as reservable', function () {
+        expect(this.summary[1]).to.include({family: 'i9', reserved: 2, reservable: 6, surplus: 0})
+      })
+
+      it('prices the uncovered part in proportion to its units', function () {
+        expect(this.summary[1]).to.include({onDemandHourly: 0.3, savingsHourly: 0.1125})
+      })
+    })
+
+    describe('and no price table', function () {
+      beforeEach(function () {
+        this.options = {}
+      })
+
+      it('does not contain any costs', function () {
+        expect(this.summary[0]).to.not.have.any.keys('onDemandHourly', 'wastedHourly', 'savingsHourly')
+      })
+    })
+  })
+
+  describe('#summarize with Savings Plans', function () {
+    def('summarizer', function () {
+      return new Summarizer(this.reservations, this.instances, this.options)
+    })
+
+    beforeEach(function () {
+      this.savingsPlans = [
+        {id: 'sp-1', type: 'Compute', family: null, region: null, commitment: 0.6, remainingCommitment: 0.6},
+        {id: 'sp-2', type: 'EC2Instance', family: 'i9', region: 'eu-north-3', commitment: 0.2, remainingCommitment: 0.2},
+        {id: 'sp-3', type: 'EC2Instance', family: 'i9', region: 'eu-north-1', commitment: 1, remainingCommitment: 1},
+      ]
+      this.options = {
+        region: 'eu-north-3',
+        savingsPlans: this.savingsPlans,
+        priceTable: new PriceTable({
+          'eu-north-3': {
+            'i9.large': {'Linux/UNIX': {onDemand: 0.2, reserved: 0.125, savingsPlan: 0.15}},
+            'm5.large': {'Linux/UNIX': {onDemand: 0.1}},
+          },
+        }),
+      }
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'm5', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'm5', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'c6', size: 'large', units: 4, spot: false, emr: false})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+    })
+
+    it('applies the commitments to the instances that are not covered by reservations, and reduces the reservable units', function () {
+      expect(this.summary.map(s => [s.family, s.reserved, s.savingsPlan, s.reservable])).to.deep.equal([
+        ['c6', 0, 0, 4],
+        ['i9', 4, 12, 0],
+        ['m5', 0, 8, 0],
+      ])
+    })
+
+    it('uses the commitments of instance family Savings Plans before Compute Savings Plans', function () {
+      this.summarizer.summarize()
+      expect(this.savingsPlans.map(p => p.remainingCommitment)).to.deep.equal([0.1, 0.05, 1])
+    })
+
+    it('does not include costs unless asked to', function () {
+      expect(this.summary[0]).to.not.have.property('onDemandHourly')
+    })
+
+    it('sums the Savings Plan column when combined', function () {
+      expect(Summarizer.combine([this.summary, this.summary])[1]).to.include({savingsPlan: 24})
+    })
+
+    describe('and the commitments are shared with another summarizer', function () {
+      it('only applies the commitment that remains', function () {
+        this.summarizer.summarize()
+        const instances = [
+          {family: 'm5', size: 'large', units: 4, spot: false, emr: false},
+          {family: 'm5', size: 'large', units: 4, spot: false, emr: false},
+        ]
+        const summary = new Summarizer([], instances, this.options).summarize()
+        expect(summary.map(s => [s.family, s.savingsPlan, s.reservable])).to.deep.equal([['m5', 4, 4]])
+      })
+    })
+  })
+
+  describe('#reservableInstances', function () {
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'xlarge', units: 8, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: true, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: true})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+    })
+
+    it('returns the on demand, non-EMR instances that are not covered by a reservation', function () {
+      expect(this.summarizer.reservableInstances()).to.deep.equal([this.instances[1]])
+    })
+
+    it('does not match reservations again when summarizing afterwards', function () {
+      this.summarizer.reservableInstances()
+      expect(this.summarizer.summarize()[0]).to.include({reservable: 8, surplus: 0})
+    })
+  })
+
+  describe('#coveredInstances', function () {
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'xlarge', units: 8, spot: false, emr: false})
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: true, emr: false})
+      this.reservations.push({family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 4})
+    })
+
+    it('returns the on demand instances that are covered by a reservation', function () {
+      expect(this.summarizer.coveredInstances()).to.deep.equal([this.instances[0]])
+    })
+  })
+
+  describe('#reservations', function () {
+    beforeEach(function () {
+      this.instances.push({family: 'i9', size: 'large', units: 4, spot: false, emr: false})
+      this.reservations.push({id: 'r-1', family: 'i9', size: 'large', offeringClass: 'standard', az: '*', units: 8})
+    })
+
+    it('returns all reservations with the units that remain after matching', function () {
+      const reservations = this.summarizer.reservations()
+      expect(reservations.map(r => [r.id, r.remainingUnits])).to.deep.equal([['r-1', 4]])
+      expect(reservations[0].instances).to.deep.equal([this.instances[0]])
+    })
+  })
 })
@@ -0,0 +1,59 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const TagReport = require('../lib/tag_report')
+
+require('mocha-define') /* global def */
+
+describe('TagReport', function () {
+  def('report', function () {
+    return new TagReport(this.instances, this.coveredInstances, this.reservableInstances, this.options).generate()
+  })
+
+  beforeEach(function () {
+    this.instances = [
+      {family: 'i9', size: 'large', units: 4, tags: {team: 'search'}},
+      {family: 'i9', size: 'xlarge', units: 8, tags: {team: 'search'}},
+      {family: 'i9', size: 'large', units: 4, tags: {team: 'ads', service: 'bidder'}},
+      {family: 'i9', size: 'large', units: 4, tags: {service: 'bidder'}},
+      {family: 'i9', size: 'small', units: 1, tags: {team: ''}},
+      {family: 'i9', size: 'small', units: 1},
+    ]
+    this.coveredInstances = [this.instances[0], this.instances[2]]
+    this.reservableInstances = [this.instances[1], this.instances[3], this.instances[4]]
+    this.options = {tagKey: 'team'}
+  })
+
+  it('returns the running, covered and reservable units for each value of the tag, in alphabetical order', function () {
+    expect(this.report.slice(0, 2)).to.deep.equal([
+      {tagKey: 'team', tagValue: 'ads', running: 4, covered: 4, reservable: 0},
+      {tagKey: 'team', tagValue: 'search', running: 12, covered: 4, reservable: 8},
+    ])
+  })
+
+  it('puts instances without the tag, or with an empty value, in an untagged row last', function () {
+    expect(this.report[2]).to.deep.equal({tagKey: 'team', tagValue: null, running: 6, covered: 0, reservable: 5})
+  })
+
+  describe('when another tag key is specified', function () {
+    beforeEach(function () {
+      this.options = {tagKey: 'service'}
+    })
+
+    it('groups the instances by that tag', function () {
+      expect(this.report.map(r => [r.tagValue, r.running])).to.deep.equal([
+        ['bidder', 8],
+        [null, 14],
+      ])
+    })
+  })
+
+  describe('when no tag key is specified', function () {
+    beforeEach(function () {
+      this.options = {}
+    })
+
+    it('groups the instances by the "team" tag', function () {
+      expect(this.report[0].tagKey).to.equal('team')
+    })
+  })
+})
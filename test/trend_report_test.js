@@ -0,0 +1,61 @@
+const {describe, it, beforeEach} = require('mocha')
+const {expect} = require('chai')
+const TrendReport = require('../lib/trend_report')
+
+require('mocha-define') /* global def */
+
+describe('TrendReport', function () {
+  def('report', function () {
+    return new TrendReport(this.snapshots).generate()
+  })
+
+  beforeEach(function () {
+    this.snapshots = [
+      {createdAt: '2018-05-01T00:00:00.000Z', summary: [
+        {family: 'i9', platform: 'Linux/UNIX', running: 16, reservable: 4},
+        {family: 'm5', platform: 'Windows', running: 8, reservable: 8},
+      ]},
+      {createdAt: '2018-05-02T00:00:00.000Z', summary: [
+        {family: 'i9', platform: 'Linux/UNIX', running: 24, reservable: 12},
+      ]},
+      {createdAt: '2018-05-03T00:00:00.000Z', summary: [
+        {family: 'i9', platform: 'Linux/UNIX', running: 20, reservable: 8},
+        {family: 'm5', platform: 'Windows', running: 4, reservable: 0},
+      ]},
+    ]
+  })
+
+  it('returns the lowest, average, and highest number of running and reservable units per family and platform', function () {
+    expect(this.report).to.deep.equal([
+      {family: 'i9', platform: 'Linux/UNIX', snapshots: 3, runningMin: 16, runningAvg: 20, runningMax: 24, reservableMin: 4, reservableAvg: 8, reservableMax: 12},
+      {family: 'm5', platform: 'Windows', snapshots: 3, runningMin: 0, runningAvg: 4, runningMax: 8, reservableMin: 0, reservableAvg: 2.67, reservableMax: 8},
+    ])
+  })
+
+  describe('when a snapshot has several rows for a family', function () {
+    beforeEach(function () {
+      this.snapshots = [
+        {createdAt: '2018-05-01T00:00:00.000Z', summary: [
+          {family: 'i9', account: 'a', running: 16, reservable: 4},
+          {family: 'i9', account: 'b', running: 8, reservable: 2},
+        ]},
+      ]
+    })
+
+    it('adds them up, and assumes the default platform when there is none', function () {
+      expect(this.report).to.deep.equal([
+        {family: 'i9', platform: 'Linux/UNIX', snapshots: 1, runningMin: 24, runningAvg: 24, runningMax: 24, reservableMin: 6, reservableAvg: 6, reservableMax: 6},
+      ])
+    })
+  })
+
+  describe('when there are no snapshots', function () {
+    beforeEach(function () {
+      this.snapshots = []
+    })
+
+    it('returns an empty list', function () {
+      expect(this.report).to.deep.equal([])
+    })
+  })
+})